@@ -0,0 +1,78 @@
+/**
+ * Activity checks - has a player played recently, and how recently?
+ *
+ * The plain check is the player's latest match id and then that match's
+ * details for gameEndTimestamp: two requests for every candidate, and most
+ * candidates on a ladder page turn out not to be active. The strategies
+ * below get there with cheaper signals where they can:
+ *   spectator  Spectator-V5 - in a game right now (one request; there's
+ *              no finished match to look at yet)
+ *   window     Match-V5 ids with startTime - nothing started recently enough
+ *              to have ended inside the window means inactive after one
+ *              request; details are only fetched for a game that may count
+ *   latest     the latest match id and its details, however old
+ * Each answers with an activity, null (not active) or undefined (can't
+ * tell - ask the next one).
+ */
+
+const MINUTE = 60 * 1000;
+
+// A game that ended inside the window started at most this long before it
+const LONGEST_GAME_MINUTES = 60;
+
+// Activity from a finished match: { minutesAgo, gameMode, queueId, match }
+function fromMatch(match, now) {
+    return {
+        minutesAgo: Math.floor((now - match.info.gameEndTimestamp) / MINUTE),
+        gameMode: match.info.gameMode, // CLASSIC, ARAM, TUTORIAL, etc.
+        queueId: match.info.queueId,
+        match
+    };
+}
+
+// The latest match id (since `since`, if given) and its details
+async function latestMatch(puuid, api, now, since = null) {
+    const matchIds = await api.getMatchIds(puuid, since);
+    if (!matchIds || matchIds.length === 0) return null;
+    return fromMatch(await api.getMatchDetails(matchIds[0]), now);
+}
+
+/**
+ * Strategies by name: (puuid, api, { withinMinutes, now }) => activity | null | undefined
+ * api: { getMatchIds(puuid, since), getMatchDetails(matchId), getActiveGame(puuid) }
+ */
+const ACTIVITY_STRATEGIES = {
+    spectator: async (puuid, api) => {
+        const game = await api.getActiveGame(puuid);
+        if (!game) return undefined; // Not in game - may still have just finished one
+        return { minutesAgo: 0, inGame: true, gameMode: game.gameMode, queueId: game.gameQueueConfigId, match: null };
+    },
+
+    window: (puuid, api, { withinMinutes, now }) => {
+        if (!(withinMinutes > 0)) return undefined;
+        return latestMatch(puuid, api, now, now - (withinMinutes + LONGEST_GAME_MINUTES) * MINUTE);
+    },
+
+    latest: (puuid, api, { now }) => latestMatch(puuid, api, now)
+};
+
+/**
+ * Ask the strategies in turn until one can tell
+ * Returns the activity, or null if the player isn't active (or none could tell)
+ */
+async function checkActivity(puuid, api, { strategies = ['latest'], withinMinutes, now = Date.now() } = {}) {
+    for (const name of strategies) {
+        const strategy = ACTIVITY_STRATEGIES[name];
+        if (!strategy) throw new Error(`Unknown activity strategy "${name}"`);
+
+        const activity = await strategy(puuid, api, { withinMinutes, now });
+        if (activity !== undefined) return activity;
+    }
+    return null;
+}
+
+module.exports = {
+    ACTIVITY_STRATEGIES,
+    LONGEST_GAME_MINUTES,
+    checkActivity
+};
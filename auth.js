@@ -0,0 +1,274 @@
+/**
+ * Server sign-in and per-user Riot API keys
+ *
+ * Off unless CONFIG.auth has a token or users. Then every API route except
+ * sign-in needs one of:
+ *   Authorization: Bearer <AUTH_TOKEN>      the shared token - its holders are admins
+ *   Authorization: Basic <name:password>    a user from AUTH_USERS (admins: AUTH_ADMINS)
+ *   the session cookie POST /api/login sets (what the web UI uses)
+ * With auth off, everyone is the one local admin.
+ *
+ * Riot keys saved through the server are kept per user in data/keys.json,
+ * encrypted with AES-256-GCM, and are never sent back - only whether one is set.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CONFIG } = require('./scout.js');
+const { ValidationError, UnauthorizedError, ForbiddenError } = require('./errors.js');
+const { writeFileAtomic } = require('./files.js');
+
+const COOKIE_NAME = 'lolfinder_session';
+
+// Who you are with auth off, or with the shared token
+const LOCAL_USER = { name: 'local', admin: true };
+const TOKEN_USER = { name: 'token', admin: true };
+
+// Constant-time comparison; hashing first evens out the lengths
+function safeEqual(a, b) {
+    const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+function parseList(value) {
+    return String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of String(header || '').split(';')) {
+        const sep = part.indexOf('=');
+        if (sep > 0) cookies[part.slice(0, sep).trim()] = part.slice(sep + 1).trim();
+    }
+    return cookies;
+}
+
+// Secrets and keys are readable by this user only
+function writePrivateFile(file, contents) {
+    writeFileAtomic(file, contents, { mode: 0o600 });
+}
+
+// ============ SIGN-IN ============
+
+class Auth {
+    /**
+     * config: CONFIG.auth
+     * secretFile: where a generated secret is kept when AUTH_SECRET isn't set
+     */
+    constructor(config, secretFile) {
+        this.token = config.token;
+        this.users = new Map(); // name -> password
+        for (const entry of parseList(config.users)) {
+            const sep = entry.indexOf(':');
+            if (sep > 0) {
+                this.users.set(entry.slice(0, sep), entry.slice(sep + 1));
+            } else {
+                console.warn(`AUTH_USERS: "${entry}" has no password - ignored`);
+            }
+        }
+        this.admins = new Set(parseList(config.admins));
+        this.sessionMs = config.sessionDays * 24 * 60 * 60 * 1000;
+        this.secret = config.secret;
+        this.secretFile = secretFile;
+    }
+
+    get enabled() {
+        return !!this.token || this.users.size > 0;
+    }
+
+    // AUTH_SECRET, else one generated on first use and kept in data/
+    // (set AUTH_SECRET where data/ doesn't last, e.g. on Vercel)
+    getSecret() {
+        if (this.secret) return this.secret;
+        try {
+            if (fs.existsSync(this.secretFile)) {
+                this.secret = fs.readFileSync(this.secretFile, 'utf8').trim();
+            }
+        } catch (err) {
+            console.error('Error loading auth secret:', err.message);
+        }
+        if (!this.secret) {
+            this.secret = crypto.randomBytes(32).toString('hex');
+            writePrivateFile(this.secretFile, this.secret);
+        }
+        return this.secret;
+    }
+
+    userFor(name) {
+        return { name, admin: this.admins.has(name) };
+    }
+
+    /**
+     * Check credentials: { name, password } of a user, or { token }
+     * Returns the user; throws an UnauthorizedError when they're wrong
+     */
+    login({ name, password, token } = {}) {
+        if (token) {
+            if (this.token && safeEqual(token, this.token)) return TOKEN_USER;
+        } else if (name && this.users.has(name) && safeEqual(password || '', this.users.get(name))) {
+            return this.userFor(name);
+        }
+        throw new UnauthorizedError('Wrong name, password or token');
+    }
+
+    sign(payload) {
+        return crypto.createHmac('sha256', this.getSecret()).update(payload).digest('base64url');
+    }
+
+    // Signed "<name>.<expires>.<signature>" - nothing to store server-side
+    createSession(user) {
+        const payload = `${Buffer.from(user.name).toString('base64url')}.${Date.now() + this.sessionMs}`;
+        return `${payload}.${this.sign(payload)}`;
+    }
+
+    // The user of a session cookie, or null if it's forged, expired or for a removed user
+    readSession(value) {
+        const [name, expires, signature] = String(value).split('.');
+        if (!signature || !safeEqual(signature, this.sign(`${name}.${expires}`)) || Number(expires) < Date.now()) {
+            return null;
+        }
+        const decoded = Buffer.from(name, 'base64url').toString();
+        if (decoded === TOKEN_USER.name) return this.token ? TOKEN_USER : null;
+        return this.users.has(decoded) ? this.userFor(decoded) : null;
+    }
+
+    /**
+     * The user making a request, or null when nobody is signed in
+     * Wrong credentials in an Authorization header throw instead
+     */
+    authenticate(req) {
+        if (!this.enabled) return LOCAL_USER;
+
+        const [scheme, credentials] = String(req.headers.authorization || '').split(' ');
+        if (credentials && /^bearer$/i.test(scheme)) {
+            return this.login({ token: credentials });
+        }
+        if (credentials && /^basic$/i.test(scheme)) {
+            const decoded = Buffer.from(credentials, 'base64').toString();
+            const sep = decoded.indexOf(':');
+            if (sep < 0) throw new UnauthorizedError('Malformed Basic credentials');
+            return this.login({ name: decoded.slice(0, sep), password: decoded.slice(sep + 1) });
+        }
+
+        const cookie = parseCookies(req.headers.cookie)[COOKIE_NAME];
+        return cookie ? this.readSession(cookie) : null;
+    }
+
+    /**
+     * The signed-in user; throws UnauthorizedError without one,
+     * or ForbiddenError if admin is required and they aren't one
+     */
+    require(req, { admin = false } = {}) {
+        const user = this.authenticate(req);
+        if (!user) throw new UnauthorizedError();
+        if (admin && !user.admin) throw new ForbiddenError();
+        return user;
+    }
+
+    // Set-Cookie value for a session (an empty value signs out)
+    cookie(req, value) {
+        const secure = req.headers['x-forwarded-proto'] === 'https' || (req.socket && req.socket.encrypted);
+        const maxAge = value ? Math.floor(this.sessionMs / 1000) : 0;
+        return `${COOKIE_NAME}=${value}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${secure ? '; Secure' : ''}`;
+    }
+}
+
+// ============ API KEYS ============
+
+class KeyStore {
+    /**
+     * getSecret: returns the secret the encryption key is derived from
+     */
+    constructor(file, getSecret) {
+        this.file = file;
+        this.getSecret = getSecret;
+        this.keys = null; // user name -> { iv, tag, data, updatedAt }, loaded on first use
+    }
+
+    load() {
+        if (this.keys) return;
+        this.keys = {};
+        try {
+            if (fs.existsSync(this.file)) {
+                this.keys = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            }
+        } catch (err) {
+            console.error('Error loading API keys:', err.message);
+        }
+    }
+
+    save() {
+        try {
+            writePrivateFile(this.file, JSON.stringify(this.keys, null, 2));
+        } catch (err) {
+            console.error('Error saving API keys:', err.message);
+        }
+    }
+
+    cipherKey() {
+        return crypto.createHash('sha256').update(`keys:${this.getSecret()}`).digest();
+    }
+
+    set(user, apiKey) {
+        const key = typeof apiKey === 'string' ? apiKey.trim() : '';
+        if (!key || key.length > 200 || /\s/.test(key)) {
+            throw new ValidationError('Invalid API key - paste the key from developer.riotgames.com');
+        }
+
+        this.load();
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.cipherKey(), iv);
+        const data = Buffer.concat([cipher.update(key, 'utf8'), cipher.final()]);
+        this.keys[user] = {
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64'),
+            updatedAt: Date.now()
+        };
+        this.save();
+    }
+
+    // The user's key, or null (also when the secret changed since it was saved)
+    get(user) {
+        this.load();
+        const entry = user ? this.keys[user] : null;
+        if (!entry) return null;
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', this.cipherKey(), Buffer.from(entry.iv, 'base64'));
+            decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+            return Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]).toString('utf8');
+        } catch (err) {
+            console.error(`Stored API key of ${user} can't be decrypted - was AUTH_SECRET changed?`);
+            return null;
+        }
+    }
+
+    has(user) {
+        return this.get(user) !== null;
+    }
+
+    remove(user) {
+        this.load();
+        if (!this.keys[user]) return false;
+        delete this.keys[user];
+        this.save();
+        return true;
+    }
+
+    // What a user's searches run with - never the key itself
+    status(user) {
+        const saved = this.has(user);
+        return { saved, source: saved ? 'user' : CONFIG.apiKey ? 'server' : null };
+    }
+}
+
+const auth = new Auth(CONFIG.auth, path.join(CONFIG.dataDir, 'auth-secret'));
+const keyStore = new KeyStore(path.join(CONFIG.dataDir, 'keys.json'), () => auth.getSecret());
+
+module.exports = {
+    Auth,
+    KeyStore,
+    auth,
+    keyStore
+};
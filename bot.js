@@ -0,0 +1,589 @@
+#!/usr/bin/env node
+/**
+ * Discord bot
+ *
+ * Exposes scoutPlayers, deepScout and findDuosFromHistory as slash commands
+ * over Discord's HTTP interactions endpoint (no gateway connection needed).
+ * Each command gets its own SearchSession; its log lines are streamed into
+ * the deferred reply the way /api/scout streams them to the UI, and the
+ * results are posted as embeds when the search is done.
+ *
+ * All Discord calls go through a REST object (DiscordRest by default), so the
+ * bot runs offline against MemoryRest - see `node bot.js simulate`.
+ *
+ * Usage:
+ *   node bot.js                       Start the interactions endpoint (BOT_PORT, default 3001)
+ *   node bot.js register [--guild id] Register the slash commands
+ *   node bot.js simulate scout tier=GOLD division=II
+ *                                     Run a command locally, printing the messages
+ *
+ * Env: DISCORD_APPLICATION_ID, DISCORD_PUBLIC_KEY, DISCORD_TOKEN (register only)
+ * Docs: https://discord.com/developers/docs/interactions/receiving-and-responding
+ */
+
+require('dotenv').config();
+const http = require('http');
+const crypto = require('crypto');
+const {
+    scoutPlayers,
+    deepScout,
+    findDuosFromHistory,
+    getSummonerByRiotId,
+    CONFIG
+} = require('./scout.js');
+const { SearchSession } = require('./session.js');
+const { normalizePlatform, PLATFORMS } = require('./regions.js');
+const { resolveSearch } = require('./search.js');
+
+const DISCORD_API = 'https://discord.com/api/v10';
+
+// Interaction and response types
+const INTERACTION_PING = 1;
+const INTERACTION_COMMAND = 2;
+const RESPONSE_PONG = 1;
+const RESPONSE_MESSAGE = 4;
+const RESPONSE_DEFERRED = 5;
+const FLAG_EPHEMERAL = 64;
+
+// Option types
+const STRING = 3;
+const INTEGER = 4;
+const BOOLEAN = 5;
+
+// Edit the progress message at most this often (Discord rate limits webhook edits)
+const PROGRESS_INTERVAL_MS = 2500;
+const PROGRESS_LINES = 12;
+
+// Interaction tokens expire after 15 minutes - stop searching a little before
+const INTERACTION_TIMEOUT_MS = 14 * 60 * 1000;
+
+// Discord message limits
+const MAX_CONTENT = 2000;
+const MAX_FIELDS = 25;
+
+const EMBED_COLOR = 0xc9aa71;
+
+// Public key prefix for a raw 32-byte Ed25519 key in SPKI/DER form
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// ============ SLASH COMMANDS ============
+
+const choices = values => values.map(v => ({ name: v, value: v }));
+
+const COMMANDS = [
+    {
+        name: 'scout',
+        description: 'Find recently active ranked players',
+        options: [
+            { type: STRING, name: 'tier', description: 'Rank tier', choices: choices(['IRON', 'BRONZE', 'SILVER', 'GOLD', 'PLATINUM', 'EMERALD', 'DIAMOND', 'MASTER', 'GRANDMASTER', 'CHALLENGER']) },
+            { type: STRING, name: 'division', description: 'Division (ignored for Master+)', choices: choices(['I', 'II', 'III', 'IV']) },
+            { type: STRING, name: 'lp', description: 'Total LP range "min-max", overrides tier/division' },
+            { type: STRING, name: 'preset', description: 'Start from a saved search preset' },
+            { type: STRING, name: 'queue', description: 'Queue (default: both)', choices: choices(['solo', 'flex']) },
+            { type: STRING, name: 'region', description: 'Platform(s), comma-separated (e.g. na1,euw1)' },
+            { type: STRING, name: 'role', description: 'Main role(s): top, jungle, mid, adc, support' },
+            { type: STRING, name: 'champion', description: 'Champion(s) they main, comma-separated' },
+            { type: INTEGER, name: 'max', description: `Max players (default: 10, up to ${MAX_FIELDS})`, min_value: 1, max_value: MAX_FIELDS },
+            { type: INTEGER, name: 'active', description: 'Active within X minutes (default: 30)', min_value: 1 },
+            { type: BOOLEAN, name: 'enrich', description: 'Look up the real rank of players from the same match (default: true)' },
+            { type: BOOLEAN, name: 'ingame', description: 'Also find players in a game right now (default: false)' }
+        ]
+    },
+    {
+        name: 'deep',
+        description: 'Deep scout a player\'s recent matches',
+        options: [
+            { type: STRING, name: 'name', description: 'Riot game name', required: true },
+            { type: STRING, name: 'tag', description: 'Tag line (e.g. NA1)', required: true },
+            { type: INTEGER, name: 'matches', description: 'Matches to analyze (default: 5)', min_value: 1, max_value: 20 },
+            { type: STRING, name: 'region', description: 'Platform (default: server region)' }
+        ]
+    },
+    {
+        name: 'duos',
+        description: 'Find duo partners from a player\'s match history',
+        options: [
+            { type: STRING, name: 'name', description: 'Riot game name', required: true },
+            { type: STRING, name: 'tag', description: 'Tag line (e.g. NA1)', required: true },
+            { type: INTEGER, name: 'matches', description: 'Matches to analyze (default: 20)', min_value: 1, max_value: 100 },
+            { type: BOOLEAN, name: 'wins', description: 'Only analyze wins' },
+            { type: STRING, name: 'region', description: 'Platform (default: server region)' }
+        ]
+    }
+];
+
+// ============ DISCORD REST ============
+
+/**
+ * Minimal Discord REST client
+ * Interaction follow-ups are authorized by the interaction token; only
+ * registering commands needs the bot token.
+ */
+class DiscordRest {
+    constructor({ token = process.env.DISCORD_TOKEN, applicationId = process.env.DISCORD_APPLICATION_ID, baseUrl = DISCORD_API } = {}) {
+        this.token = token;
+        this.applicationId = applicationId;
+        this.baseUrl = baseUrl;
+    }
+
+    async request(method, path, body, useBotToken = false) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (useBotToken) {
+            headers.Authorization = `Bot ${this.token}`;
+        }
+
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Discord API Error: ${response.status} ${await response.text()}`);
+        }
+        return response.status === 204 ? null : response.json();
+    }
+
+    // Overwrite the global (or one guild's) slash commands
+    registerCommands(commands, guildId = null) {
+        const path = guildId
+            ? `/applications/${this.applicationId}/guilds/${guildId}/commands`
+            : `/applications/${this.applicationId}/commands`;
+        return this.request('PUT', path, commands, true);
+    }
+
+    editOriginal(interactionToken, message) {
+        return this.request('PATCH', `/webhooks/${this.applicationId}/${interactionToken}/messages/@original`, message);
+    }
+
+    createFollowup(interactionToken, message) {
+        return this.request('POST', `/webhooks/${this.applicationId}/${interactionToken}`, message);
+    }
+}
+
+/**
+ * In-memory stand-in for DiscordRest
+ * Records every message instead of sending it; onMessage (optional) sees each one
+ */
+class MemoryRest {
+    constructor({ onMessage = null } = {}) {
+        this.messages = []; // { kind: 'edit' | 'followup' | 'register', token, message }
+        this.onMessage = onMessage;
+    }
+
+    record(entry) {
+        this.messages.push(entry);
+        if (this.onMessage) this.onMessage(entry);
+        return entry.message;
+    }
+
+    async registerCommands(commands, guildId = null) {
+        return this.record({ kind: 'register', guildId, message: commands });
+    }
+
+    async editOriginal(token, message) {
+        return this.record({ kind: 'edit', token, message });
+    }
+
+    async createFollowup(token, message) {
+        return this.record({ kind: 'followup', token, message });
+    }
+
+    // Latest state of the original reply for an interaction token
+    getOriginal(token) {
+        const edits = this.messages.filter(m => m.kind === 'edit' && m.token === token);
+        return edits.length > 0 ? edits[edits.length - 1].message : null;
+    }
+}
+
+// ============ EMBEDS ============
+
+function opggUrl(player) {
+    const region = PLATFORMS[player.region] ? PLATFORMS[player.region].name.toLowerCase() : 'na';
+    return `https://www.op.gg/summoners/${region}/${encodeURIComponent((player.name || '').replace('#', '-'))}`;
+}
+
+function truncate(text, max) {
+    return text.length > max ? text.slice(0, max - 1) + '…' : text;
+}
+
+function scoutEmbed(results, title) {
+    return {
+        title: truncate(title, 256),
+        color: EMBED_COLOR,
+        description: results.length === 0 ? 'No active players found.' : `${results.length} active players`,
+        fields: results.slice(0, MAX_FIELDS).map(p => ({
+            name: truncate(`${p.name}${p.hotStreak ? ' 🔥' : ''}`, 256),
+            value: truncate([
+                `${(p.region || '').toUpperCase()} ${p.queue} ${p.rank}${p.lp !== undefined ? ` ${p.lp}LP` : ''}`,
+                p.winRate ? `${p.winRate} WR` : null,
+                p.mainRole || p.position || null,
+                p.inGame ? 'in game' : `active ${p.lastActiveMinutes}m ago`,
+                `[OP.GG](${opggUrl(p)})`
+            ].filter(Boolean).join(' · '), 1024)
+        }))
+    };
+}
+
+function deepEmbed(name, report) {
+    const { summary } = report;
+    if (summary.gamesAnalyzed === 0) {
+        return { title: truncate(`Deep scout: ${name}`, 256), color: EMBED_COLOR, description: 'No recent matches found.' };
+    }
+    const champions = (summary.championStats || []).slice(0, 5)
+        .map(c => `${c.champion} ${c.games}g ${c.winRate} (${c.kda} KDA)`);
+
+    return {
+        title: truncate(`Deep scout: ${name}`, 256),
+        color: EMBED_COLOR,
+        fields: [
+            { name: 'Games', value: String(summary.gamesAnalyzed), inline: true },
+            { name: 'Win rate', value: summary.recentWinRate, inline: true },
+            { name: 'Avg KDA', value: String(summary.avgKDA), inline: true },
+            { name: 'Positions', value: summary.positions.filter(Boolean).join(', ') || '-', inline: true },
+            { name: 'Champions', value: truncate(champions.join('\n') || summary.championPool.join(', ') || '-', 1024) }
+        ]
+    };
+}
+
+function duosEmbed(name, duos) {
+    return {
+        title: truncate(`Duo partners for ${name}`, 256),
+        color: EMBED_COLOR,
+        description: duos.length === 0 ? 'No teammates matched the filters.' : `${duos.length} potential duo partners`,
+        fields: duos.slice(0, 10).map(d => ({
+            name: truncate(d.name, 256),
+            value: truncate(`${d.gamesPlayed} games together · ${d.winRate} WR · ${d.avgKDA} KDA\n` +
+                `${d.positions.filter(Boolean).join(', ') || '-'} · ${d.champions.slice(0, 5).join(', ')}`, 1024)
+        }))
+    };
+}
+
+// ============ PROGRESS STREAMING ============
+
+/**
+ * Mirrors a SearchSession into the deferred reply: the latest log lines,
+ * players found so far and any rate limit wait or Riot outage, edited at most every
+ * PROGRESS_INTERVAL_MS
+ */
+class ProgressReporter {
+    constructor(rest, token, session, title) {
+        this.rest = rest;
+        this.token = token;
+        this.title = title;
+        this.lines = [];
+        this.found = 0;
+        this.rateLimitSeconds = 0;
+        this.degraded = null; // { host, reason } while Riot is failing
+        this.dirty = false;
+        this.sending = null;
+
+        session.on('log', message => {
+            for (const line of String(message).split('\n')) {
+                if (line.trim()) this.lines.push(line);
+            }
+            this.lines = this.lines.slice(-PROGRESS_LINES);
+            this.dirty = true;
+        });
+        session.on('player', () => {
+            this.found++;
+            this.dirty = true;
+        });
+        session.on('ratelimit', ({ isLimited, seconds }) => {
+            this.rateLimitSeconds = isLimited ? seconds : 0;
+            this.dirty = true;
+        });
+        session.on('degraded', details => {
+            this.degraded = details.isDegraded ? details : null;
+            this.dirty = true;
+        });
+
+        this.timer = setInterval(() => this.flush(), PROGRESS_INTERVAL_MS);
+    }
+
+    render() {
+        const status = [`**${this.title}**`, `👥 ${this.found} found so far`];
+        if (this.rateLimitSeconds > 0) {
+            status.push(`⏳ Rate limited - waiting ${this.rateLimitSeconds}s`);
+        }
+        if (this.degraded) {
+            status.push(`⚠️ Riot API degraded, retrying (${this.degraded.reason})`);
+        }
+
+        // Drop the oldest lines until the message fits
+        let lines = this.lines;
+        let content;
+        do {
+            content = `${status.join('\n')}\n\`\`\`\n${lines.join('\n') || '...'}\n\`\`\``;
+            lines = lines.slice(1);
+        } while (content.length > MAX_CONTENT && lines.length > 0);
+        return truncate(content, MAX_CONTENT);
+    }
+
+    async flush() {
+        if (!this.dirty || this.sending) return;
+        this.dirty = false;
+        this.sending = this.rest.editOriginal(this.token, { content: this.render() })
+            .catch(err => console.error('[Bot] Progress update failed:', err.message))
+            .finally(() => { this.sending = null; });
+    }
+
+    // Stop editing and wait for an edit in flight, so the final message lands last
+    async stop() {
+        clearInterval(this.timer);
+        if (this.sending) await this.sending;
+    }
+}
+
+// ============ BOT ============
+
+// Slash command options as { name: value }
+function getOptions(interaction) {
+    const options = {};
+    for (const option of (interaction.data && interaction.data.options) || []) {
+        options[option.name] = option.value;
+    }
+    return options;
+}
+
+class DiscordBot {
+    constructor({ rest = new DiscordRest() } = {}) {
+        this.rest = rest;
+        this.running = new Set(); // Promises of commands still running
+    }
+
+    /**
+     * Handle one interaction; returns the immediate response for Discord
+     * Commands are deferred and finish in the background
+     */
+    handleInteraction(interaction) {
+        if (interaction.type === INTERACTION_PING) {
+            return { type: RESPONSE_PONG };
+        }
+
+        if (interaction.type !== INTERACTION_COMMAND) {
+            return { type: RESPONSE_MESSAGE, data: { content: 'Unsupported interaction', flags: FLAG_EPHEMERAL } };
+        }
+
+        const name = interaction.data && interaction.data.name;
+        if (!COMMANDS.some(c => c.name === name)) {
+            return { type: RESPONSE_MESSAGE, data: { content: `Unknown command: ${name}`, flags: FLAG_EPHEMERAL } };
+        }
+
+        const run = this.runCommand(interaction).finally(() => this.running.delete(run));
+        this.running.add(run);
+        return { type: RESPONSE_DEFERRED };
+    }
+
+    async runCommand(interaction) {
+        const { name } = interaction.data;
+        const options = getOptions(interaction);
+        const session = new SearchSession();
+        const progress = new ProgressReporter(this.rest, interaction.token, session, `/${name} ${describeOptions(options)}`);
+        const timeout = setTimeout(() => session.abort(), INTERACTION_TIMEOUT_MS);
+
+        let message;
+        try {
+            if (name === 'scout') message = await this.scout(options, session);
+            else if (name === 'deep') message = await this.deep(options, session);
+            else message = await this.duos(options, session);
+        } catch (err) {
+            message = { content: `❌ ${err.message}`, embeds: [] };
+        } finally {
+            clearTimeout(timeout);
+            await progress.stop();
+            session.removeAllListeners();
+        }
+
+        if (session.isAborted()) {
+            message.content = `${message.content || ''}\n⛔ Stopped before the interaction expired - results may be partial`.trim();
+        }
+
+        try {
+            await this.rest.editOriginal(interaction.token, message);
+        } catch (err) {
+            console.error('[Bot] Could not post results:', err.message);
+        }
+    }
+
+    async scout(options, session) {
+        // Same parameters as everywhere else, but enrichment is on unless turned off
+        const params = resolveSearch({ enrich: true, ...options });
+        params.maxPlayers = Math.min(params.maxPlayers, MAX_FIELDS);
+
+        const results = await scoutPlayers({ ...params, session });
+        const title = params.lpRange ? `Scout: ${params.lpRange} LP` : `Scout: ${params.tier} ${params.division}`;
+        return { content: '', embeds: [scoutEmbed(results, title)] };
+    }
+
+    async deep(options, session) {
+        const region = normalizePlatform(options.region || CONFIG.region);
+        const account = await getSummonerByRiotId(options.name, options.tag, { session, region });
+        const report = await deepScout(account.puuid, options.matches || 5, { session, region });
+        return { content: '', embeds: [deepEmbed(`${options.name}#${options.tag}`, report)] };
+    }
+
+    async duos(options, session) {
+        const duos = await findDuosFromHistory(options.name, options.tag, {
+            matchCount: options.matches || 20,
+            onlyWins: !!options.wins,
+            region: options.region,
+            session
+        });
+        return { content: '', embeds: [duosEmbed(`${options.name}#${options.tag}`, duos)] };
+    }
+
+    // Resolves once every running command has posted its results
+    async idle() {
+        while (this.running.size > 0) {
+            await Promise.all([...this.running]);
+        }
+    }
+}
+
+function describeOptions(options) {
+    return Object.entries(options).map(([k, v]) => `${k}:${v}`).join(' ');
+}
+
+// ============ INTERACTIONS ENDPOINT ============
+
+/**
+ * Check Discord's Ed25519 signature on an interaction request
+ */
+function verifySignature(publicKey, signature, timestamp, body) {
+    try {
+        const key = crypto.createPublicKey({
+            key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey, 'hex')]),
+            format: 'der',
+            type: 'spki'
+        });
+        return crypto.verify(null, Buffer.from(timestamp + body), key, Buffer.from(signature, 'hex'));
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * HTTP handler for the interactions endpoint URL
+ */
+function createInteractionsHandler(bot, publicKey = process.env.DISCORD_PUBLIC_KEY) {
+    return (req, res) => {
+        if (req.method !== 'POST') {
+            res.writeHead(405);
+            res.end('Method not allowed');
+            return;
+        }
+
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            const signature = req.headers['x-signature-ed25519'] || '';
+            const timestamp = req.headers['x-signature-timestamp'] || '';
+            if (!verifySignature(publicKey, signature, timestamp, body)) {
+                res.writeHead(401);
+                res.end('invalid request signature');
+                return;
+            }
+
+            let interaction;
+            try {
+                interaction = JSON.parse(body);
+            } catch (err) {
+                res.writeHead(400);
+                res.end('Invalid JSON');
+                return;
+            }
+
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(bot.handleInteraction(interaction)));
+        });
+    };
+}
+
+// ============ CLI ============
+
+// "tier=GOLD max=5" -> slash command options, typed like Discord would send them
+function parseSimulatedOptions(commandName, args) {
+    const command = COMMANDS.find(c => c.name === commandName);
+    if (!command) {
+        throw new Error(`Unknown command: ${commandName}. Commands: ${COMMANDS.map(c => c.name).join(', ')}`);
+    }
+
+    return args.map(arg => {
+        const [name, ...rest] = arg.split('=');
+        const definition = command.options.find(o => o.name === name);
+        if (!definition) {
+            throw new Error(`Unknown option "${name}" for /${commandName}`);
+        }
+        const raw = rest.join('=');
+        const value = definition.type === INTEGER ? parseInt(raw)
+            : definition.type === BOOLEAN ? raw !== 'false'
+            : raw;
+        return { name, type: definition.type, value };
+    });
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    if (process.env.RIOT_API_KEY) {
+        CONFIG.apiKey = process.env.RIOT_API_KEY;
+    }
+
+    if (command === 'register') {
+        const guildIndex = args.indexOf('--guild');
+        const guildId = guildIndex >= 0 ? args[guildIndex + 1] : null;
+        const registered = await new DiscordRest().registerCommands(COMMANDS, guildId);
+        console.log(`✅ Registered ${registered.length} commands${guildId ? ` in guild ${guildId}` : ''}`);
+        return;
+    }
+
+    if (command === 'simulate') {
+        const [name, ...optionArgs] = args;
+        const rest = new MemoryRest({
+            onMessage: ({ message }) => console.log(`\n--- Discord message ---\n${message.content || ''}` +
+                (message.embeds && message.embeds.length > 0 ? `\n${JSON.stringify(message.embeds, null, 2)}` : ''))
+        });
+        const bot = new DiscordBot({ rest });
+        const response = bot.handleInteraction({
+            type: INTERACTION_COMMAND,
+            token: 'simulated',
+            data: { name, options: parseSimulatedOptions(name, optionArgs) }
+        });
+        if (response.type !== RESPONSE_DEFERRED) {
+            console.log(response.data.content);
+        }
+        await bot.idle();
+        return;
+    }
+
+    if (!process.env.DISCORD_PUBLIC_KEY) {
+        console.error('DISCORD_PUBLIC_KEY is not set - copy it from the Discord developer portal');
+        process.exit(1);
+    }
+
+    const port = process.env.BOT_PORT || 3001;
+    http.createServer(createInteractionsHandler(new DiscordBot())).listen(port, () => {
+        console.log(`\n🤖 Discord interactions endpoint listening on http://localhost:${port}\n`);
+    });
+}
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error('\nError:', err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    COMMANDS,
+    DiscordBot,
+    DiscordRest,
+    MemoryRest,
+    ProgressReporter,
+    createInteractionsHandler,
+    verifySignature,
+    scoutEmbed,
+    deepEmbed,
+    duosEmbed
+};
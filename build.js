@@ -47,7 +47,9 @@ async function build() {
                            'sortTable', 'filterPlayers', 'exportPlayers', 'importPlayers',
                            'deleteSelected', 'clearSavedPlayers', 'copyToClipboard',
                            'setRankMode', 'updateLPDisplay', 'toggleSelectAll',
-                           'updateSelection', 'handleCheckboxClick', 'testRateLimit']
+                           'updateSelection', 'handleCheckboxClick', 'testRateLimit',
+                           'toggleRegion', 'toggleRole', 'resumeSearch', 'applyPreset',
+                           'savePreset', 'deletePreset', 'login']
             },
             output: {
                 comments: false
@@ -0,0 +1,147 @@
+/**
+ * Riot API cassettes - recorded traffic that can be played back
+ *
+ * A cassette is a JSON-lines file with one recorded response per line:
+ *   { url, status, statusText, headers, body, recordedAt }
+ * url is the Riot URL the app asked for (before transport.js points it
+ * anywhere else); the API key is never written. The random numbers a scout
+ * picks its pages with go on it too, as { random, recordedAt } lines.
+ * Recording appends, so several runs can go on one cassette.
+ *
+ * On replay each URL gets its recorded responses in the order they were
+ * recorded - a 429 and then the retry's 200 come back the same way - and
+ * the last one again once they run out. A URL that was never recorded is
+ * an error rather than a guess. Time window parameters (startTime, endTime)
+ * are relative to when the request was made, so URLs are matched without them.
+ * The random numbers come back in the order they were drawn, so a replayed
+ * scout asks for the same pages as the recorded one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Describe the recorded body, not the connection it came over
+const SKIPPED_HEADERS = new Set(['content-encoding', 'content-length', 'transfer-encoding', 'connection', 'keep-alive']);
+
+// Query parameters that differ on every run of the same search
+const TIME_PARAMS = ['startTime', 'endTime'];
+
+// What a URL is recorded and replayed under
+function replayKey(url) {
+    const parsed = new URL(url);
+    if (!TIME_PARAMS.some(name => parsed.searchParams.has(name))) return url;
+    TIME_PARAMS.forEach(name => parsed.searchParams.delete(name));
+    return parsed.toString();
+}
+
+class Cassette {
+    constructor(file) {
+        this.file = file;
+        this.entries = null; // replayKey(url) -> recorded responses, loaded on first replay
+        this.played = new Map(); // replayKey(url) -> how many have been played back
+        this.randoms = null; // recorded random numbers in the order they were drawn
+        this.drawn = 0; // how many of them have been played back
+    }
+
+    // Parse the file, skipping blank or torn lines
+    load() {
+        if (this.entries) return;
+        this.entries = new Map();
+        this.randoms = [];
+        if (!fs.existsSync(this.file)) return;
+        for (const line of fs.readFileSync(this.file, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                if ('random' in entry) {
+                    this.randoms.push(entry.random);
+                    continue;
+                }
+                const key = replayKey(entry.url);
+                if (!this.entries.has(key)) this.entries.set(key, []);
+                this.entries.get(key).push(entry);
+            } catch (err) {
+                // Torn write from a crash - ignore the line
+            }
+        }
+    }
+
+    get size() {
+        this.load();
+        let count = 0;
+        for (const list of this.entries.values()) count += list.length;
+        return count;
+    }
+
+    // Save a response; reads a clone, so the caller can still read the original
+    async record(url, response) {
+        const headers = {};
+        for (const [name, value] of response.headers) {
+            if (!SKIPPED_HEADERS.has(name)) headers[name] = value;
+        }
+        const entry = {
+            url,
+            status: response.status,
+            statusText: response.statusText,
+            headers,
+            body: await response.clone().text(),
+            recordedAt: new Date().toISOString()
+        };
+
+        this.append(entry);
+        if (this.entries) {
+            const key = replayKey(url);
+            if (!this.entries.has(key)) this.entries.set(key, []);
+            this.entries.get(key).push(entry);
+        }
+    }
+
+    // Save a random number drawn while recording
+    recordRandom(random) {
+        this.append({ random, recordedAt: new Date().toISOString() });
+        if (this.randoms) this.randoms.push(random);
+    }
+
+    append(entry) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.appendFileSync(this.file, JSON.stringify(entry) + '\n');
+    }
+
+    // The next recorded response for a URL, as a fetch Response
+    replay(url) {
+        this.load();
+        const key = replayKey(url);
+        const list = this.entries.get(key);
+        if (!list) {
+            throw new Error(`No recorded response for ${url} in ${this.file}`);
+        }
+        const played = this.played.get(key) || 0;
+        this.played.set(key, played + 1);
+        const entry = list[Math.min(played, list.length - 1)];
+
+        return new Response(entry.body === '' ? null : entry.body, {
+            status: entry.status,
+            statusText: entry.statusText,
+            headers: entry.headers
+        });
+    }
+
+    // The next recorded random number
+    nextRandom() {
+        this.load();
+        if (this.drawn >= this.randoms.length) {
+            throw new Error(`No recorded random number left in ${this.file} - it was recorded by a different search`);
+        }
+        return this.randoms[this.drawn++];
+    }
+
+    // Play every URL from its first recorded response again, and the random numbers from the first
+    rewind() {
+        this.played.clear();
+        this.drawn = 0;
+    }
+}
+
+module.exports = {
+    Cassette
+};
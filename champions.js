@@ -0,0 +1,123 @@
+/**
+ * Champion pools
+ *
+ * Aggregates a player's games per champion (games, win rate, KDA) from
+ * Match-V5 match details. Champion names are compared by key - lowercase,
+ * letters and digits only - so "Lee Sin", "leesin" and Match-V5's "LeeSin"
+ * are the same champion.
+ */
+
+// Match-V5 uses internal names for a few champions
+const CHAMPION_ALIASES = {
+    wukong: 'monkeyking',
+    nunu: 'nunuwillump',
+    renata: 'renataglasc'
+};
+
+// Every champion by display name - add new releases here, or searches for
+// them warn that no player will match
+const CHAMPIONS = [
+    'Aatrox', 'Ahri', 'Akali', 'Akshan', 'Alistar', 'Ambessa', 'Amumu', 'Anivia', 'Annie',
+    'Aphelios', 'Ashe', 'Aurelion Sol', 'Aurora', 'Azir', 'Bard', "Bel'Veth", 'Blitzcrank',
+    'Brand', 'Braum', 'Briar', 'Caitlyn', 'Camille', 'Cassiopeia', "Cho'Gath", 'Corki', 'Darius',
+    'Diana', 'Dr. Mundo', 'Draven', 'Ekko', 'Elise', 'Evelynn', 'Ezreal', 'Fiddlesticks', 'Fiora',
+    'Fizz', 'Galio', 'Gangplank', 'Garen', 'Gnar', 'Gragas', 'Graves', 'Gwen', 'Hecarim',
+    'Heimerdinger', 'Hwei', 'Illaoi', 'Irelia', 'Ivern', 'Janna', 'Jarvan IV', 'Jax', 'Jayce',
+    'Jhin', 'Jinx', "K'Sante", "Kai'Sa", 'Kalista', 'Karma', 'Karthus', 'Kassadin', 'Katarina',
+    'Kayle', 'Kayn', 'Kennen', "Kha'Zix", 'Kindred', 'Kled', "Kog'Maw", 'LeBlanc', 'Lee Sin',
+    'Leona', 'Lillia', 'Lissandra', 'Lucian', 'Lulu', 'Lux', 'Malphite', 'Malzahar', 'Maokai',
+    'Master Yi', 'Mel', 'Milio', 'Miss Fortune', 'Mordekaiser', 'Morgana', 'Naafiri', 'Nami',
+    'Nasus', 'Nautilus', 'Neeko', 'Nidalee', 'Nilah', 'Nocturne', 'Nunu & Willump', 'Olaf',
+    'Orianna', 'Ornn', 'Pantheon', 'Poppy', 'Pyke', 'Qiyana', 'Quinn', 'Rakan', 'Rammus',
+    "Rek'Sai", 'Rell', 'Renata Glasc', 'Renekton', 'Rengar', 'Riven', 'Rumble', 'Ryze', 'Samira',
+    'Sejuani', 'Senna', 'Seraphine', 'Sett', 'Shaco', 'Shen', 'Shyvana', 'Singed', 'Sion', 'Sivir',
+    'Skarner', 'Smolder', 'Sona', 'Soraka', 'Swain', 'Sylas', 'Syndra', 'Tahm Kench', 'Taliyah',
+    'Talon', 'Taric', 'Teemo', 'Thresh', 'Tristana', 'Trundle', 'Tryndamere', 'Twisted Fate',
+    'Twitch', 'Udyr', 'Urgot', 'Varus', 'Vayne', 'Veigar', "Vel'Koz", 'Vex', 'Vi', 'Viego',
+    'Viktor', 'Vladimir', 'Volibear', 'Warwick', 'Wukong', 'Xayah', 'Xerath', 'Xin Zhao', 'Yasuo',
+    'Yone', 'Yorick', 'Yunara', 'Yuumi', 'Zac', 'Zed', 'Zeri', 'Ziggs', 'Zilean', 'Zoe', 'Zyra'
+];
+
+// A champion counts as "mained" when it's one of the player's most played
+// and was picked more than once
+const MAIN_CHAMPION_COUNT = 3;
+const MIN_MAIN_GAMES = 2;
+
+function championKey(name) {
+    const key = String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return CHAMPION_ALIASES[key] || key;
+}
+
+const CHAMPION_KEYS = new Set(CHAMPIONS.map(championKey));
+
+// The names that aren't champions, as given ("Thresh,Threhs" or ['Threhs'])
+function unknownChampions(value) {
+    const names = Array.isArray(value) ? value : String(value || '').split(',');
+    return names.map(name => String(name).trim()).filter(name => name && !CHAMPION_KEYS.has(championKey(name)));
+}
+
+/**
+ * Parse one or more champions ("Thresh,Nautilus" or ['Lee Sin']) into unique keys
+ * Returns an empty array when no champions are given (= no champion filter)
+ */
+function parseChampions(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return [...new Set(list.map(championKey).filter(Boolean))];
+}
+
+/**
+ * Per-champion stats of one player over a set of matches, most played first
+ * Returns [{ champion, games, wins, losses, winRate, kills, deaths, assists, kda }]
+ */
+function buildChampionPool(matches, puuid) {
+    const byChampion = new Map();
+
+    for (const match of matches) {
+        const participant = match?.info?.participants?.find(p => p.puuid === puuid);
+        if (!participant || !participant.championName) continue;
+
+        const key = championKey(participant.championName);
+        if (!byChampion.has(key)) {
+            byChampion.set(key, { champion: participant.championName, games: 0, wins: 0, kills: 0, deaths: 0, assists: 0 });
+        }
+        const stats = byChampion.get(key);
+        stats.games++;
+        if (participant.win) stats.wins++;
+        stats.kills += participant.kills || 0;
+        stats.deaths += participant.deaths || 0;
+        stats.assists += participant.assists || 0;
+    }
+
+    return [...byChampion.values()]
+        .map(s => ({
+            champion: s.champion,
+            games: s.games,
+            wins: s.wins,
+            losses: s.games - s.wins,
+            winRate: ((s.wins / s.games) * 100).toFixed(1) + '%',
+            kills: s.kills,
+            deaths: s.deaths,
+            assists: s.assists,
+            kda: s.deaths === 0 ? (s.kills + s.assists).toFixed(2) : ((s.kills + s.assists) / s.deaths).toFixed(2)
+        }))
+        .sort((a, b) => b.games - a.games || b.wins - a.wins);
+}
+
+/**
+ * Does this pool "main" any of the wanted champion keys?
+ */
+function mainsChampion(pool, wanted) {
+    return pool
+        .slice(0, MAIN_CHAMPION_COUNT)
+        .some(c => c.games >= MIN_MAIN_GAMES && wanted.includes(championKey(c.champion)));
+}
+
+module.exports = {
+    CHAMPIONS,
+    championKey,
+    unknownChampions,
+    parseChampions,
+    buildChampionPool,
+    mainsChampion
+};
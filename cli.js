@@ -6,20 +6,35 @@
  *   node cli.js scout --tier GOLD --division II
  *   node cli.js duos --name YourName --tag NA1
  *   node cli.js deep --puuid <puuid>
+ *   node cli.js history --name YourName --tag NA1
+ *   node cli.js champions --name YourName --tag NA1
+ *   node cli.js watch add --name SomeName --tag NA1
+ *   node cli.js schedule add gold-2 --cron "0 9,21 * * *" --tier GOLD --division II
  */
 
 const {
-    scoutPlayers,
     deepScout,
     findDuosFromHistory,
+    getChampionPool,
+    getSummonerByRiotId,
+    playerStore,
+    transport,
     CONFIG
 } = require('./scout.js');
+const { parseRegions, getRouting } = require('./regions.js');
+const { getPlayerHistory, getClimbers } = require('./history.js');
+const { watchlist, WatchPoller } = require('./watch.js');
+const { jobStore } = require('./jobs.js');
+const { scheduleStore, Scheduler, describeDiff } = require('./schedule.js');
+const { resolveSearch, presetStore } = require('./search.js');
+const { defaultSession } = require('./session.js');
 
 // Parse command line arguments
 function parseArgs() {
     const args = process.argv.slice(2);
     const command = args[0];
     const options = {};
+    const positional = []; // e.g. the "add" in "watch add"
 
     for (let i = 1; i < args.length; i++) {
         if (args[i].startsWith('--')) {
@@ -31,10 +46,34 @@ function parseArgs() {
             } else {
                 options[key] = true;
             }
+        } else {
+            positional.push(args[i]);
         }
     }
 
-    return { command, options };
+    return { command, options, positional };
+}
+
+// PUUID from --puuid, or from --name/--tag (stored players first, then Account-V1)
+async function resolvePuuid(options, command) {
+    if (options.puuid) return options.puuid;
+    if (!options.name || !options.tag) {
+        console.error(`Error: --puuid or --name and --tag are required for ${command} command`);
+        process.exit(1);
+    }
+    const stored = playerStore.findByName(`${options.name}#${options.tag}`);
+    return stored ? stored.puuid : (await getSummonerByRiotId(options.name, options.tag)).puuid;
+}
+
+function printDiff(diff) {
+    const lp = change => change === null ? '' : ` (${change > 0 ? '+' : ''}${change}LP)`;
+    const rank = r => r.lp === undefined ? r.rank : `${r.rank} ${r.lp}LP`;
+    console.log(`\n🆕 New (${diff.newPlayers.length}):`);
+    for (const p of diff.newPlayers) console.log(`  ${p.name} | ${rank(p)}`);
+    console.log(`\n↕️  Moved (${diff.moved.length}):`);
+    for (const m of diff.moved) console.log(`  ${m.name} | ${rank(m.from)} → ${rank(m.to)}${lp(m.change)}`);
+    console.log(`\n🚪 Dropped out of range (${diff.droppedOut.length}):`);
+    for (const m of diff.droppedOut) console.log(`  ${m.name} | ${rank(m.from)} → ${m.to ? `${rank(m.to)}${lp(m.change)}` : 'unranked'}`);
 }
 
 function showHelp() {
@@ -47,21 +86,38 @@ Commands:
   scout    Find active ranked players in a tier/division or LP range
   duos     Find duo partners from your match history
   deep     Deep scout a specific player by PUUID
+  history  LP / rank history of a stored player, or the top climbers
+  champions  Champion pool of a player (games, win rate, KDA per champion)
+  watch    Get a webhook when watched players finish a game
+  jobs     List scout jobs (resume one with scout --resume <id>)
+  schedule Run a scout on a cron schedule and report what changed between runs
+  preset   Save scout options under a name (shared with the web UI)
 
 Options for 'scout':
   --lp          LP range "min-max" (e.g., "800-1000") - overrides tier/division
-  --tier        Rank tier (IRON, BRONZE, SILVER, GOLD, PLATINUM, EMERALD, DIAMOND)
-  --division    Division (I, II, III, IV)
+  --tier        Rank tier (IRON ... DIAMOND, MASTER, GRANDMASTER, CHALLENGER)
+  --division    Division (I, II, III, IV) - ignored for apex tiers
   --queue       Queue: solo, flex, or both (default: both)
-  --max         Max active players to find (default: 50)
+  --preset      Start from a saved preset (see 'preset'); other options override it
+  --max         Max active players to find (default: 10)
   --active      Active within X minutes (default: 30)
-  --winrate     Minimum win rate 0-1 (default: 0, no filter)
+  --winrate     Minimum win rate, 0-1 or a percentage like 55% (default: 0, no filter)
+  --region      One or more platforms, comma-separated (e.g., na1,euw1,oc1)
+  --role        Main role(s), comma-separated: top, jungle, mid, adc/bottom, support
+                (checks each player's recent ranked games - slower)
+  --champion    Champion(s) they main, comma-separated (e.g., Thresh,Nautilus)
+                (same check as --role)
+  --resume      Resume a stopped or interrupted scout job by ID (other options are ignored)
+  --enrich      Look up the real rank of players added from the same match and
+                apply the LP/win rate filters to them (one extra request each)
+  --ingame      Also find players in a game right now (one extra request per player)
 
 LP Reference (total LP = tier base + division offset + current LP):
   Iron: 0-399      Bronze: 400-799    Silver: 800-1199
   Gold: 1200-1599  Platinum: 1600-1999  Emerald: 2000-2399
   Diamond: 2400-2799
   Division offsets: IV=0, III=100, II=200, I=300
+  Master+: 2800 + LP, no divisions (Grandmaster from 3000, Challenger from 3300)
 
   Examples: Silver IV 50LP = 850, Gold I 75LP = 1575
 
@@ -76,21 +132,77 @@ Options for 'deep':
   --puuid       Player's PUUID
   --matches     Number of matches to analyze (default: 5)
 
+Options for 'history':
+  --puuid       Player's PUUID
+  --name/--tag  Or the player's Riot ID
+  --days        Only look at the last N days (default: all history; 7 for climbers)
+  --queue       Climbers only: solo or flex (default: both)
+  --top         Climbers only: how many to list (default: 20)
+  (no player given = list the stored players gaining LP fastest)
+
+Options for 'champions':
+  --puuid       Player's PUUID
+  --name/--tag  Or the player's Riot ID
+  --matches     Fetch this many recent ranked games first (default: 20, 0 = stored only)
+
+Usage for 'watch':
+  watch add --name X --tag Y   Watch a player (--webhook <url> to override the default,
+                               --format json|discord|slack if it can't be told from the URL)
+  watch remove --name X --tag Y (or --puuid)
+  watch list                   Show watched players
+  watch check                  Check everyone once
+  watch run                    Keep polling (--interval seconds, default: 120)
+  Default webhook: WATCH_WEBHOOK_URL (and WATCH_WEBHOOK_FORMAT) in .env
+
+Usage for 'schedule':
+  schedule add <name> --cron "<expr>" [scout options]
+                               Save a scout (--lp, --tier, --max, --preset, ...) that runs on
+                               a cron expression: minute hour day month weekday, e.g.
+                               "0 9,21 * * *" (9:00 and 21:00), "*/30 * * * *", @daily
+  schedule list                Show schedules and their last run
+  schedule remove <name>       Delete a schedule and its runs
+  schedule run <name>          Run one now and show new / moved / dropped-out players
+  schedule run                 Keep running schedules when they're due (Ctrl+C to stop)
+
+Usage for 'preset':
+  preset save <name> [scout options]  Save (or replace) a preset, e.g. --lp 1200-1600 --queue solo
+  preset list                         Show presets
+  preset remove <name>
+
 Global:
   --key         Riot API key (or set RIOT_API_KEY env var)
-  --region      Platform region (default: na1)
-  --routing     Match routing (default: americas)
+  --region      Platform region, e.g. na1, euw1, kr or NA, EUW (default: na1)
+                Match routing (americas, europe, asia, sea) is derived from it
+  --record      Save every Riot API response to a cassette file, e.g. --record bug.jsonl
+  --replay      Answer Riot API requests from a cassette instead - no key or network needed
+                (activity is still measured from now, so raise --active for old cassettes)
 
 Examples:
   node cli.js scout --lp 800-1000           # Silver IV to Silver II
+  node cli.js scout --lp 2800-3500          # Master, Grandmaster and Challenger
   node cli.js scout --tier GOLD --division II --active 15
+  node cli.js scout --lp 1200-1600 --region na1,euw1,oc1
+  node cli.js scout --tier PLATINUM --division I --role support
+  node cli.js scout --tier GOLD --division II --champion thresh,nautilus
+  node cli.js scout --resume 3f9a1c2e
+  node cli.js preset save gold-supports --lp 1200-1600 --role support --max 30
+  node cli.js scout --preset gold-supports --region euw1
   node cli.js duos --name MyName --tag NA1 --matches 30
   node cli.js deep --puuid abc123... --matches 10
+  node cli.js history --name MyName --tag NA1 --days 30
+  node cli.js history --top 10 --queue solo
+  node cli.js champions --name MyName --tag NA1 --matches 30
+  node cli.js watch add --name Rival --tag NA1 --webhook https://discord.com/api/webhooks/...
+  node cli.js watch run --interval 60
+  node cli.js schedule add silver-climb --cron "0 */4 * * *" --lp 800-1000 --max 30
+  node cli.js schedule run silver-climb
+  node cli.js deep --puuid abc123... --record deep.jsonl
+  node cli.js deep --puuid abc123... --replay deep.jsonl
 `);
 }
 
 async function main() {
-    const { command, options } = parseArgs();
+    const { command, options, positional } = parseArgs();
 
     // Set API key from arg or env
     if (options.key) {
@@ -99,44 +211,88 @@ async function main() {
         CONFIG.apiKey = process.env.RIOT_API_KEY;
     }
 
-    // Set region options
-    if (options.region) CONFIG.region = options.region;
-    if (options.routing) CONFIG.regionV5 = options.routing;
-
     if (!command || command === 'help' || command === '--help' || command === '-h') {
         showHelp();
         return;
     }
 
+    if (options.routing) {
+        console.warn('Note: --routing is no longer needed, match routing is derived from --region');
+    }
+
     try {
+        // Set region options (scout accepts several: --region na1,euw1)
+        const regions = options.region ? parseRegions(options.region) : [];
+        if (regions.length > 0) {
+            CONFIG.region = regions[0];
+            console.log(`Region: ${regions.join(', ')} (routing: ${regions.map(getRouting).join(', ')})`);
+        }
+
+        // Save Riot traffic to a cassette, or answer from one offline (RIOT_API_MODE/RIOT_CASSETTE in .env)
+        if (options.record || options.replay) {
+            const mode = options.record ? 'record' : 'replay';
+            transport.configure({ mode, cassette: options[mode] === true ? null : options[mode] });
+        } else {
+            transport.configure();
+        }
+        if (transport.mode !== 'live') {
+            console.log(`${transport.mode === 'record' ? '⏺  Recording Riot API to' : '▶️  Replaying Riot API from'} ${CONFIG.riot.cassette}`);
+        }
+
         switch (command) {
             case 'scout': {
-                const scoutOptions = {
-                    maxPlayers: parseInt(options.max) || 50,
-                    activeWithinMinutes: parseInt(options.active) || 30,
-                    minWinRate: options.winrate !== undefined ? parseFloat(options.winrate) : 0
-                };
-
-                if (options.lp) {
-                    scoutOptions.lpRange = options.lp;
+                // Every scout run is a job whose progress is checkpointed to disk
+                let job;
+                if (options.resume) {
+                    job = jobStore.get(options.resume);
+                    if (!job) {
+                        console.error(`Error: no job with id ${options.resume}`);
+                        process.exit(1);
+                    }
+                    if (!jobStore.isResumable(job)) {
+                        console.error(`Error: job ${job.id} is ${job.status} and can't be resumed`);
+                        process.exit(1);
+                    }
+                    console.log(`♻️  Resuming job ${job.id}`);
                 } else {
-                    scoutOptions.tier = (options.tier || 'GOLD').toUpperCase();
-                    scoutOptions.division = (options.division || 'II').toUpperCase();
+                    job = jobStore.create(resolveSearch(options));
+                    console.log(`Job ${job.id} - resume with: node cli.js scout --resume ${job.id}`);
                 }
 
-                // Queue: solo, flex, or both (default)
-                if (options.queue) {
-                    const q = options.queue.toLowerCase();
-                    if (q === 'solo') scoutOptions.queue = 'RANKED_SOLO_5x5';
-                    else if (q === 'flex') scoutOptions.queue = 'RANKED_FLEX_SR';
-                    // else null = both
-                }
+                // Ctrl+C pauses the job at its last checkpoint; a second Ctrl+C quits at once
+                process.once('SIGINT', () => {
+                    console.log(`\n⏸  Pausing job ${job.id}...`);
+                    defaultSession.abort();
+                    process.once('SIGINT', () => process.exit(130));
+                });
 
-                const result = await scoutPlayers(scoutOptions);
+                let result = [];
+                try {
+                    result = await jobStore.run(job, defaultSession);
+                } catch (err) {
+                    if (!defaultSession.isAborted()) throw err;
+                }
+                if (defaultSession.isAborted()) {
+                    console.log(`\n⏸  Job ${job.id} paused - resume with: node cli.js scout --resume ${job.id}`);
+                }
                 console.log('\nResults:', JSON.stringify(result, null, 2));
                 break;
             }
 
+            case 'jobs': {
+                const jobs = jobStore.list().slice(0, parseInt(options.max) || 20);
+                console.log(`\n📋 Scout jobs (newest first):`);
+                for (const job of jobs) {
+                    const o = job.options;
+                    const search = o.lpRange ? `${o.lpRange} LP` : `${o.tier} ${o.division}`;
+                    console.log(`  ${job.id}  ${job.status.padEnd(11)} ${search} | ${[].concat(o.regions).join(',')} | ${job.resultCount}/${o.maxPlayers} players | ${new Date(job.createdAt).toLocaleString()}`);
+                }
+                if (jobs.length === 0) {
+                    console.log('  No jobs yet');
+                }
+                break;
+            }
+
             case 'duos': {
                 if (!options.name || !options.tag) {
                     console.error('Error: --name and --tag are required for duos command');
@@ -161,6 +317,190 @@ async function main() {
                 break;
             }
 
+            case 'history': {
+                const days = options.days ? parseFloat(options.days) : null;
+
+                if (!options.puuid && !options.name) {
+                    const queue = options.queue === 'solo' ? 'Solo/Duo' : options.queue === 'flex' ? 'Flex' : null;
+                    const climbers = getClimbers(playerStore, {
+                        days: days || 7,
+                        queue,
+                        limit: parseInt(options.top) || 20
+                    });
+                    console.log(`\n📈 Top climbers over the last ${days || 7} days:`);
+                    for (const c of climbers) {
+                        console.log(`  ${c.name} (${(c.region || '?').toUpperCase()} ${c.queue}) ${c.from.rank} ${c.from.lp}LP → ${c.to.rank} ${c.to.lp}LP | ${c.lpChange >= 0 ? '+' : ''}${c.lpChange}LP, ${c.lpPerDay} LP/day over ${c.games} games`);
+                    }
+                    if (climbers.length === 0) {
+                        console.log('  Not enough history yet - scout the same ranks again later');
+                    }
+                    break;
+                }
+
+                const puuid = await resolvePuuid(options, command);
+                const history = getPlayerHistory(playerStore, puuid, { days });
+                console.log(`\n📈 History for ${history.name || puuid}:`);
+                for (const s of history.summary) {
+                    console.log(`  ${s.queue}: ${s.from.rank} ${s.from.lp}LP → ${s.to.rank} ${s.to.lp}LP (${s.lpChange >= 0 ? '+' : ''}${s.lpChange}LP over ${s.days} days, ${s.games} games${s.periodWinRate ? `, ${s.periodWinRate} WR` : ''}) - ${s.trend}`);
+                }
+                if (history.snapshots.length === 0) {
+                    console.log('  No snapshots yet - this player has not been seen by a scout');
+                }
+                console.log('\nHistory:', JSON.stringify(history, null, 2));
+                break;
+            }
+
+            case 'champions': {
+                const puuid = await resolvePuuid(options, command);
+                const matchCount = options.matches !== undefined ? parseInt(options.matches) || 0 : 20;
+                const pool = await getChampionPool(puuid, { matchCount });
+                console.log(`\n🏆 Champion pool (${pool.gamesAnalyzed} ranked games):`);
+                for (const c of pool.champions) {
+                    console.log(`  ${c.champion.padEnd(14)} ${String(c.games).padStart(3)} games | ${c.winRate.padStart(6)} WR | ${c.kda} KDA`);
+                }
+                if (pool.champions.length === 0) {
+                    console.log('  No ranked games found');
+                }
+                break;
+            }
+
+            case 'watch': {
+                const action = positional[0] || 'list';
+
+                if (action === 'add') {
+                    if (!options.name || !options.tag) {
+                        console.error('Error: --name and --tag are required for watch add');
+                        process.exit(1);
+                    }
+                    const account = await getSummonerByRiotId(options.name, options.tag);
+                    const webhook = options.webhook ? { url: options.webhook, format: options.format } : null;
+                    const entry = watchlist.add({
+                        puuid: account.puuid,
+                        name: `${account.gameName}#${account.tagLine}`,
+                        region: CONFIG.region,
+                        webhook
+                    });
+                    console.log(`👀 Watching ${entry.name} (${entry.region.toUpperCase()})${entry.webhook ? ` → ${entry.webhook.format} webhook` : ''}`);
+                } else if (action === 'remove') {
+                    const entry = options.puuid
+                        ? watchlist.get(options.puuid)
+                        : watchlist.findByName(`${options.name}#${options.tag}`);
+                    if (!entry) {
+                        console.error('Error: player is not on the watchlist');
+                        process.exit(1);
+                    }
+                    watchlist.remove(entry.puuid);
+                    console.log(`Removed ${entry.name} from the watchlist`);
+                } else if (action === 'list') {
+                    const entries = watchlist.list();
+                    console.log(`\n👀 Watching ${entries.length} players:`);
+                    for (const e of entries) {
+                        const checked = e.lastCheckedAt ? `checked ${Math.floor((Date.now() - e.lastCheckedAt) / 60000)}m ago` : 'not checked yet';
+                        console.log(`  ${e.name} (${e.region.toUpperCase()}) | ${checked}${e.webhook ? ` | ${e.webhook.format} webhook` : ''}`);
+                    }
+                } else if (action === 'check') {
+                    const events = await new WatchPoller(watchlist).poll();
+                    console.log(`\n${events.length} new matches`);
+                } else if (action === 'run') {
+                    const intervalSeconds = parseInt(options.interval) || CONFIG.watch.intervalSeconds;
+                    if (!CONFIG.watch.webhookUrl && !watchlist.list().some(e => e.webhook)) {
+                        console.warn('Note: no webhook configured - new matches are only printed');
+                    }
+                    console.log(`👀 Polling ${watchlist.list().length} players every ${intervalSeconds}s (Ctrl+C to stop)`);
+                    new WatchPoller(watchlist, { intervalSeconds }).start();
+                } else {
+                    console.error(`Unknown watch action: ${action}`);
+                    process.exit(1);
+                }
+                break;
+            }
+
+            case 'preset': {
+                const action = positional[0] || 'list';
+                const name = positional[1];
+
+                if (action === 'save') {
+                    if (!name) {
+                        console.error('Error: preset save needs a name, e.g. preset save gold-2 --tier GOLD --division II');
+                        process.exit(1);
+                    }
+                    const preset = presetStore.set(name, options);
+                    console.log(`💾 Saved preset "${preset.name}": ${JSON.stringify(preset.options)}`);
+                } else if (action === 'list') {
+                    const presets = presetStore.list();
+                    console.log(`\n💾 ${presets.length} presets:`);
+                    for (const p of presets) {
+                        console.log(`  ${p.name} | ${JSON.stringify(p.options)}`);
+                    }
+                } else if (action === 'remove') {
+                    if (!name || !presetStore.remove(name)) {
+                        console.error(`Error: no preset ${name || '(name required)'}`);
+                        process.exit(1);
+                    }
+                    console.log(`Removed preset "${name}"`);
+                } else {
+                    console.error(`Unknown preset action: ${action}`);
+                    process.exit(1);
+                }
+                break;
+            }
+
+            case 'schedule': {
+                const action = positional[0] || 'list';
+                const name = positional[1];
+
+                if (action === 'add') {
+                    if (!name || !options.cron) {
+                        console.error('Error: schedule add needs a name and --cron, e.g. schedule add gold-2 --cron "0 * * * *" --tier GOLD');
+                        process.exit(1);
+                    }
+                    const schedule = scheduleStore.add({ name, cron: options.cron, options: resolveSearch(options) });
+                    console.log(`📅 Added "${schedule.name}" (${schedule.cron}) - next run ${new Date(schedule.nextRunAt).toLocaleString()}`);
+                } else if (action === 'list') {
+                    const schedules = scheduleStore.list();
+                    console.log(`\n📅 ${schedules.length} schedules:`);
+                    for (const s of schedules) {
+                        const lastRun = s.lastRunId ? scheduleStore.getRun(s.id, s.lastRunId) : null;
+                        let last = 'never run';
+                        if (lastRun) {
+                            last = `last run ${new Date(lastRun.startedAt).toLocaleString()}: ${lastRun.status}, ${lastRun.players.length} players`;
+                            if (lastRun.diff) last += ` (${describeDiff(lastRun.diff)})`;
+                        }
+                        const next = s.nextRunAt ? new Date(s.nextRunAt).toLocaleString() : 'never';
+                        console.log(`  ${s.name} [${s.id}] | ${s.cron} | next ${next} | ${last}`);
+                    }
+                } else if (action === 'remove') {
+                    const schedule = name && scheduleStore.get(name);
+                    if (!schedule) {
+                        console.error(`Error: no schedule ${name || '(name required)'}`);
+                        process.exit(1);
+                    }
+                    scheduleStore.remove(schedule.id);
+                    console.log(`Removed schedule "${schedule.name}"`);
+                } else if (action === 'run' && name) {
+                    const schedule = scheduleStore.get(name);
+                    if (!schedule) {
+                        console.error(`Error: no schedule ${name}`);
+                        process.exit(1);
+                    }
+                    const run = await new Scheduler(scheduleStore).run(schedule, defaultSession);
+                    if (run.status === 'failed') throw new Error(run.error);
+                    if (run.diff) {
+                        printDiff(run.diff);
+                    } else {
+                        console.log(`\nFirst run of "${schedule.name}": ${run.players.length} players - the next run reports what changed`);
+                    }
+                } else if (action === 'run') {
+                    const scheduler = new Scheduler(scheduleStore);
+                    scheduler.start();
+                    console.log(`📅 Running ${scheduleStore.list().length} schedules when due (Ctrl+C to stop)`);
+                } else {
+                    console.error(`Unknown schedule action: ${action}`);
+                    process.exit(1);
+                }
+                break;
+            }
+
             default:
                 console.error(`Unknown command: ${command}`);
                 showHelp();
@@ -0,0 +1,112 @@
+/**
+ * Error types
+ *
+ * Anything that can go wrong for a caller is thrown as one of these, so the
+ * server can answer with the right status code and a stable `code`, and the
+ * UI can tell a bad search apart from an expired key or a Riot outage.
+ *
+ *   ValidationError  400 invalid_input   bad parameters, malformed JSON
+ *   AuthError        401 auth_expired    Riot rejected the API key
+ *   UnauthorizedError 401 unauthorized  not signed in to this server (auth.js)
+ *   ForbiddenError   403 forbidden       signed in, but not an admin
+ *   NotFoundError    404 not_found       unknown player/job/preset/route
+ *   ConflictError    409 conflict        e.g. resuming a job that's running
+ *   RateLimitError   429 rate_limited    too many searches waiting
+ *   UpstreamError    502 upstream_error  Riot API failed or unreachable
+ *   AbortedError     499 aborted         the search was stopped while waiting on Riot
+ *
+ * scoutPlayers catches AbortedError and returns what it found so far; other
+ * callers see it when a session is stopped mid-request.
+ */
+
+class LolFinderError extends Error {
+    constructor(message, { status = 500, code = 'internal_error', details = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+class ValidationError extends LolFinderError {
+    constructor(message, details) {
+        super(message, { status: 400, code: 'invalid_input', details });
+    }
+}
+
+class AuthError extends LolFinderError {
+    constructor(message = 'Riot API key invalid or expired. Get a new key from developer.riotgames.com', details) {
+        super(message, { status: 401, code: 'auth_expired', details });
+    }
+}
+
+class UnauthorizedError extends LolFinderError {
+    constructor(message = 'Sign in to use this server') {
+        super(message, { status: 401, code: 'unauthorized' });
+    }
+}
+
+class ForbiddenError extends LolFinderError {
+    constructor(message = 'Only admins can do that') {
+        super(message, { status: 403, code: 'forbidden' });
+    }
+}
+
+class NotFoundError extends LolFinderError {
+    constructor(message = 'Not found', details) {
+        super(message, { status: 404, code: 'not_found', details });
+    }
+}
+
+class ConflictError extends LolFinderError {
+    constructor(message, details) {
+        super(message, { status: 409, code: 'conflict', details });
+    }
+}
+
+class RateLimitError extends LolFinderError {
+    constructor(message, details) {
+        super(message, { status: 429, code: 'rate_limited', details });
+    }
+}
+
+class UpstreamError extends LolFinderError {
+    constructor(message, details) {
+        super(message, { status: 502, code: 'upstream_error', details });
+    }
+}
+
+class AbortedError extends LolFinderError {
+    constructor(message = 'Search aborted') {
+        super(message, { status: 499, code: 'aborted' });
+    }
+}
+
+/**
+ * HTTP status and JSON body for any error
+ * Errors that aren't ours are internal (500) - their message is still passed on
+ */
+function toErrorResponse(err) {
+    const status = err instanceof LolFinderError ? err.status : 500;
+    const body = {
+        error: err.message,
+        code: err instanceof LolFinderError ? err.code : 'internal_error'
+    };
+    if (err.details) body.details = err.details;
+    return { status, body };
+}
+
+module.exports = {
+    LolFinderError,
+    ValidationError,
+    AuthError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    RateLimitError,
+    UpstreamError,
+    AbortedError,
+    toErrorResponse
+};
@@ -0,0 +1,95 @@
+/**
+ * Small JSON files in data/
+ *
+ * writeFileAtomic writes to a temp file next to the target and renames it
+ * over the old one, so a crash leaves either the old contents or the new
+ * ones - never a truncated file. JsonCollection is a keyed list of records
+ * kept in one such file (the watchlist, presets, schedules), loaded on first
+ * use and written back whole on every change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// options: as for fs.writeFileSync (e.g. { mode: 0o600 })
+function writeFileAtomic(file, contents, options) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, contents, options);
+    fs.renameSync(tmp, file);
+}
+
+class JsonCollection {
+    /**
+     * file: JSON array of records
+     * keyOf(record): what a record is found by (default: its id)
+     * label: what to call the file in error messages
+     */
+    constructor(file, { keyOf = record => record.id, label = path.basename(file) } = {}) {
+        this.file = file;
+        this.keyOf = keyOf;
+        this.label = label;
+        this.records = null; // key -> record, loaded on first use
+    }
+
+    load() {
+        if (this.records) return;
+        this.records = new Map();
+        try {
+            if (!fs.existsSync(this.file)) return;
+            for (const record of JSON.parse(fs.readFileSync(this.file, 'utf8'))) {
+                this.records.set(this.keyOf(record), record);
+            }
+        } catch (err) {
+            console.error(`Error loading ${this.label}:`, err.message);
+        }
+    }
+
+    save() {
+        try {
+            writeFileAtomic(this.file, JSON.stringify([...this.records.values()], null, 2));
+        } catch (err) {
+            console.error(`Error saving ${this.label}:`, err.message);
+        }
+    }
+
+    list() {
+        this.load();
+        return [...this.records.values()];
+    }
+
+    get(key) {
+        this.load();
+        return this.records.get(key) || null;
+    }
+
+    // Add or replace a record
+    put(record) {
+        this.load();
+        this.records.set(this.keyOf(record), record);
+        this.save();
+        return record;
+    }
+
+    // Change some fields of a record; null if there's no such record
+    update(key, fields) {
+        this.load();
+        const record = this.records.get(key);
+        if (!record) return null;
+        Object.assign(record, fields);
+        this.save();
+        return record;
+    }
+
+    remove(key) {
+        this.load();
+        const removed = this.records.delete(key);
+        if (removed) this.save();
+        return removed;
+    }
+}
+
+module.exports = {
+    writeFileAtomic,
+    JsonCollection
+};
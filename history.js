@@ -0,0 +1,109 @@
+/**
+ * LP / rank history
+ *
+ * Turns the rank snapshots in the player store into trajectories: LP gained,
+ * LP per day, games and win rate over the period, and whether a player is
+ * climbing, stuck or falling. Used by /api/player/:puuid/history and
+ * `cli.js history`.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// LP per day needed to count as climbing (or, negated, falling)
+const TREND_LP_PER_DAY = 10;
+
+/**
+ * Summarize one queue's snapshots (oldest first)
+ * Returns null when there is nothing to compare
+ */
+function summarizeSnapshots(snapshots) {
+    if (snapshots.length === 0) return null;
+
+    const first = snapshots[0];
+    const last = snapshots[snapshots.length - 1];
+    const lpChange = last.totalLP - first.totalLP;
+    const days = (last.at - first.at) / DAY_MS;
+    const games = (last.wins + last.losses) - (first.wins + first.losses);
+    const wins = last.wins - first.wins;
+
+    // Less than an hour of data says nothing about a trend
+    const lpPerDay = days >= 1 / 24 ? lpChange / days : null;
+    let trend = 'unknown';
+    if (lpPerDay !== null) {
+        if (lpPerDay >= TREND_LP_PER_DAY) trend = 'climbing';
+        else if (lpPerDay <= -TREND_LP_PER_DAY) trend = 'falling';
+        else trend = 'stuck';
+    }
+
+    return {
+        queue: last.queue,
+        from: { rank: first.rank, lp: first.lp, totalLP: first.totalLP, at: first.at },
+        to: { rank: last.rank, lp: last.lp, totalLP: last.totalLP, at: last.at },
+        lpChange,
+        days: Number(days.toFixed(2)),
+        lpPerDay: lpPerDay === null ? null : Number(lpPerDay.toFixed(1)),
+        games,
+        periodWinRate: games > 0 ? ((wins / games) * 100).toFixed(1) + '%' : null,
+        snapshots: snapshots.length,
+        trend
+    };
+}
+
+// Group snapshots by queue, keeping only those newer than `sinceDays` if given
+function byQueue(snapshots, sinceDays = null) {
+    const since = sinceDays ? Date.now() - sinceDays * DAY_MS : 0;
+    const queues = {};
+    for (const s of snapshots) {
+        if (s.at < since) continue;
+        (queues[s.queue] = queues[s.queue] || []).push(s);
+    }
+    return queues;
+}
+
+/**
+ * Full history of one player
+ * Options: days (only look at the last N days)
+ */
+function getPlayerHistory(store, puuid, { days = null } = {}) {
+    const player = store.getPlayer(puuid);
+    const snapshots = store.getSnapshots(puuid);
+    const queues = byQueue(snapshots, days);
+
+    return {
+        puuid,
+        name: player ? player.name : null,
+        region: player ? player.region : null,
+        summary: Object.values(queues).map(summarizeSnapshots).filter(Boolean),
+        snapshots: snapshots.filter(s => !days || s.at >= Date.now() - days * DAY_MS)
+    };
+}
+
+/**
+ * Stored players ranked by LP gained per day
+ * Options: days, queue ('Solo/Duo' or 'Flex'), limit, minSnapshots
+ */
+function getClimbers(store, { days = 7, queue = null, limit = 20, minSnapshots = 2 } = {}) {
+    const results = [];
+
+    for (const [puuid, snapshots] of store.getAllSnapshots()) {
+        const queues = byQueue(snapshots, days);
+        for (const [q, list] of Object.entries(queues)) {
+            if (queue && q !== queue) continue;
+            if (list.length < minSnapshots) continue;
+            const summary = summarizeSnapshots(list);
+            if (summary.lpPerDay === null) continue;
+            const player = store.getPlayer(puuid);
+            results.push({ puuid, name: player ? player.name : 'Unknown', region: player ? player.region : null, ...summary });
+        }
+    }
+
+    return results
+        .sort((a, b) => b.lpPerDay - a.lpPerDay)
+        .slice(0, limit);
+}
+
+module.exports = {
+    summarizeSnapshots,
+    getPlayerHistory,
+    getClimbers
+};
@@ -0,0 +1,372 @@
+/**
+ * Resumable scout jobs
+ *
+ * Every scout run is a job with a short ID. While it runs, scoutPlayers hands
+ * its progress (tried pages per combination, seen PUUIDs, processed matches,
+ * results so far) to the job after every page, and the job writes it to
+ * data/jobs/<id>.state.json. Everything else about the job (status, options,
+ * counts) is in data/jobs/<id>.json, so listing jobs never reads their
+ * checkpoints. A job that was stopped, failed or died with the process can be
+ * resumed from its last checkpoint.
+ *
+ * The server runs jobs through a JobQueue instead: they keep going after the
+ * client that started them disconnects, and any client can reattach to a
+ * job's live events later.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { scoutPlayers, CONFIG } = require('./scout.js');
+const { SearchSession } = require('./session.js');
+const { ConflictError, RateLimitError, AbortedError, toErrorResponse } = require('./errors.js');
+const { writeFileAtomic } = require('./files.js');
+
+// Finished jobs (completed, failed, stopped or interrupted) beyond this many are deleted, oldest first
+const MAX_FINISHED_JOBS = 100;
+
+// Jobs in these states may still be picked up or are running
+const UNFINISHED = ['pending', 'queued', 'running'];
+
+const RESUMABLE = ['paused', 'cancelled', 'failed', 'interrupted'];
+
+// Log lines kept for clients that attach to a job late
+const MAX_REPLAY_LOGS = 100;
+
+// Jobs allowed to wait for a free slot before enqueue() refuses more
+const MAX_WAITING_JOBS = 20;
+
+class JobStore {
+    constructor(dir) {
+        this.dir = dir;
+        this.active = new Set(); // IDs of jobs running in this process
+        this.queued = new Set(); // IDs of jobs waiting in a JobQueue in this process
+    }
+
+    fileFor(id, suffix = '') {
+        // Job IDs are hex; keep anything else out of the path
+        return path.join(this.dir, `${String(id).replace(/[^a-f0-9]/gi, '')}${suffix}.json`);
+    }
+
+    /**
+     * Create a job for a scoutPlayers call
+     * options: the scout options, minus session
+     * owner: name of the user who started it (auth.js), if any
+     */
+    create(options, owner = null) {
+        const now = Date.now();
+        const job = {
+            id: crypto.randomBytes(4).toString('hex'),
+            type: 'scout',
+            owner,
+            status: 'pending',
+            options,
+            state: null,
+            resultCount: 0,
+            error: null,
+            errorCode: null,
+            createdAt: now,
+            updatedAt: now,
+            finishedAt: null
+        };
+        this.save(job);
+        return job;
+    }
+
+    // The saved job file, or null
+    read(id) {
+        try {
+            const file = this.fileFor(id);
+            if (!fs.existsSync(file)) return null;
+            return this.withLiveStatus(JSON.parse(fs.readFileSync(file, 'utf8')));
+        } catch (err) {
+            console.error(`Error loading job ${id}:`, err.message);
+            return null;
+        }
+    }
+
+    // The job without its checkpoint state, or null
+    getHeader(id) {
+        const job = this.read(id);
+        if (job) delete job.state;
+        return job;
+    }
+
+    // The job with its checkpoint state (null before the first checkpoint), or null
+    get(id) {
+        const job = this.getHeader(id);
+        if (!job) return null;
+        job.state = null;
+        try {
+            const stateFile = this.fileFor(id, '.state');
+            if (fs.existsSync(stateFile)) job.state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+        } catch (err) {
+            console.error(`Error loading job ${id} checkpoint:`, err.message);
+        }
+        return job;
+    }
+
+    // Newest first, without checkpoint state
+    list() {
+        if (!fs.existsSync(this.dir)) return [];
+        return fs.readdirSync(this.dir)
+            .filter(file => /^[a-f0-9]+\.json$/i.test(file))
+            .map(file => this.getHeader(file.slice(0, -5)))
+            .filter(Boolean)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    // The checkpoint goes first, so the job never claims progress it hasn't saved
+    save(job) {
+        try {
+            job.updatedAt = Date.now();
+            const { state, ...header } = job;
+            if (state) writeFileAtomic(this.fileFor(job.id, '.state'), JSON.stringify(state));
+            writeFileAtomic(this.fileFor(job.id), JSON.stringify(header));
+        } catch (err) {
+            console.error(`Error saving job ${job.id}:`, err.message);
+        }
+    }
+
+    // A job saved as running (or queued) that isn't here was cut off by a restart
+    withLiveStatus(job) {
+        if ((job.status === 'running' && !this.active.has(job.id)) ||
+            (job.status === 'queued' && !this.queued.has(job.id))) {
+            job.status = 'interrupted';
+        }
+        return job;
+    }
+
+    isResumable(job) {
+        return RESUMABLE.includes(job.status);
+    }
+
+    // Delete the oldest finished jobs beyond MAX_FINISHED_JOBS
+    prune() {
+        const finished = this.list().filter(job => !UNFINISHED.includes(job.status));
+        for (const job of finished.slice(MAX_FINISHED_JOBS)) {
+            for (const file of [this.fileFor(job.id, '.state'), this.fileFor(job.id)]) {
+                fs.rmSync(file, { force: true });
+            }
+        }
+    }
+
+    /**
+     * Run (or resume) a job; resolves with the results
+     * session: SearchSession for logs/players/abort - an aborted run is left paused
+     */
+    async run(job, session) {
+        if (this.active.has(job.id)) {
+            throw new ConflictError(`Job ${job.id} is already running`);
+        }
+
+        this.active.add(job.id);
+        job.status = 'running';
+        job.error = null;
+        job.errorCode = null;
+        this.save(job);
+
+        const checkpoint = {
+            state: job.state,
+            save: state => {
+                job.state = state;
+                job.resultCount = state.results.length;
+                this.save(job);
+            }
+        };
+
+        try {
+            const results = await scoutPlayers({ ...job.options, session, checkpoint });
+            job.status = session.isAborted() ? 'paused' : 'completed';
+            job.finishedAt = job.status === 'completed' ? Date.now() : null;
+            return results;
+        } catch (err) {
+            job.status = session.isAborted() || err instanceof AbortedError ? 'paused' : 'failed';
+            job.error = job.status === 'failed' ? err.message : null;
+            job.errorCode = job.status === 'failed' ? toErrorResponse(err).body.code : null;
+            throw err;
+        } finally {
+            this.active.delete(job.id);
+            this.save(job);
+            this.prune();
+        }
+    }
+}
+
+// ============ QUEUE ============
+
+/**
+ * Runs jobs in the background, a few at a time
+ * Each queued or running job has a live entry with its own SearchSession;
+ * subscribers get its events ({ type: 'log' | 'player' | 'ratelimit' |
+ * 'complete' | 'error' | 'stopped' }) and nothing aborts it but cancel().
+ * apiKeyFor(job) picks the Riot key a job runs with (null = CONFIG.apiKey).
+ */
+class JobQueue {
+    constructor(store, { concurrency = CONFIG.jobs.concurrency, apiKeyFor = () => null } = {}) {
+        this.store = store;
+        this.concurrency = concurrency;
+        this.apiKeyFor = apiKeyFor;
+        this.waiting = []; // live entries not started yet, oldest first
+        this.live = new Map(); // job ID -> live entry
+    }
+
+    // Throws a RateLimitError when MAX_WAITING_JOBS are already waiting
+    checkCapacity() {
+        if (this.waiting.length >= MAX_WAITING_JOBS) {
+            throw new RateLimitError(`${this.waiting.length} searches are already waiting - try again when one finishes`);
+        }
+    }
+
+    /**
+     * Create and queue a job for scout options; returns the job
+     * Nothing is created when the queue is full
+     */
+    submit(options, owner = null) {
+        this.checkCapacity();
+        return this.enqueue(this.store.create(options, owner)).job;
+    }
+
+    /**
+     * Queue a new or resumable job; returns its live entry
+     */
+    enqueue(job) {
+        if (this.live.has(job.id)) return this.live.get(job.id);
+        this.checkCapacity();
+
+        const live = {
+            job,
+            session: new SearchSession(),
+            events: new EventEmitter(),
+            logs: [],
+            players: [],
+            started: false,
+            cancelled: false,
+            degraded: null // Last outage notice while Riot is failing, for late subscribers
+        };
+        live.session.apiKey = this.apiKeyFor(job);
+        live.session.on('log', message => {
+            live.logs.push(message);
+            if (live.logs.length > MAX_REPLAY_LOGS) live.logs.shift();
+            live.events.emit('event', { type: 'log', message });
+        });
+        live.session.on('player', player => {
+            live.players.push(player);
+            live.events.emit('event', { type: 'player', player });
+        });
+        live.session.on('ratelimit', ({ isLimited, seconds }) => {
+            live.events.emit('event', { type: 'ratelimit', isLimited, seconds });
+        });
+        live.session.on('degraded', details => {
+            live.degraded = details.isDegraded ? { type: 'degraded', ...details } : null;
+            live.events.emit('event', { type: 'degraded', ...details });
+        });
+
+        this.live.set(job.id, live);
+        this.store.queued.add(job.id);
+        job.status = 'queued';
+        this.store.save(job);
+        this.waiting.push(live);
+        this.pump();
+        return live;
+    }
+
+    /**
+     * Stop a queued or running job; it's left cancelled and can be resumed
+     * Returns false when the job isn't queued or running here
+     */
+    cancel(id) {
+        const live = this.live.get(id);
+        if (!live) return false;
+
+        live.cancelled = true;
+        if (live.started) {
+            live.session.abort();
+            return true;
+        }
+
+        this.waiting = this.waiting.filter(w => w !== live);
+        this.store.queued.delete(id);
+        live.job.status = 'cancelled';
+        this.store.save(live.job);
+        this.finish(live, { type: 'stopped', status: 'cancelled', jobId: id });
+        return true;
+    }
+
+    /**
+     * Follow a queued or running job: replays the players found and recent
+     * log lines, then forwards live events until it finishes
+     * Returns an unsubscribe function, or null when the job isn't live here
+     */
+    subscribe(id, listener) {
+        const live = this.live.get(id);
+        if (!live) return null;
+
+        for (const message of live.logs) listener({ type: 'log', message });
+        for (const player of live.players) listener({ type: 'player', player });
+        if (live.degraded) listener(live.degraded);
+        live.events.on('event', listener);
+        return () => live.events.off('event', listener);
+    }
+
+    // Sessions of running jobs
+    sessions() {
+        return [...this.live.values()].filter(live => live.started).map(live => live.session);
+    }
+
+    runningCount() {
+        return this.live.size - this.waiting.length;
+    }
+
+    pump() {
+        while (this.waiting.length > 0 && this.runningCount() < this.concurrency) {
+            this.start(this.waiting.shift());
+        }
+    }
+
+    async start(live) {
+        const { job } = live;
+        live.started = true;
+        this.store.queued.delete(job.id);
+
+        let event;
+        try {
+            const results = await this.store.run(job, live.session);
+            event = live.session.isAborted()
+                ? { type: 'stopped', status: job.status, jobId: job.id }
+                : { type: 'complete', results, jobId: job.id };
+        } catch (err) {
+            event = job.status === 'failed'
+                ? { type: 'error', message: err.message, code: job.errorCode, jobId: job.id }
+                : { type: 'stopped', status: job.status, jobId: job.id };
+        }
+
+        event.retryStats = { ...live.session.retryStats };
+
+        // An abort from cancel() leaves the job cancelled rather than paused
+        if (live.cancelled && job.status === 'paused') {
+            job.status = 'cancelled';
+            this.store.save(job);
+            event.status = 'cancelled';
+        }
+
+        this.finish(live, event);
+        this.pump();
+    }
+
+    finish(live, event) {
+        this.live.delete(live.job.id);
+        live.events.emit('event', event);
+        live.events.removeAllListeners();
+        live.session.removeAllListeners();
+    }
+}
+
+const jobStore = new JobStore(path.join(CONFIG.dataDir, 'jobs'));
+
+module.exports = {
+    JobStore,
+    JobQueue,
+    jobStore
+};
@@ -0,0 +1,129 @@
+/**
+ * Persistent Match-V5 cache
+ *
+ * A finished match never changes, so every match we download is kept on disk
+ * (one JSON file per matchId) and served from there next time. The store is
+ * bounded by entry count and total size; when it grows past either limit the
+ * least recently used matches are evicted. File mtimes record last use, so
+ * the LRU order survives restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./files.js');
+
+class MatchStore {
+    constructor(dir, { maxEntries = 5000, maxBytes = 250 * 1024 * 1024 } = {}) {
+        this.dir = dir;
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.index = null; // matchId -> { size, usedAt }, built on first use
+        this.totalBytes = 0;
+        this.stats = { hits: 0, misses: 0, evictions: 0 };
+    }
+
+    // Build the index from the files on disk
+    load() {
+        if (this.index) return;
+        this.index = new Map();
+        this.totalBytes = 0;
+        try {
+            if (!fs.existsSync(this.dir)) return;
+            for (const file of fs.readdirSync(this.dir)) {
+                if (!file.endsWith('.json')) continue;
+                const stat = fs.statSync(path.join(this.dir, file));
+                this.index.set(file.slice(0, -5), { size: stat.size, usedAt: stat.mtimeMs });
+                this.totalBytes += stat.size;
+            }
+        } catch (err) {
+            console.error('Error loading match store:', err.message);
+        }
+    }
+
+    fileFor(matchId) {
+        // Match IDs look like NA1_1234567890; keep anything else out of the path
+        return path.join(this.dir, `${String(matchId).replace(/[^A-Za-z0-9_-]/g, '_')}.json`);
+    }
+
+    has(matchId) {
+        this.load();
+        return this.index.has(matchId);
+    }
+
+    // Get a stored match, or null
+    get(matchId) {
+        this.load();
+        const entry = this.index.get(matchId);
+        if (!entry) {
+            this.stats.misses++;
+            return null;
+        }
+
+        try {
+            const file = this.fileFor(matchId);
+            const match = JSON.parse(fs.readFileSync(file, 'utf8'));
+            const now = Date.now();
+            entry.usedAt = now;
+            fs.utimesSync(file, new Date(now), new Date(now));
+            this.stats.hits++;
+            return match;
+        } catch (err) {
+            // Missing or corrupt file - forget it and fetch again
+            this.remove(matchId);
+            this.stats.misses++;
+            return null;
+        }
+    }
+
+    // Store a match, then evict down to the limits
+    put(matchId, match) {
+        this.load();
+        try {
+            const data = JSON.stringify(match);
+            writeFileAtomic(this.fileFor(matchId), data);
+
+            const previous = this.index.get(matchId);
+            if (previous) this.totalBytes -= previous.size;
+            const size = Buffer.byteLength(data);
+            this.index.set(matchId, { size, usedAt: Date.now() });
+            this.totalBytes += size;
+
+            this.evict();
+        } catch (err) {
+            console.error('Error saving match to store:', err.message);
+        }
+    }
+
+    remove(matchId) {
+        const entry = this.index.get(matchId);
+        if (!entry) return;
+        this.index.delete(matchId);
+        this.totalBytes -= entry.size;
+        try {
+            fs.unlinkSync(this.fileFor(matchId));
+        } catch (err) {
+            // Already gone
+        }
+    }
+
+    // Drop least recently used matches until both limits hold
+    evict() {
+        if (this.index.size <= this.maxEntries && this.totalBytes <= this.maxBytes) return;
+
+        const byAge = [...this.index.entries()].sort((a, b) => a[1].usedAt - b[1].usedAt);
+        for (const [matchId] of byAge) {
+            if (this.index.size <= this.maxEntries && this.totalBytes <= this.maxBytes) break;
+            this.remove(matchId);
+            this.stats.evictions++;
+        }
+    }
+
+    size() {
+        this.load();
+        return this.index.size;
+    }
+}
+
+module.exports = {
+    MatchStore
+};
@@ -0,0 +1,53 @@
+/**
+ * Ordered concurrent pipeline
+ *
+ * scoutPlayers checks many candidates at once - each check is a few Riot
+ * requests that mostly wait on the network or the rate limiter - but still
+ * has to add players, stream them and stop at maxPlayers exactly as a plain
+ * loop would. runOrdered splits each item into:
+ *   task(item)            the slow part, up to `concurrency` items at once
+ *   commit(result, item)  the rest, one item at a time in item order - a
+ *                         task that finishes early waits for the ones before it
+ * so the results (and their order) don't depend on which request was fastest.
+ */
+
+/**
+ * Run items through task and commit (see above)
+ * shouldStop() is checked before each task starts and each commit: once it's
+ * true nothing more starts or commits, but running tasks are waited for.
+ * An error from a task or commit stops the pipeline the same way and is
+ * rethrown once every running task has settled.
+ */
+async function runOrdered(items, { concurrency = 1, task, commit, shouldStop = () => false }) {
+    const started = []; // { item, promise } in item order, not committed yet
+    let next = 0;
+    let error = null;
+
+    // Tasks wait for their commit, so at most `concurrency` items are between the two
+    const startTasks = () => {
+        while (!error && next < items.length && started.length < concurrency && !shouldStop()) {
+            const item = items[next++];
+            const promise = Promise.resolve().then(() => task(item));
+            promise.catch(() => {}); // Handled when its turn comes
+            started.push({ item, promise });
+        }
+    };
+
+    startTasks();
+    while (started.length > 0) {
+        const { item, promise } = started.shift();
+        try {
+            const result = await promise;
+            if (!error && !shouldStop()) await commit(result, item);
+        } catch (err) {
+            if (!error) error = err;
+        }
+        startTasks();
+    }
+
+    if (error) throw error;
+}
+
+module.exports = {
+    runOrdered
+};
@@ -0,0 +1,205 @@
+/**
+ * Riot API rate limiting
+ *
+ * Riot enforces several windows at once (e.g. 20 per second AND 100 per
+ * 2 minutes for a dev key), both for the whole application and for each
+ * method (endpoint). The limits and current counts come back on every
+ * response in the X-App-Rate-Limit / X-Method-Rate-Limit headers, so the
+ * limiters start from configured defaults and then follow what Riot reports.
+ * Docs: https://developer.riotgames.com/docs/portal#web-apis_rate-limiting
+ */
+
+const { NOTIFY_THRESHOLD_MS, wait } = require('./wait.js');
+
+// Extra time added to each window to absorb clock drift between us and Riot
+const WINDOW_MARGIN_MS = 100;
+
+/**
+ * Parse a rate limit header like "20:1,100:120" into
+ * [{ count: 20, seconds: 1 }, { count: 100, seconds: 120 }]
+ */
+function parseRateLimitHeader(value) {
+    if (!value) return [];
+    return value.split(',')
+        .map(part => part.trim().split(':').map(Number))
+        .filter(([count, seconds]) => Number.isFinite(count) && Number.isFinite(seconds) && seconds > 0)
+        .map(([count, seconds]) => ({ count, seconds }));
+}
+
+/**
+ * Sliding-window limiter over any number of windows
+ * Remembers the timestamp of every request still inside its longest window
+ */
+class RateLimiter {
+    constructor(limits = []) {
+        this.windows = [];
+        this.timestamps = [];
+        this.blockedUntil = 0;
+        this.setLimits(limits);
+    }
+
+    // Replace the windows, e.g. after Riot told us the real limits
+    setLimits(limits) {
+        if (limits.length === 0) return;
+        this.windows = limits
+            .map(({ count, seconds }) => ({ count, ms: seconds * 1000 + WINDOW_MARGIN_MS }))
+            .sort((a, b) => a.ms - b.ms);
+    }
+
+    // Riot counted more requests than we did (another process, a restart) - catch up
+    syncCounts(counts, now = Date.now()) {
+        for (const { count, seconds } of counts) {
+            const windowMs = seconds * 1000 + WINDOW_MARGIN_MS;
+            const local = this.timestamps.filter(t => now - t < windowMs).length;
+            for (let i = local; i < count; i++) {
+                this.timestamps.push(now);
+            }
+        }
+        this.timestamps.sort((a, b) => a - b);
+    }
+
+    // Nothing may go out before now + seconds (Retry-After)
+    blockFor(seconds, now = Date.now()) {
+        this.blockedUntil = Math.max(this.blockedUntil, now + seconds * 1000);
+    }
+
+    // Milliseconds until one more request fits in every window (0 = go now)
+    getDelay(now = Date.now()) {
+        this.prune(now);
+        let delay = Math.max(0, this.blockedUntil - now);
+
+        for (const { count, ms } of this.windows) {
+            const inWindow = this.timestamps.filter(t => now - t < ms);
+            if (inWindow.length >= count) {
+                // Wait until enough of the oldest requests fall out of the window
+                const oldest = inWindow[inWindow.length - count];
+                delay = Math.max(delay, oldest + ms - now);
+            }
+        }
+
+        return delay;
+    }
+
+    record(now = Date.now()) {
+        this.timestamps.push(now);
+    }
+
+    prune(now) {
+        const longest = this.windows.length > 0 ? this.windows[this.windows.length - 1].ms : 0;
+        while (this.timestamps.length > 0 && now - this.timestamps[0] >= longest) {
+            this.timestamps.shift();
+        }
+    }
+}
+
+/**
+ * Limiters for every routing value we talk to
+ * Riot counts limits separately per routing value (na1, euw1, americas, ...),
+ * so each host gets its own application limiter plus one limiter per method.
+ * A burst of Match-V5 calls on americas then never delays League-V4 on na1.
+ */
+class RateLimitBuckets {
+    constructor({ appLimits = [], fallbackRetrySeconds = 10 } = {}) {
+        this.appLimits = appLimits;
+        this.hosts = new Map();
+        this.fallbackRetrySeconds = fallbackRetrySeconds;
+        // Requests of a session in an announced wait - a search checking several players
+        // at once announces the wait once, and its end when the last of them goes out
+        this.waiting = new WeakMap();
+    }
+
+    getHost(host) {
+        if (!this.hosts.has(host)) {
+            this.hosts.set(host, { app: new RateLimiter(this.appLimits), methods: new Map() });
+        }
+        return this.hosts.get(host);
+    }
+
+    getMethodLimiter(host, method) {
+        const { methods } = this.getHost(host);
+        if (!methods.has(method)) {
+            methods.set(method, new RateLimiter());
+        }
+        return methods.get(method);
+    }
+
+    /**
+     * Wait until a request to `method` on `host` fits in both the app and method windows
+     * session (optional) is told about long waits and can abort them
+     */
+    async acquire(host, method, session = null) {
+        const limiters = [this.getHost(host).app, this.getMethodLimiter(host, method)];
+        let notified = false;
+
+        const stopWaiting = () => {
+            if (!notified) return;
+            const count = this.waiting.get(session) - 1;
+            this.waiting.set(session, count);
+            if (count === 0) session.rateLimit(false, 0);
+        };
+
+        for (;;) {
+            const now = Date.now();
+            const delay = Math.max(...limiters.map(l => l.getDelay(now)));
+
+            if (delay <= 0) {
+                limiters.forEach(l => l.record(now));
+                stopWaiting();
+                return;
+            }
+
+            if (session && !notified && delay >= NOTIFY_THRESHOLD_MS) {
+                notified = true;
+                const count = this.waiting.get(session) || 0;
+                this.waiting.set(session, count + 1);
+                if (count === 0) {
+                    session.log(`\n⏳ Rate limit reached on ${host} - waiting ${Math.ceil(delay / 1000)}s...`);
+                    session.rateLimit(true, Math.ceil(delay / 1000));
+                }
+            }
+
+            try {
+                await wait(Math.min(delay, 1000), session);
+            } catch (err) {
+                stopWaiting();
+                throw err;
+            }
+        }
+    }
+
+    // Follow the limits and counts Riot reports on a response
+    update(host, method, headers) {
+        const { app } = this.getHost(host);
+        const methodLimiter = this.getMethodLimiter(host, method);
+        const now = Date.now();
+
+        app.setLimits(parseRateLimitHeader(headers.get('x-app-rate-limit')));
+        app.syncCounts(parseRateLimitHeader(headers.get('x-app-rate-limit-count')), now);
+        methodLimiter.setLimits(parseRateLimitHeader(headers.get('x-method-rate-limit')));
+        methodLimiter.syncCounts(parseRateLimitHeader(headers.get('x-method-rate-limit-count')), now);
+    }
+
+    /**
+     * Handle a 429: block the limiter Riot says we exceeded for Retry-After seconds
+     * Returns the number of seconds blocked
+     */
+    handleRateLimited(host, method, headers) {
+        const retryAfter = parseInt(headers.get('retry-after'));
+        const seconds = Number.isFinite(retryAfter) ? retryAfter : this.fallbackRetrySeconds;
+        const type = headers.get('x-rate-limit-type'); // application, method or service
+
+        if (type === 'application') {
+            this.getHost(host).app.blockFor(seconds);
+        } else {
+            this.getMethodLimiter(host, method).blockFor(seconds);
+        }
+
+        return seconds;
+    }
+}
+
+module.exports = {
+    RateLimiter,
+    RateLimitBuckets,
+    parseRateLimitHeader
+};
@@ -0,0 +1,88 @@
+/**
+ * Riot platforms and their regional routing
+ *
+ * League/Summoner endpoints live on the platform host (na1, euw1, ...),
+ * Match-V5 and Account-V1 on the regional host (americas, europe, ...).
+ * Everything that takes a region goes through here, so a platform is always
+ * paired with the right routing and a typo fails loudly instead of 404ing.
+ * Docs: https://developer.riotgames.com/docs/lol#routing-values
+ */
+
+const { ValidationError } = require('./errors.js');
+
+const PLATFORMS = {
+    na1: { name: 'NA', routing: 'americas' },
+    br1: { name: 'BR', routing: 'americas' },
+    la1: { name: 'LAN', routing: 'americas' },
+    la2: { name: 'LAS', routing: 'americas' },
+    euw1: { name: 'EUW', routing: 'europe' },
+    eun1: { name: 'EUNE', routing: 'europe' },
+    tr1: { name: 'TR', routing: 'europe' },
+    ru: { name: 'RU', routing: 'europe' },
+    me1: { name: 'ME', routing: 'europe' },
+    kr: { name: 'KR', routing: 'asia' },
+    jp1: { name: 'JP', routing: 'asia' },
+    oc1: { name: 'OCE', routing: 'sea' },
+    ph2: { name: 'PH', routing: 'sea' },
+    sg2: { name: 'SG', routing: 'sea' },
+    th2: { name: 'TH', routing: 'sea' },
+    tw2: { name: 'TW', routing: 'sea' },
+    vn2: { name: 'VN', routing: 'sea' }
+};
+
+// Account-V1 has no sea cluster; accounts are global, so asia serves those players
+const ACCOUNT_ROUTING = {
+    americas: 'americas',
+    europe: 'europe',
+    asia: 'asia',
+    sea: 'asia'
+};
+
+/**
+ * Resolve a platform id or display name ("na1", "NA", "euw") to a platform id
+ * Throws on anything unknown
+ */
+function normalizePlatform(value) {
+    const key = String(value || '').trim().toLowerCase();
+    if (PLATFORMS[key]) return key;
+
+    const byName = Object.keys(PLATFORMS).find(id => PLATFORMS[id].name.toLowerCase() === key);
+    if (byName) return byName;
+
+    throw new ValidationError(`Unknown region "${value}". Valid regions: ${Object.keys(PLATFORMS).join(', ')}`);
+}
+
+/**
+ * Parse one or more regions ("na1,euw1" or ['na1', 'EUW']) into unique platform ids
+ */
+function parseRegions(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    const platforms = list
+        .map(r => String(r).trim())
+        .filter(Boolean)
+        .map(normalizePlatform);
+
+    if (platforms.length === 0) {
+        throw new ValidationError('At least one region is required');
+    }
+
+    return [...new Set(platforms)];
+}
+
+// Match-V5 routing for a platform, e.g. euw1 -> europe
+function getRouting(platform) {
+    return PLATFORMS[normalizePlatform(platform)].routing;
+}
+
+// Account-V1 routing for a platform, e.g. oc1 -> asia
+function getAccountRouting(platform) {
+    return ACCOUNT_ROUTING[getRouting(platform)];
+}
+
+module.exports = {
+    PLATFORMS,
+    normalizePlatform,
+    parseRegions,
+    getRouting,
+    getAccountRouting
+};
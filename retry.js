@@ -0,0 +1,150 @@
+/**
+ * Riot API retries and circuit breaker
+ *
+ * A 500/502/503/504, a network failure or a timeout usually passes, so
+ * apiRequest tries again with exponential backoff and jitter instead of
+ * failing the search. When a host keeps failing, its circuit breaker opens:
+ * nothing more is sent there until a cooldown has passed, then a single
+ * probe request decides whether to close it again or wait longer.
+ * 401/403/404/429 are answers from a healthy Riot and aren't retried here.
+ */
+
+const { NOTIFY_THRESHOLD_MS, wait } = require('./wait.js');
+
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+
+// While a probe is out, other requests to that host check back this often
+const PROBE_POLL_MS = 250;
+
+class RetryPolicy {
+    // options: { maxRetries, baseDelayMs, maxDelayMs, timeoutSeconds }, read live like RiotTransport's
+    constructor(options = {}, random = Math.random) {
+        this.options = options;
+        this.random = random;
+    }
+
+    get maxRetries() {
+        return this.options.maxRetries ?? 3;
+    }
+
+    get timeoutMs() {
+        return (this.options.timeoutSeconds ?? 10) * 1000;
+    }
+
+    isRetryableStatus(status) {
+        return RETRYABLE_STATUSES.includes(status);
+    }
+
+    /**
+     * Wait before retry number `retry` (1 = first): doubles each time up to
+     * maxDelayMs, and a random half of it is dropped so clients that failed
+     * together don't all come back at the same moment
+     */
+    delay(retry) {
+        const { baseDelayMs = 500, maxDelayMs = 8000 } = this.options;
+        const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (retry - 1));
+        return Math.round(ceiling / 2 + this.random() * ceiling / 2);
+    }
+}
+
+/**
+ * Breaker per host (na1, americas, ...) - Riot degrades by region
+ *   closed     requests go out; consecutive failures are counted
+ *   open       failureThreshold failures in a row - wait out the cooldown
+ *   half-open  cooldown over - one probe goes out, the rest wait for it
+ * A failed probe opens it again with twice the cooldown (up to maxCooldownSeconds).
+ */
+class CircuitBreaker {
+    // options: { failureThreshold, cooldownSeconds, maxCooldownSeconds }, read as for RetryPolicy
+    constructor(options = {}) {
+        this.options = options;
+        this.hosts = new Map();
+        this.announced = new WeakMap(); // session -> end of the last pause it was told about
+    }
+
+    getHost(host) {
+        if (!this.hosts.has(host)) {
+            this.hosts.set(host, { failures: 0, openUntil: 0, cooldownMs: 0, probing: false });
+        }
+        return this.hosts.get(host);
+    }
+
+    state(host, now = Date.now()) {
+        const entry = this.getHost(host);
+        if (entry.openUntil === 0) return 'closed';
+        return now < entry.openUntil ? 'open' : 'half-open';
+    }
+
+    // Milliseconds until a request to host may go out (0 = now)
+    getDelay(host, now = Date.now()) {
+        const entry = this.getHost(host);
+        const state = this.state(host, now);
+        if (state === 'open') return entry.openUntil - now;
+        if (state === 'half-open' && entry.probing) return PROBE_POLL_MS;
+        return 0;
+    }
+
+    /**
+     * Wait until a request to host may go out
+     * session (optional) is told about long waits and can abort them
+     */
+    async acquire(host, session = null) {
+        let notified = false;
+        for (;;) {
+            const delay = this.getDelay(host);
+            if (delay <= 0) {
+                // The first request after the cooldown is the probe
+                if (this.state(host) === 'half-open') this.getHost(host).probing = true;
+                return;
+            }
+
+            if (session && !notified && delay >= NOTIFY_THRESHOLD_MS) {
+                notified = true;
+                // Once per pause, however many of the session's requests wait in it
+                const entry = this.getHost(host);
+                if (this.announced.get(session) !== entry.openUntil) {
+                    this.announced.set(session, entry.openUntil);
+                    session.log(`\n🔌 Riot API on ${host} is failing - pausing requests for ${Math.ceil(delay / 1000)}s...`);
+                    session.degraded(true, { host, seconds: Math.ceil(delay / 1000), reason: 'circuit open' });
+                }
+            }
+            await wait(Math.min(delay, 1000), session);
+        }
+    }
+
+    // Riot answered (whatever the status) - close the breaker
+    success(host) {
+        const entry = this.getHost(host);
+        entry.failures = 0;
+        entry.openUntil = 0;
+        entry.cooldownMs = 0;
+        entry.probing = false;
+    }
+
+    /**
+     * A retryable failure; returns the cooldown in ms if this opened
+     * the breaker, else 0
+     */
+    failure(host, now = Date.now()) {
+        const { failureThreshold = 5, cooldownSeconds = 30, maxCooldownSeconds = 300 } = this.options;
+        const entry = this.getHost(host);
+        entry.failures++;
+
+        if (entry.probing) {
+            entry.probing = false;
+            entry.cooldownMs = Math.min(entry.cooldownMs * 2, maxCooldownSeconds * 1000);
+        } else if (entry.openUntil === 0 && entry.failures >= failureThreshold) {
+            entry.cooldownMs = cooldownSeconds * 1000;
+        } else {
+            return 0;
+        }
+        entry.openUntil = now + entry.cooldownMs;
+        return entry.cooldownMs;
+    }
+}
+
+module.exports = {
+    RetryPolicy,
+    CircuitBreaker,
+    RETRYABLE_STATUSES
+};
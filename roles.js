@@ -0,0 +1,82 @@
+/**
+ * Summoner's Rift roles
+ *
+ * Match-V5 reports a participant's role as teamPosition: TOP, JUNGLE,
+ * MIDDLE, BOTTOM or UTILITY (empty outside Summoner's Rift). Everything that
+ * takes a role goes through here so "mid", "adc" and "support" work too.
+ */
+
+const { ValidationError } = require('./errors.js');
+
+const ROLES = ['TOP', 'JUNGLE', 'MIDDLE', 'BOTTOM', 'UTILITY'];
+
+const ROLE_ALIASES = {
+    JG: 'JUNGLE',
+    JUNGLER: 'JUNGLE',
+    MID: 'MIDDLE',
+    BOT: 'BOTTOM',
+    ADC: 'BOTTOM',
+    SUPPORT: 'UTILITY',
+    SUP: 'UTILITY',
+    SUPP: 'UTILITY'
+};
+
+/**
+ * Resolve a role or alias ("mid", "ADC", "UTILITY") to a teamPosition
+ * Throws on anything unknown
+ */
+function normalizeRole(value) {
+    const key = String(value || '').trim().toUpperCase();
+    if (ROLES.includes(key)) return key;
+    if (ROLE_ALIASES[key]) return ROLE_ALIASES[key];
+
+    throw new ValidationError(`Unknown role "${value}". Valid roles: ${ROLES.join(', ')}`);
+}
+
+/**
+ * Parse one or more roles ("mid,support" or ['TOP', 'jg']) into unique teamPositions
+ * Returns an empty array when no roles are given (= no role filter)
+ */
+function parseRoles(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    const roles = list
+        .map(r => String(r).trim())
+        .filter(Boolean)
+        .map(normalizeRole);
+
+    return [...new Set(roles)];
+}
+
+/**
+ * Work out a player's main role from their matches
+ * Returns { mainRole, roleCounts, gamesAnalyzed }; mainRole is null without Rift games
+ */
+function getMainRole(matches, puuid) {
+    const roleCounts = {};
+    let gamesAnalyzed = 0;
+
+    for (const match of matches) {
+        const participant = match?.info?.participants?.find(p => p.puuid === puuid);
+        if (!participant || !ROLES.includes(participant.teamPosition)) continue;
+        roleCounts[participant.teamPosition] = (roleCounts[participant.teamPosition] || 0) + 1;
+        gamesAnalyzed++;
+    }
+
+    // Most played wins; ties go to the role listed first in ROLES
+    let mainRole = null;
+    for (const role of ROLES) {
+        if (roleCounts[role] && (!mainRole || roleCounts[role] > roleCounts[mainRole])) {
+            mainRole = role;
+        }
+    }
+
+    return { mainRole, roleCounts, gamesAnalyzed };
+}
+
+module.exports = {
+    ROLES,
+    normalizeRole,
+    parseRoles,
+    getMainRole
+};
@@ -0,0 +1,473 @@
+/**
+ * Scheduled scouts
+ *
+ * A schedule is a saved set of scout options plus a cron expression
+ * ("0 9,21 * * *" = 9:00 and 21:00 every day). Schedules live in data/schedules.json;
+ * every run is saved to data/schedule-runs/<scheduleId>/<runId>.json along
+ * with what changed since the previous run: new players, players whose LP
+ * moved, and players who dropped out of the searched range.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+    scoutPlayers,
+    getLeagueEntriesByPuuid,
+    toTotalLP,
+    isApexTier,
+    playerStore,
+    CONFIG
+} = require('./scout.js');
+const { SearchSession } = require('./session.js');
+const { ValidationError, ConflictError } = require('./errors.js');
+const { writeFileAtomic, JsonCollection } = require('./files.js');
+
+// Older runs beyond this many per schedule are deleted
+const MAX_RUNS_PER_SCHEDULE = 50;
+
+// How often the scheduler looks for due schedules
+const TICK_SECONDS = 30;
+
+// ============ CRON ============
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+const CRON_MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+function parseCronField(value, { name, min, max }) {
+    const values = new Set();
+
+    for (const part of value.split(',')) {
+        const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) throw new ValidationError(`Invalid cron ${name}: "${value}"`);
+
+        const step = match[4] ? parseInt(match[4]) : 1;
+        let from = min;
+        let to = max;
+        if (match[1] !== '*') {
+            from = parseInt(match[2]);
+            // "5/15" means from 5 to the end, every 15
+            to = match[3] !== undefined ? parseInt(match[3]) : (match[4] ? max : from);
+        }
+        if (from < min || to > max || from > to || step < 1) {
+            throw new ValidationError(`Invalid cron ${name}: "${value}" (allowed ${min}-${max})`);
+        }
+
+        for (let v = from; v <= to; v += step) values.add(v);
+    }
+
+    return values;
+}
+
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month day-of-week)
+ * Supports *, lists, ranges, steps and @hourly/@daily/@weekly/@monthly
+ * Throws on anything invalid
+ */
+function parseCron(expression) {
+    const expr = String(expression || '').trim();
+    const fields = (CRON_MACROS[expr.toLowerCase()] || expr).split(/\s+/);
+    if (fields.length !== 5) {
+        throw new ValidationError(`Invalid cron expression "${expression}" - expected 5 fields: minute hour day month weekday`);
+    }
+
+    const cron = {};
+    CRON_FIELDS.forEach((field, i) => {
+        cron[field.name] = parseCronField(fields[i], field);
+    });
+    if (cron.dayOfWeek.has(7)) cron.dayOfWeek.add(0);
+
+    // Like cron: when both day fields are restricted, either one matching is enough
+    cron.anyDayOfMonth = fields[2] === '*';
+    cron.anyDayOfWeek = fields[4] === '*';
+    return cron;
+}
+
+function cronMatches(cron, date) {
+    if (!cron.minute.has(date.getMinutes()) || !cron.hour.has(date.getHours()) || !cron.month.has(date.getMonth() + 1)) {
+        return false;
+    }
+    const dom = cron.dayOfMonth.has(date.getDate());
+    const dow = cron.dayOfWeek.has(date.getDay());
+    if (cron.anyDayOfMonth || cron.anyDayOfWeek) return dom && dow;
+    return dom || dow;
+}
+
+/**
+ * Next time (ms) after `from` that a cron expression fires, in local time
+ * Returns null if it doesn't fire within a year (e.g. "0 0 31 2 *")
+ */
+function getNextRun(expression, from = Date.now()) {
+    const cron = parseCron(expression);
+    const date = new Date(from);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = from + 366 * 24 * 60 * 60 * 1000;
+    while (date.getTime() <= limit) {
+        if (cronMatches(cron, date)) return date.getTime();
+        date.setMinutes(date.getMinutes() + 1);
+    }
+    return null;
+}
+
+// ============ SCHEDULES ============
+
+class ScheduleStore extends JsonCollection {
+    constructor(file, runsDir) {
+        super(file, { label: 'schedules' });
+        this.runsDir = runsDir;
+    }
+
+    // By ID or (case-insensitive) name
+    get(idOrName) {
+        const wanted = String(idOrName).toLowerCase();
+        return super.get(idOrName) ||
+            this.list().find(s => s.name.toLowerCase() === wanted) ||
+            null;
+    }
+
+    /**
+     * Add a schedule
+     * schedule: { name, cron, options } - options are scoutPlayers options (minus session)
+     */
+    add({ name, cron, options = {} }) {
+        if (!name || !String(name).trim()) throw new ValidationError('Schedule name is required');
+        if (this.get(name)) throw new ConflictError(`A schedule named "${name}" already exists`);
+        if (getNextRun(cron) === null) throw new ValidationError(`Cron expression "${cron}" never fires`);
+
+        const schedule = {
+            id: crypto.randomBytes(4).toString('hex'),
+            name: String(name).trim(),
+            cron: String(cron).trim(),
+            options,
+            createdAt: Date.now(),
+            nextRunAt: getNextRun(cron),
+            lastRunAt: null,
+            lastRunId: null
+        };
+        return this.put(schedule);
+    }
+
+    // Remove a schedule and its runs
+    remove(id) {
+        if (!super.remove(id)) return false;
+        fs.rmSync(this.runDir(id), { recursive: true, force: true });
+        return true;
+    }
+
+    runDir(scheduleId) {
+        return path.join(this.runsDir, String(scheduleId).replace(/[^a-f0-9]/gi, ''));
+    }
+
+    saveRun(run) {
+        try {
+            writeFileAtomic(path.join(this.runDir(run.scheduleId), `${run.id}.json`), JSON.stringify(run, null, 2));
+        } catch (err) {
+            console.error(`Error saving run ${run.id}:`, err.message);
+        }
+        this.pruneRuns(run.scheduleId);
+    }
+
+    // Runs of a schedule, newest first
+    listRuns(scheduleId) {
+        const dir = this.runDir(scheduleId);
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => this.getRun(scheduleId, file.slice(0, -5)))
+            .filter(Boolean)
+            .sort((a, b) => b.startedAt - a.startedAt);
+    }
+
+    getRun(scheduleId, runId) {
+        try {
+            const file = path.join(this.runDir(scheduleId), `${String(runId).replace(/[^a-z0-9-]/gi, '')}.json`);
+            if (!fs.existsSync(file)) return null;
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            console.error(`Error loading run ${runId}:`, err.message);
+            return null;
+        }
+    }
+
+    // Last completed run (the baseline for the next diff)
+    lastCompletedRun(scheduleId) {
+        return this.listRuns(scheduleId).find(run => run.status === 'completed') || null;
+    }
+
+    pruneRuns(scheduleId) {
+        for (const run of this.listRuns(scheduleId).slice(MAX_RUNS_PER_SCHEDULE)) {
+            try {
+                fs.unlinkSync(path.join(this.runDir(scheduleId), `${run.id}.json`));
+            } catch (err) {
+                // Already gone
+            }
+        }
+    }
+}
+
+// ============ DIFFING ============
+
+const QUEUE_TYPES = { 'Solo/Duo': 'RANKED_SOLO_5x5', 'Flex': 'RANKED_FLEX_SR' };
+
+// What a run keeps of each found player
+function slimPlayer(player) {
+    const { puuid, name, region, queue, rank, lp, totalLP, wins, losses } = player;
+    return { puuid, name, region, queue, rank, lp, totalLP, wins, losses };
+}
+
+/**
+ * The rank range a schedule searches: { minLP, maxLP } from an LP range,
+ * one division for tier/division, or { tier } for an apex tier
+ */
+function getSearchRange(options) {
+    if (options.lpRange) {
+        const [minLP, maxLP] = options.lpRange.split('-').map(Number);
+        return { minLP, maxLP };
+    }
+    const tier = (options.tier || 'GOLD').toUpperCase();
+    if (isApexTier(tier)) return { tier };
+    const minLP = toTotalLP(tier, options.division || 'II', 0);
+    return { minLP, maxLP: minLP + 99 };
+}
+
+// Players picked up from a match without enrichment have no LP of their own
+const hasLP = player => typeof player.totalLP === 'number';
+
+function isInRange(player, range) {
+    if (range.tier) return player.rank === range.tier;
+    return player.totalLP >= range.minLP && player.totalLP <= range.maxLP;
+}
+
+// Current rank of a player in the queue they were found in, or null if unranked there
+async function fetchCurrentRank(player, ctx) {
+    const entries = await getLeagueEntriesByPuuid(player.puuid, { ...ctx, region: player.region });
+    const entry = (entries || []).find(e => e.queueType === QUEUE_TYPES[player.queue]);
+    if (!entry) return null;
+    return {
+        queue: player.queue,
+        rank: isApexTier(entry.tier) ? entry.tier : `${entry.tier} ${entry.rank}`,
+        lp: entry.leaguePoints,
+        totalLP: toTotalLP(entry.tier, entry.rank, entry.leaguePoints),
+        wins: entry.wins,
+        losses: entry.losses
+    };
+}
+
+/**
+ * Compare a run's players with the previous run's
+ * Players from the previous run that weren't found again get their current
+ * rank looked up (one League-V4 request each) to tell whether they left the
+ * range or just weren't picked up this time.
+ * Returns { newPlayers, moved, droppedOut, notFound }
+ */
+async function diffRuns(previous, current, range, ctx = {}) {
+    const before = new Map(previous.map(p => [p.puuid, p]));
+    const after = new Map(current.map(p => [p.puuid, p]));
+    const diff = { newPlayers: [], moved: [], droppedOut: [], notFound: [] };
+
+    for (const player of current) {
+        const old = before.get(player.puuid);
+        if (!old) {
+            diff.newPlayers.push(player);
+        } else if (hasLP(old) && hasLP(player) && old.totalLP !== player.totalLP) {
+            diff.moved.push(describeMove(player, old, player));
+        }
+    }
+
+    for (const old of previous) {
+        if (after.has(old.puuid) || (ctx.session && ctx.session.isAborted())) continue;
+
+        let now = null;
+        try {
+            now = await fetchCurrentRank(old, ctx);
+        } catch (err) {
+            if (ctx.session) ctx.session.log(`  ⚠️  Couldn't check ${old.name}: ${err.message}`);
+            diff.notFound.push(old);
+            continue;
+        }
+
+        if (now) playerStore.recordRank(old.puuid, now);
+
+        if (!now || !isInRange(now, range)) {
+            diff.droppedOut.push(describeMove(old, old, now));
+        } else if (hasLP(old) && now.totalLP !== old.totalLP) {
+            diff.moved.push(describeMove(old, old, now));
+        } else {
+            diff.notFound.push(old);
+        }
+    }
+
+    return diff;
+}
+
+// { puuid, name, region, from, to, change } - `to` is null when no longer ranked,
+// `change` is null when either side has no LP
+function describeMove(player, from, to) {
+    return {
+        puuid: player.puuid,
+        name: player.name,
+        region: player.region,
+        from: { rank: from.rank, lp: from.lp, totalLP: from.totalLP },
+        to: to ? { rank: to.rank, lp: to.lp, totalLP: to.totalLP } : null,
+        change: to && hasLP(from) ? to.totalLP - from.totalLP : null
+    };
+}
+
+function describeDiff(diff) {
+    return `${diff.newPlayers.length} new, ${diff.moved.length} moved, ${diff.droppedOut.length} dropped out`;
+}
+
+// ============ SCHEDULER ============
+
+/**
+ * Runs schedules when they're due, one at a time
+ * Runs missed while the scheduler wasn't running are skipped, not made up.
+ */
+class Scheduler {
+    constructor(store, { tickSeconds = TICK_SECONDS } = {}) {
+        this.store = store;
+        this.tickSeconds = tickSeconds;
+        this.timer = null;
+        this.ticking = null; // pass over due schedules in progress
+        this.runs = new Map(); // schedule ID -> promise of its run in progress
+    }
+
+    start() {
+        if (this.timer) return;
+        const now = Date.now();
+        for (const schedule of this.store.list()) {
+            if (schedule.nextRunAt !== null && schedule.nextRunAt <= now) {
+                console.log(`📅 Skipping missed run of "${schedule.name}"`);
+                this.store.update(schedule.id, { nextRunAt: getNextRun(schedule.cron, now) });
+            }
+        }
+        this.timer = setInterval(() => this.tick(), this.tickSeconds * 1000);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    tick() {
+        if (!this.ticking) {
+            this.ticking = this.runDue().finally(() => { this.ticking = null; });
+        }
+        return this.ticking;
+    }
+
+    async runDue() {
+        const due = this.store.list().filter(s => s.nextRunAt !== null && s.nextRunAt <= Date.now());
+        for (const schedule of due) {
+            await this.run(schedule);
+        }
+    }
+
+    /**
+     * Run a schedule now; resolves with the saved run
+     * Concurrent calls for the same schedule share the run in progress
+     */
+    run(schedule, session = new SearchSession()) {
+        if (!this.runs.has(schedule.id)) {
+            const promise = runSchedule(this.store, schedule, session)
+                .finally(() => this.runs.delete(schedule.id));
+            this.runs.set(schedule.id, promise);
+        }
+        return this.runs.get(schedule.id);
+    }
+
+    isRunning(scheduleId) {
+        return this.runs.has(scheduleId);
+    }
+}
+
+/**
+ * Run a schedule's scout, diff it against the last completed run and save it
+ */
+async function runSchedule(store, schedule, session = new SearchSession()) {
+    const run = {
+        id: `${Date.now()}-${crypto.randomBytes(2).toString('hex')}`,
+        scheduleId: schedule.id,
+        status: 'running',
+        startedAt: Date.now(),
+        finishedAt: null,
+        players: [],
+        diff: null,
+        error: null
+    };
+    const previous = store.lastCompletedRun(schedule.id);
+
+    session.log(`\n📅 Running schedule "${schedule.name}" (${schedule.cron})`);
+
+    try {
+        const results = await scoutPlayers({ ...schedule.options, session });
+        run.players = results.map(slimPlayer);
+
+        if (previous) {
+            run.diff = await diffRuns(previous.players, run.players, getSearchRange(schedule.options), { session });
+            session.log(`📅 "${schedule.name}": ${describeDiff(run.diff)} since ${new Date(previous.startedAt).toLocaleString()}`);
+        } else {
+            session.log(`📅 "${schedule.name}": first run, ${run.players.length} players`);
+        }
+        run.status = session.isAborted() ? 'aborted' : 'completed';
+    } catch (err) {
+        run.status = session.isAborted() ? 'aborted' : 'failed';
+        run.error = err.message;
+        session.log(`❌ Schedule "${schedule.name}" failed: ${err.message}`);
+    }
+
+    run.finishedAt = Date.now();
+    store.saveRun(run);
+    store.update(schedule.id, {
+        lastRunAt: run.startedAt,
+        lastRunId: run.id,
+        nextRunAt: getNextRun(schedule.cron)
+    });
+    return run;
+}
+
+// Run without its player list, with diff counts
+function summarizeRun(run) {
+    const { players, diff, ...summary } = run;
+    summary.playerCount = players.length;
+    if (diff) {
+        summary.changes = {
+            newPlayers: diff.newPlayers.length,
+            moved: diff.moved.length,
+            droppedOut: diff.droppedOut.length
+        };
+    }
+    return summary;
+}
+
+const scheduleStore = new ScheduleStore(
+    path.join(CONFIG.dataDir, 'schedules.json'),
+    path.join(CONFIG.dataDir, 'schedule-runs')
+);
+
+module.exports = {
+    parseCron,
+    getNextRun,
+    ScheduleStore,
+    Scheduler,
+    runSchedule,
+    diffRuns,
+    describeDiff,
+    summarizeRun,
+    scheduleStore
+};
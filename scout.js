@@ -5,53 +5,117 @@
  * Riot API Docs: https://developer.riotgames.com/apis
  */
 
-const fs = require('fs');
 const path = require('path');
+const { defaultSession } = require('./session.js');
+const { RateLimitBuckets } = require('./ratelimiter.js');
+const { normalizePlatform, parseRegions, getRouting, getAccountRouting } = require('./regions.js');
+const { MatchStore } = require('./matchstore.js');
+const { PlayerStore } = require('./store.js');
+const { parseRoles, getMainRole } = require('./roles.js');
+const { championKey, parseChampions, unknownChampions, buildChampionPool, mainsChampion } = require('./champions.js');
+const { ValidationError, AuthError, NotFoundError, UpstreamError, AbortedError } = require('./errors.js');
+const { RiotTransport, DEFAULT_BASE_URL } = require('./transport.js');
+const { RetryPolicy, CircuitBreaker } = require('./retry.js');
+const { wait } = require('./wait.js');
+const { runOrdered } = require('./pipeline.js');
+const { checkActivity } = require('./activity.js');
 
 const CONFIG = {
     apiKey: process.env.RIOT_API_KEY || '', // Set via environment variable
-    region: 'na1',               // Platform: na1, euw1, kr, etc.
-    regionV5: 'americas',        // Match-V5 routing: americas, europe, asia
+    region: 'na1',               // Platform: na1, euw1, kr, etc. (routing is derived, see regions.js)
+    riot: {
+        // Where Riot requests go - e.g. http://127.0.0.1:4010/{host} for the mock server (transport.js)
+        baseUrl: process.env.RIOT_API_BASE_URL || DEFAULT_BASE_URL,
+        // live, record or replay - recording saves every response to the cassette file,
+        // replaying answers from it without a key or network (cassette.js)
+        mode: process.env.RIOT_API_MODE || 'live',
+        cassette: process.env.RIOT_CASSETTE || null
+    },
     rateLimit: {
-        // Dev API key limit: 100 requests per 2 minutes = 0.83/sec
-        // Set to 0.7/sec (~1400ms delay) to stay safely under limit
-        requestsPerSecond: 0.7,
-        requestsPer2Minutes: 100
+        // Dev API key limits, used until Riot's X-App-Rate-Limit header reports the real ones
+        requestsPerSecond: 20,
+        requestsPer2Minutes: 100,
+        // Wait used when a 429 comes back without a Retry-After header
+        fallbackRetrySeconds: 10
+    },
+    retry: {
+        // 500/502/503/504, network errors and timeouts are retried this many times,
+        // waiting about baseDelayMs, then twice that, ... up to maxDelayMs (retry.js)
+        maxRetries: 3,
+        baseDelayMs: 500,
+        maxDelayMs: 8000,
+        timeoutSeconds: 10,
+        // After this many failures in a row a host gets no requests for cooldownSeconds,
+        // doubled each time the first request after it fails too
+        breaker: {
+            failureThreshold: 5,
+            cooldownSeconds: 30,
+            maxCooldownSeconds: 300
+        }
+    },
+    // Where persistent data (player store, match store, ...) lives
+    dataDir: process.env.LOLFINDER_DATA_DIR || path.join(__dirname, 'data'),
+    matchStore: {
+        maxEntries: 5000,
+        maxMegabytes: 250
+    },
+    watch: {
+        // How often watched players are polled for a new match
+        intervalSeconds: 120,
+        // Default webhook for watchlist notifications (entries can override it)
+        webhookUrl: process.env.WATCH_WEBHOOK_URL || null,
+        webhookFormat: process.env.WATCH_WEBHOOK_FORMAT || null, // json, discord or slack (default: from the URL)
+        // A webhook that hasn't answered by then counts as failed, so it can't hold up the poller
+        webhookTimeoutSeconds: 10
+    },
+    scout: {
+        // Players a search checks at once - every request still waits for the rate
+        // limiter, so this mostly pays off with a production key's higher limits
+        concurrency: parseInt(process.env.SCOUT_CONCURRENCY) || 4
+    },
+    jobs: {
+        // Server-side scouts running at once; the rest wait in the queue
+        concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2
+    },
+    // Server sign-in, off unless a token or users are set (see auth.js)
+    auth: {
+        token: process.env.AUTH_TOKEN || null,         // Shared token, its holders are admins
+        users: process.env.AUTH_USERS || null,         // name:password,name:password
+        admins: process.env.AUTH_ADMINS || null,       // name,name
+        secret: process.env.AUTH_SECRET || null,       // Signs sessions, encrypts stored keys
+        sessionDays: parseInt(process.env.AUTH_SESSION_DAYS) || 7
     }
 };
 
-// ============ PLAYER CACHE SYSTEM ============
-const CACHE_FILE = path.join(__dirname, 'player_cache.json');
-const CACHE_MAX_AGE = 60 * 60 * 1000; // 1 hour max age for cached data
+// Every Riot request goes through here
+const transport = new RiotTransport(CONFIG.riot);
 
-let playerCache = {};
+// Platform host for League/Summoner calls - ctx.region, else the configured region
+function platformOf(ctx) {
+    return ctx.region || CONFIG.region;
+}
 
-// Load cache from file
-function loadCache() {
-    try {
-        if (fs.existsSync(CACHE_FILE)) {
-            const data = fs.readFileSync(CACHE_FILE, 'utf8');
-            playerCache = JSON.parse(data);
-            console.log(`📦 Loaded ${Object.keys(playerCache).length} cached players`);
-        }
-    } catch (err) {
-        console.error('Error loading cache:', err.message);
-        playerCache = {};
-    }
+// Regional host for Match-V5 calls
+function routingOf(ctx) {
+    return getRouting(platformOf(ctx));
 }
 
-// Save cache to file
-function saveCache() {
-    try {
-        fs.writeFileSync(CACHE_FILE, JSON.stringify(playerCache, null, 2));
-    } catch (err) {
-        console.error('Error saving cache:', err.message);
-    }
+// Regional host for Account-V1 calls
+function accountRoutingOf(ctx) {
+    return getAccountRouting(platformOf(ctx));
 }
 
+// ============ PLAYER CACHE SYSTEM ============
+// Players, rank snapshots and match references live in the player store (store.js);
+// a stored player counts as cached for CACHE_MAX_AGE after it was last seen
+const LEGACY_CACHE_FILE = path.join(__dirname, 'player_cache.json');
+const CACHE_MAX_AGE = 60 * 60 * 1000; // 1 hour max age for cached data
+
+const playerStore = new PlayerStore(CONFIG.dataDir, { legacyCacheFile: LEGACY_CACHE_FILE });
+
 // Get cached player data
 function getCachedPlayer(puuid) {
-    const cached = playerCache[puuid];
+    const cached = playerStore.getPlayer(puuid);
     if (!cached) return null;
 
     // Check if cache is too old (over 1 hour)
@@ -65,7 +129,7 @@ function getCachedPlayer(puuid) {
 
 // Check if cached player meets current search criteria
 function cachedPlayerMeetsCriteria(cached, options) {
-    const { activeWithinMinutes, minWinRate, minLP, maxLP } = options;
+    const { activeWithinMinutes, minWinRate, minLP, maxLP, roles = [], champions = [] } = options;
 
     // Calculate how long ago they were active based on cached time
     const cachedAge = Date.now() - cached.cachedAt;
@@ -89,57 +153,60 @@ function cachedPlayerMeetsCriteria(cached, options) {
         }
     }
 
+    // Check main role if filtering by role
+    if (roles.length > 0 && !roles.includes(cached.mainRole)) {
+        return false;
+    }
+
+    // Check champion pool if filtering by champion
+    if (champions.length > 0 && !(cached.champions && mainsChampion(cached.champions, champions))) {
+        return false;
+    }
+
     return true;
 }
 
-// Update cache with player data
+// Update cache with player data (also records a rank snapshot)
 function cachePlayer(player) {
-    playerCache[player.puuid] = {
+    playerStore.upsertPlayer({
         ...player,
         cachedAt: Date.now()
-    };
-    // Save periodically (every 10 new entries)
-    if (Object.keys(playerCache).length % 10 === 0) {
-        saveCache();
-    }
+    });
 }
 
-// Initialize cache on load
-loadCache();
+// ============ MATCH STORE ============
+// Finished matches never change - every Match-V5 payload is kept on disk
+const matchStore = new MatchStore(path.join(CONFIG.dataDir, 'matches'), {
+    maxEntries: CONFIG.matchStore.maxEntries,
+    maxBytes: CONFIG.matchStore.maxMegabytes * 1024 * 1024
+});
 
-// Simple rate limiter
-class RateLimiter {
-    constructor(requestsPerSecond) {
-        this.minDelay = 1000 / requestsPerSecond;
-        this.lastRequest = 0;
-    }
+// Rate limiters per routing host (na1, americas, ...) and method, updated from response headers
+const rateLimits = new RateLimitBuckets({
+    appLimits: [
+        { count: CONFIG.rateLimit.requestsPerSecond, seconds: 1 },
+        { count: CONFIG.rateLimit.requestsPer2Minutes, seconds: 120 }
+    ],
+    fallbackRetrySeconds: CONFIG.rateLimit.fallbackRetrySeconds
+});
 
-    async wait() {
-        const now = Date.now();
-        const elapsed = now - this.lastRequest;
-        if (elapsed < this.minDelay) {
-            await this.sleep(this.minDelay - elapsed);
-        }
-        this.lastRequest = Date.now();
-    }
+// Retries and per-host circuit breakers for 5xx, network errors and timeouts
+const retryPolicy = new RetryPolicy(CONFIG.retry);
+const breaker = new CircuitBreaker(CONFIG.retry.breaker);
 
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
+// Identifies a search combination across checkpoints
+function comboKey(c) {
+    return `${c.region}|${c.queue}|${c.tier}|${c.division}`;
 }
 
-const rateLimiter = new RateLimiter(CONFIG.rateLimit.requestsPerSecond);
-
-// Store current results for display on rate limit
-let currentResults = [];
-
 /**
  * Shuffle an array in place using Fisher-Yates algorithm
+ * (random numbers from the transport, so a recorded scout replays the same way)
  */
 function shuffleArray(array) {
     const shuffled = [...array];
     for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(transport.random() * (i + 1));
         [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
     return shuffled;
@@ -150,11 +217,28 @@ function shuffleArray(array) {
 const TIERS = ['IRON', 'BRONZE', 'SILVER', 'GOLD', 'PLATINUM', 'EMERALD', 'DIAMOND'];
 const DIVISIONS = ['IV', 'III', 'II', 'I'];
 
+// Apex tiers have no divisions (Riot reports them as "I") and share one LP
+// scale starting at Master 0 LP = 2800 total. Grandmaster/Challenger are
+// decided by ladder position, but Riot requires at least this much LP for
+// them, so these floors decide which apex tiers an LP range can reach.
+const APEX_TIERS = ['MASTER', 'GRANDMASTER', 'CHALLENGER'];
+const APEX_MIN_LP = { MASTER: 0, GRANDMASTER: 200, CHALLENGER: 500 };
+const APEX_BASE_LP = TIERS.length * 400;
+
+// Apex leagues come back in one piece; split them into pages of this size
+const APEX_PAGE_SIZE = 205;
+
+function isApexTier(tier) {
+    return APEX_TIERS.includes(String(tier).toUpperCase());
+}
+
 /**
  * Convert tier + division + LP to total LP
  * e.g., SILVER IV 50 LP = 800 + 0 + 50 = 850
+ * Apex tiers ignore the division: GRANDMASTER 350 LP = 2800 + 350 = 3150
  */
 function toTotalLP(tier, division, lp = 0) {
+    if (isApexTier(tier)) return APEX_BASE_LP + lp;
     const tierIndex = TIERS.indexOf(tier.toUpperCase());
     if (tierIndex === -1) return null;
     const divIndex = DIVISIONS.indexOf(division.toUpperCase());
@@ -165,11 +249,15 @@ function toTotalLP(tier, division, lp = 0) {
 /**
  * Convert total LP to tier + division + LP
  * e.g., 850 = { tier: 'SILVER', division: 'IV', lp: 50 }
+ * Above 2800 the highest apex tier whose LP floor is reached is used
+ * e.g., 3400 = { tier: 'CHALLENGER', division: 'I', lp: 600 }
  */
 function fromTotalLP(totalLP) {
     if (totalLP < 0) return { tier: 'IRON', division: 'IV', lp: 0 };
-    if (totalLP >= TIERS.length * 400) {
-        return { tier: 'MASTER', division: 'I', lp: totalLP - TIERS.length * 400 };
+    if (totalLP >= APEX_BASE_LP) {
+        const lp = totalLP - APEX_BASE_LP;
+        const tier = [...APEX_TIERS].reverse().find(t => lp >= APEX_MIN_LP[t]);
+        return { tier, division: 'I', lp };
     }
     const tierIndex = Math.floor(totalLP / 400);
     const remainder = totalLP % 400;
@@ -184,6 +272,7 @@ function fromTotalLP(totalLP) {
 
 /**
  * Get all tier/division combinations within an LP range
+ * Apex tiers are included (as division I) once the range reaches their LP floor
  */
 function getTierDivisionsInRange(minLP, maxLP) {
     const results = [];
@@ -197,172 +286,389 @@ function getTierDivisionsInRange(minLP, maxLP) {
             }
         }
     }
+    // Apex tiers have no upper LP bound
+    for (const tier of APEX_TIERS) {
+        if (APEX_BASE_LP + APEX_MIN_LP[tier] <= maxLP) {
+            results.push({ tier, division: 'I' });
+        }
+    }
     return results;
 }
 
 /**
  * Make a rate-limited API request
+ * method names the endpoint for Riot's per-method rate limits
+ * ctx.session receives rate limit and outage notices and is checked for aborts,
+ * ctx.region picks the platform (the API helpers below build their URLs from it)
+ * 5xx responses, network errors and timeouts are retried (CONFIG.retry); once
+ * the retries run out they throw an UpstreamError
+ * allowNotFound: a 404 is an answer (e.g. "not in game") - return null without logging it
  */
-async function apiRequest(url) {
-    await rateLimiter.wait();
-    
-    const response = await fetch(url, {
-        headers: {
-            'X-Riot-Token': CONFIG.apiKey
+async function apiRequest(url, ctx = {}, method = 'default', { allowNotFound = false } = {}) {
+    const session = ctx.session || defaultSession;
+    const apiKey = session.apiKey || CONFIG.apiKey;
+    const host = new URL(url).host;
+    // Recorded responses cost nothing, so a replay doesn't wait for the limiter or backoff
+    const replaying = transport.mode === 'replay';
+
+    let response;
+    for (let retry = 0; ; retry++) {
+        if (!replaying) {
+            await rateLimits.acquire(host, method, session);
+            await breaker.acquire(host, session);
         }
-    });
 
-    if (!response.ok) {
-        const error = {
-            status: response.status,
-            statusText: response.statusText,
-            url: url
-        };
+        let failure = null; // why this attempt should be retried
+        response = null;
+        try {
+            response = await transport.request(url, {
+                headers: {
+                    'X-Riot-Token': apiKey
+                },
+                signal: AbortSignal.timeout(retryPolicy.timeoutMs)
+            });
+        } catch (err) {
+            if (replaying) throw new UpstreamError(err.message, { method });
+            if (err.name === 'TimeoutError') {
+                session.retryStats.timeouts++;
+                failure = `timed out after ${retryPolicy.timeoutMs / 1000}s`;
+            } else {
+                session.retryStats.networkErrors++;
+                failure = `unreachable (${err.message})`;
+            }
+        }
+        if (response && retryPolicy.isRetryableStatus(response.status)) {
+            session.retryStats.serverErrors++;
+            failure = `returned ${response.status} ${response.statusText}`;
+        }
 
-        console.log(`[API Error] Status: ${response.status} - ${response.statusText}`);
-        console.log(`[API Error] URL: ${url}`);
-        console.log(`[API Error] API Key present: ${!!CONFIG.apiKey}, starts with: ${CONFIG.apiKey ? CONFIG.apiKey.substring(0, 10) : 'none'}`);
+        if (!failure) {
+            breaker.success(host);
+            session.degraded(false);
+            break;
+        }
 
-        if (response.status === 403) {
-            throw new Error('API Key invalid or expired. Please get a new key from developer.riotgames.com');
+        const cooldownMs = replaying ? 0 : breaker.failure(host);
+        if (cooldownMs > 0) session.retryStats.circuitOpens++;
+        if (retry >= retryPolicy.maxRetries) {
+            if (response) break; // Reported below like any other error status
+            throw new UpstreamError(`Riot API ${failure} (${method}) - gave up after ${retry + 1} attempts`, { method });
         }
 
-        if (response.status === 429) {
-            console.warn('\n\n⚠️  Rate limited! Waiting 2 minutes...');
+        const delay = replaying ? 0 : retryPolicy.delay(retry + 1);
+        session.retryStats.retries++;
+        session.log(`⚠️  Riot API ${failure} on ${host} - retry ${retry + 1}/${retryPolicy.maxRetries} in ${(delay / 1000).toFixed(1)}s`);
+        session.degraded(true, { host, seconds: Math.ceil(Math.max(delay, cooldownMs) / 1000), reason: failure });
+        await wait(delay, session);
+    }
+    rateLimits.update(host, method, response.headers);
 
-            // Notify UI of rate limit
-            if (global.sendRateLimit) {
-                global.sendRateLimit(true, 120);
-            }
+    if (response.status === 404 && allowNotFound) {
+        return null;
+    }
 
-            if (currentResults.length > 0) {
-                console.log(`\n📋 Results so far (${currentResults.length} players):\n`);
-                for (const p of currentResults) {
-                    console.log(`  ${p.name} | ${p.queue} ${p.rank} ${p.lp}LP | ${p.winRate} WR | Last seen ${p.lastActiveMinutes}m ago (${p.lastGameMode})`);
-                }
-                console.log('\n⏳ Resuming search after rate limit...\n');
-            }
+    if (!response.ok) {
+        const details = { status: response.status, method };
 
-            // Wait in smaller intervals to allow abort checking
-            const waitTime = 120000;
-            const checkInterval = 1000;
-            for (let waited = 0; waited < waitTime; waited += checkInterval) {
-                if (global.isSearchAborted && global.isSearchAborted()) {
-                    console.log('\n⛔ Search aborted during rate limit wait');
-                    throw new Error('Search aborted');
-                }
-                await rateLimiter.sleep(checkInterval);
-            }
+        session.log(`[API Error] Status: ${response.status} - ${response.statusText}`);
+        session.log(`[API Error] URL: ${url}`);
+        session.log(`[API Error] API Key present: ${!!apiKey}`);
+
+        if (response.status === 401 || response.status === 403) {
+            throw new AuthError(undefined, details);
+        }
+
+        if (response.status === 404) {
+            throw new NotFoundError(`Riot API has no data for this request (${method})`, details);
+        }
 
-            // Notify UI rate limit ended
-            if (global.sendRateLimit) {
-                global.sendRateLimit(false, 0);
+        if (response.status === 429) {
+            const seconds = rateLimits.handleRateLimited(host, method, response.headers);
+            const type = response.headers.get('x-rate-limit-type') || 'service';
+            session.log(`\n\n⚠️  Rate limited (${type})! Retrying in ${seconds}s...`);
+
+            if (session.results.length > 0) {
+                session.log(`\n📋 Results so far (${session.results.length} players):\n`);
+                for (const p of session.results) {
+                    session.log(`  ${p.name} | ${p.queue} ${p.rank} ${p.lp}LP | ${p.winRate} WR | Last seen ${p.lastActiveMinutes}m ago (${p.lastGameMode})`);
+                }
+                session.log('\n⏳ Resuming search after rate limit...\n');
             }
 
-            return apiRequest(url); // Retry
+            // The retry waits in acquire() until Retry-After has passed
+            return apiRequest(url, ctx, method, { allowNotFound });
         }
-        
-        throw new Error(`API Error: ${JSON.stringify(error)}`);
+
+        throw new UpstreamError(`Riot API error ${response.status} ${response.statusText} (${method})`, details);
     }
 
-    return response.json();
+    // The timeout covers reading the body too
+    try {
+        return await response.json();
+    } catch (err) {
+        throw new UpstreamError(`Riot API response could not be read (${method}): ${err.message}`, { method });
+    }
 }
 
 /**
  * Get ranked players from a specific tier/division
  * Returns array of league entries with summonerId, rank info, etc.
  */
-async function getLeagueEntries(queue, tier, division, page = 1) {
-    const url = `https://${CONFIG.region}.api.riotgames.com/lol/league-exp/v4/entries/${queue}/${tier}/${division}?page=${page}`;
-    return apiRequest(url);
+async function getLeagueEntries(queue, tier, division, page = 1, ctx = {}) {
+    const url = `https://${platformOf(ctx)}.api.riotgames.com/lol/league-exp/v4/entries/${queue}/${tier}/${division}?page=${page}`;
+    return apiRequest(url, ctx, 'league-exp-v4.entries');
+}
+
+/**
+ * Get a whole apex league (MASTER, GRANDMASTER or CHALLENGER) for a queue
+ * League-Exp has no divisions to page through for these, League-V4 returns
+ * every entry at once in { tier, queue, entries: [...] }
+ */
+async function getApexLeague(queue, tier, ctx = {}) {
+    const league = `${tier.toLowerCase()}leagues`;
+    const url = `https://${platformOf(ctx)}.api.riotgames.com/lol/league/v4/${league}/by-queue/${queue}`;
+    return apiRequest(url, ctx, `league-v4.${league}`);
 }
 
 /**
  * Get summoner info (including PUUID) from summoner ID
  */
-async function getSummonerById(summonerId) {
-    const url = `https://${CONFIG.region}.api.riotgames.com/lol/summoner/v4/summoners/${summonerId}`;
-    return apiRequest(url);
+async function getSummonerById(summonerId, ctx = {}) {
+    const url = `https://${platformOf(ctx)}.api.riotgames.com/lol/summoner/v4/summoners/${summonerId}`;
+    return apiRequest(url, ctx, 'summoner-v4.by-id');
 }
 
 /**
  * Get summoner info by PUUID
  */
-async function getSummonerByPuuid(puuid) {
-    const url = `https://${CONFIG.region}.api.riotgames.com/lol/summoner/v4/summoners/by-puuid/${puuid}`;
-    return apiRequest(url);
+async function getSummonerByPuuid(puuid, ctx = {}) {
+    const url = `https://${platformOf(ctx)}.api.riotgames.com/lol/summoner/v4/summoners/by-puuid/${puuid}`;
+    return apiRequest(url, ctx, 'summoner-v4.by-puuid');
 }
 
 /**
  * Get league entries for a summoner (ranked info)
  */
-async function getLeagueEntriesBySummonerId(summonerId) {
-    const url = `https://${CONFIG.region}.api.riotgames.com/lol/league/v4/entries/by-summoner/${summonerId}`;
-    return apiRequest(url);
+async function getLeagueEntriesBySummonerId(summonerId, ctx = {}) {
+    const url = `https://${platformOf(ctx)}.api.riotgames.com/lol/league/v4/entries/by-summoner/${summonerId}`;
+    return apiRequest(url, ctx, 'league-v4.by-summoner');
+}
+
+/**
+ * Get league entries for a player by PUUID (one per ranked queue they've played)
+ */
+async function getLeagueEntriesByPuuid(puuid, ctx = {}) {
+    const url = `https://${platformOf(ctx)}.api.riotgames.com/lol/league/v4/entries/by-puuid/${puuid}`;
+    return apiRequest(url, ctx, 'league-v4.by-puuid');
 }
 
 /**
  * Get summoner by Riot ID (gameName + tagLine)
  */
-async function getSummonerByRiotId(gameName, tagLine) {
-    const url = `https://${CONFIG.regionV5}.api.riotgames.com/riot/account/v1/accounts/by-riot-id/${encodeURIComponent(gameName)}/${encodeURIComponent(tagLine)}`;
-    return apiRequest(url);
+async function getSummonerByRiotId(gameName, tagLine, ctx = {}) {
+    const url = `https://${accountRoutingOf(ctx)}.api.riotgames.com/riot/account/v1/accounts/by-riot-id/${encodeURIComponent(gameName)}/${encodeURIComponent(tagLine)}`;
+    try {
+        return await apiRequest(url, ctx, 'account-v1.by-riot-id');
+    } catch (err) {
+        if (err instanceof NotFoundError) throw new NotFoundError(`No Riot account named ${gameName}#${tagLine}`, err.details);
+        throw err;
+    }
 }
 
 /**
  * Get Riot ID (gameName + tagLine) from PUUID
  */
-async function getRiotIdByPuuid(puuid) {
-    const url = `https://${CONFIG.regionV5}.api.riotgames.com/riot/account/v1/accounts/by-puuid/${puuid}`;
-    return apiRequest(url);
+async function getRiotIdByPuuid(puuid, ctx = {}) {
+    const url = `https://${accountRoutingOf(ctx)}.api.riotgames.com/riot/account/v1/accounts/by-puuid/${puuid}`;
+    return apiRequest(url, ctx, 'account-v1.by-puuid');
 }
 
 /**
  * Get recent match IDs for a player
- * queue: 420 = Solo/Duo, 440 = Flex, null = any game mode
+ * queue: 420 = Solo/Duo, 440 = Flex, 'ranked' = any ranked queue, null = any game mode
+ * since: only games started at or after this timestamp (ms)
  */
-async function getMatchIds(puuid, count = 5, queue = null) {
-    let url = `https://${CONFIG.regionV5}.api.riotgames.com/lol/match/v5/matches/by-puuid/${puuid}/ids?count=${count}`;
-    if (queue) {
+async function getMatchIds(puuid, count = 5, queue = null, ctx = {}, since = null) {
+    let url = `https://${routingOf(ctx)}.api.riotgames.com/lol/match/v5/matches/by-puuid/${puuid}/ids?count=${count}`;
+    if (queue === 'ranked') {
+        url += '&type=ranked';
+    } else if (queue) {
         url += `&queue=${queue}`;
     }
-    return apiRequest(url);
+    if (since) {
+        url += `&startTime=${Math.floor(since / 1000)}`;
+    }
+    return apiRequest(url, ctx, 'match-v5.ids');
 }
 
 /**
  * Get full match details
+ * Served from the match store when we've seen the match before
+ */
+async function getMatchDetails(matchId, ctx = {}) {
+    const stored = matchStore.get(matchId);
+    if (stored) return stored;
+
+    const url = `https://${routingOf(ctx)}.api.riotgames.com/lol/match/v5/matches/${matchId}`;
+    const match = await apiRequest(url, ctx, 'match-v5.match');
+    if (match && match.info) {
+        matchStore.put(matchId, match);
+    }
+    return match;
+}
+
+/**
+ * Get the game a player is in right now (Spectator-V5), or null if they aren't in one
  */
-async function getMatchDetails(matchId) {
-    const url = `https://${CONFIG.regionV5}.api.riotgames.com/lol/match/v5/matches/${matchId}`;
-    return apiRequest(url);
+async function getActiveGame(puuid, ctx = {}) {
+    const url = `https://${platformOf(ctx)}.api.riotgames.com/lol/spectator/v5/active-games/by-summoner/${puuid}`;
+    return apiRequest(url, ctx, 'spectator-v5.active-game', { allowNotFound: true });
 }
 
 /**
  * Check how recently a player was active (any game mode)
- * Returns { minutesAgo, gameMode, queueId, match } or null if no recent games
+ * options.strategies: the activity.js checks to ask in turn (default: just the latest match);
+ * 'window' needs options.withinMinutes and may answer null for a player active
+ * longer ago than that
+ * Returns { minutesAgo, gameMode, queueId, match, inGame } or null if no recent games
+ * Throws an UpstreamError if Riot kept failing, so that's not taken for inactivity
  */
-async function getLastActiveMinutes(puuid) {
+async function getLastActiveMinutes(puuid, ctx = {}, { strategies = ['latest'], withinMinutes } = {}) {
+    const api = {
+        getMatchIds: (id, since) => getMatchIds(id, 1, null, ctx, since), // null = any game mode
+        getMatchDetails: matchId => getMatchDetails(matchId, ctx),
+        getActiveGame: id => getActiveGame(id, ctx)
+    };
+
     try {
-        const matchIds = await getMatchIds(puuid, 1, null); // null = any game mode
+        return await checkActivity(puuid, api, { strategies, withinMinutes });
+    } catch (err) {
+        // A bad key fails every request - stop instead of skipping everyone
+        // Riot failing past the retries isn't "inactive" either - the caller decides
+        if (err instanceof AuthError || err instanceof UpstreamError || err instanceof AbortedError) throw err;
+        (ctx.session || defaultSession).log(`  ⚠️  Error checking activity for ${puuid}: ${err.message}`);
+        return null;
+    }
+}
 
-        if (!matchIds || matchIds.length === 0) {
-            return null;
-        }
+// Players skipped in a row for Riot errors before a search gives up
+const MAX_CONSECUTIVE_SKIPS = 5;
 
-        const match = await getMatchDetails(matchIds[0]);
-        const gameEndTime = match.info.gameEndTimestamp;
-        const now = Date.now();
-        const minutesAgo = Math.floor((now - gameEndTime) / 60000);
-        const gameMode = match.info.gameMode; // CLASSIC, ARAM, TUTORIAL, etc.
-        const queueId = match.info.queueId;
+// Ranked games looked at to work out a player's main role and champions
+const PROFILE_MATCH_COUNT = 10;
+const QUEUE_IDS = { RANKED_SOLO_5x5: 420, RANKED_FLEX_SR: 440 };
 
-        return { minutesAgo, gameMode, queueId, match };
+// Champions kept on a stored player record
+const STORED_CHAMPION_COUNT = 5;
+
+/**
+ * Fetch a player's recent matches (served from the match store where possible)
+ * and remember that they played in them
+ * queue: as for getMatchIds
+ */
+async function getRecentMatches(puuid, count, queue, ctx = {}) {
+    const matchIds = await getMatchIds(puuid, count, queue, ctx);
+    const matches = [];
+    for (const matchId of matchIds || []) {
+        if (ctx.session && ctx.session.isAborted()) break;
+        const match = await getMatchDetails(matchId, ctx);
+        if (match && match.info) matches.push(match);
+    }
+    for (const match of matches) {
+        playerStore.addMatchRefs(match.metadata.matchId, platformOf(ctx), [puuid]);
+    }
+    return matches;
+}
+
+/**
+ * Main role and champion pool from a player's recent ranked games in a queue
+ * Returns { mainRole, roleCounts, champions } or null if it couldn't be checked
+ */
+async function getPlayerProfile(puuid, queue, ctx = {}) {
+    try {
+        const matches = await getRecentMatches(puuid, PROFILE_MATCH_COUNT, QUEUE_IDS[queue], ctx);
+        const { mainRole, roleCounts } = getMainRole(matches, puuid);
+        return { mainRole, roleCounts, champions: buildChampionPool(matches, puuid).slice(0, STORED_CHAMPION_COUNT) };
+    } catch (err) {
+        if (err instanceof AuthError || err instanceof UpstreamError || err instanceof AbortedError) throw err;
+        (ctx.session || defaultSession).log(`  ⚠️  Error checking profile for ${puuid}: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Real rank of a player picked up from a match, in the queue being searched
+ * Uses the player store when it has a fresh entry for that queue
+ * Returns the player's rank fields, or null if unranked there (or the lookup failed)
+ */
+async function getMatchPlayerRank(puuid, queue, ctx = {}) {
+    const queueShort = queue === 'RANKED_SOLO_5x5' ? 'Solo/Duo' : 'Flex';
+    const cached = getCachedPlayer(puuid);
+    if (cached && cached.queue === queueShort && cached.totalLP !== undefined) {
+        const { rank, lp, totalLP, wins, losses, winRate, hotStreak, veteran, freshBlood } = cached;
+        return { queue: queueShort, rank, lp, totalLP, wins, losses, winRate, hotStreak, veteran, freshBlood };
+    }
+
+    try {
+        const entries = await getLeagueEntriesByPuuid(puuid, ctx);
+        const entry = (entries || []).find(e => e.queueType === queue);
+        if (!entry) return null;
+
+        const games = entry.wins + entry.losses;
+        return {
+            queue: queueShort,
+            rank: isApexTier(entry.tier) ? entry.tier : `${entry.tier} ${entry.rank}`,
+            lp: entry.leaguePoints,
+            totalLP: toTotalLP(entry.tier, entry.rank, entry.leaguePoints),
+            wins: entry.wins,
+            losses: entry.losses,
+            winRate: games > 0 ? ((entry.wins / games) * 100).toFixed(1) + '%' : '0.0%',
+            hotStreak: entry.hotStreak,
+            veteran: entry.veteran,
+            freshBlood: entry.freshBlood
+        };
     } catch (err) {
-        console.error(`Error checking activity for ${puuid}:`, err.message);
+        if (err instanceof AuthError || err instanceof UpstreamError || err instanceof AbortedError) throw err;
+        (ctx.session || defaultSession).log(`  ⚠️  Error checking rank for ${puuid}: ${err.message}`);
         return null;
     }
 }
 
+// Does a looked-up rank pass the LP range and win rate filters?
+function rankMeetsCriteria(rank, { minWinRate, minLP, maxLP }) {
+    if (minLP !== null && maxLP !== null && (rank.totalLP < minLP || rank.totalLP > maxLP)) {
+        return false;
+    }
+    const games = rank.wins + rank.losses;
+    return (games > 0 ? rank.wins / games : 0) >= minWinRate;
+}
+
+/**
+ * Champion pool of a player over every stored match they were seen in
+ * Options:
+ *   matchCount: first fetch this many recent ranked games (default: 0, stored matches only)
+ *   region, session
+ */
+async function getChampionPool(puuid, options = {}) {
+    const { matchCount = 0, session = defaultSession } = options;
+    const ctx = { session, region: normalizePlatform(options.region || CONFIG.region) };
+
+    if (matchCount > 0) {
+        await getRecentMatches(puuid, matchCount, 'ranked', ctx);
+    }
+
+    const matches = playerStore.getMatchRefs(puuid)
+        .map(ref => matchStore.get(ref.matchId))
+        .filter(match => match && match.info && Object.values(QUEUE_IDS).includes(match.info.queueId));
+
+    const champions = buildChampionPool(matches, puuid);
+    return {
+        puuid,
+        gamesAnalyzed: champions.reduce((sum, c) => sum + c.games, 0),
+        champions
+    };
+}
+
 /**
  * Extract useful stats from a match for a specific player
  */
@@ -387,6 +693,38 @@ function extractPlayerStats(match, puuid) {
     };
 }
 
+const SCOUT_QUEUES = ['RANKED_SOLO_5x5', 'RANKED_FLEX_SR'];
+
+/**
+ * Throw a ValidationError for scoutPlayers options it can't search with
+ * (search.js turns user input into valid options; this guards direct callers)
+ */
+function validateScoutOptions({ queue, tier, division, lpRange, maxPlayers, activeWithinMinutes, minWinRate, concurrency }) {
+    if (queue !== null && !SCOUT_QUEUES.includes(queue)) {
+        throw new ValidationError(`Invalid queue "${queue}" - use ${SCOUT_QUEUES.join(' or ')} (or null for both)`);
+    }
+    if (lpRange) {
+        const match = String(lpRange).match(/^(\d+)-(\d+)$/);
+        if (!match || parseInt(match[1]) > parseInt(match[2])) {
+            throw new ValidationError(`Invalid lpRange "${lpRange}" - use "min-max", e.g. "800-1000"`);
+        }
+    } else if (!isApexTier(tier) && toTotalLP(String(tier), String(division)) === null) {
+        throw new ValidationError(`Invalid tier/division "${tier} ${division}"`);
+    }
+    if (!Number.isInteger(maxPlayers) || maxPlayers < 1) {
+        throw new ValidationError(`Invalid maxPlayers "${maxPlayers}" - must be a whole number of at least 1`);
+    }
+    if (!(activeWithinMinutes > 0)) {
+        throw new ValidationError(`Invalid activeWithinMinutes "${activeWithinMinutes}" - must be more than 0`);
+    }
+    if (!(minWinRate >= 0 && minWinRate <= 1)) {
+        throw new ValidationError(`Invalid minWinRate "${minWinRate}" - must be between 0 and 1`);
+    }
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new ValidationError(`Invalid concurrency "${concurrency}" - must be a whole number of at least 1`);
+    }
+}
+
 /**
  * Main scouting function
  * Finds recently active players in a rank range
@@ -394,12 +732,28 @@ function extractPlayerStats(match, puuid) {
  * Options:
  *   lpRange: "800-1000" - search by total LP range (overrides tier/division)
  *   tier/division: fallback if lpRange not provided
+ *   regions: platforms to search, e.g. ['na1', 'euw1'] (default: CONFIG.region)
+ *   roles: only players whose main role (from recent ranked games) is one of
+ *          TOP, JUNGLE, MIDDLE, BOTTOM, UTILITY - costs extra match requests
+ *   champions: only players maining one of these champions, e.g. ['Thresh', 'Nautilus']
+ *          (checked on the same recent ranked games as roles)
+ *   enrichMatchPlayers: look up the real rank of players picked up from a found
+ *          player's match and apply the LP/win rate filters to them too
+ *          (one League-V4 request each); otherwise they get the found player's rank
+ *   includeInGame: also find players in a game right now (Spectator-V5) - one
+ *          more request per candidate; without it, players only count once the game ends
+ *   concurrency: players checked at once (default CONFIG.scout.concurrency) - results
+ *          and their order are the same as checking one at a time (see pipeline.js)
+ *   session: SearchSession receiving logs/players and checked for aborts
+ *   checkpoint: { state, save(state) } - progress is handed to save() after every
+ *          page, and a saved state continues where it left off (see jobs.js)
  *
  * LP Reference:
  *   Iron: 0-399, Bronze: 400-799, Silver: 800-1199
  *   Gold: 1200-1599, Platinum: 1600-1999, Emerald: 2000-2399
  *   Diamond: 2400-2799
  *   Within tier: IV=0-99, III=100-199, II=200-299, I=300-399
+ *   Master+: 2800 + LP (Grandmaster from 3000, Challenger from 3300)
  */
 async function scoutPlayers(options = {}) {
     const {
@@ -409,8 +763,23 @@ async function scoutPlayers(options = {}) {
         lpRange = null,
         maxPlayers = 10,
         activeWithinMinutes = 30,
-        minWinRate = 0
+        minWinRate = 0,
+        enrichMatchPlayers = false,
+        includeInGame = false,
+        concurrency = CONFIG.scout.concurrency,
+        session = defaultSession,
+        checkpoint = null
     } = options;
+    validateScoutOptions({ queue, tier, division, lpRange, maxPlayers, activeWithinMinutes, minWinRate, concurrency });
+    const regions = parseRegions(options.regions || CONFIG.region);
+    const roles = parseRoles(options.roles);
+    const champions = parseChampions(options.champions);
+
+    // Role and champion filters both look at a player's recent ranked games
+    const needsProfile = roles.length > 0 || champions.length > 0;
+    const matchesProfile = profile => profile !== null &&
+        (roles.length === 0 || roles.includes(profile.mainRole)) &&
+        (champions.length === 0 || mainsChampion(profile.champions || [], champions));
 
     // Determine which queues to search
     const queuesToSearch = queue
@@ -424,109 +793,206 @@ async function scoutPlayers(options = {}) {
     // Parse LP range if provided
     if (lpRange) {
         const match = lpRange.match(/^(\d+)-(\d+)$/);
-        if (!match) {
-            console.error('Invalid lpRange format. Use "800-1000"');
-            return [];
-        }
         minLP = parseInt(match[1]);
         maxLP = parseInt(match[2]);
         tierDivisionsToSearch = getTierDivisionsInRange(minLP, maxLP);
 
         const minRank = fromTotalLP(minLP);
         const maxRank = fromTotalLP(maxLP);
-        console.log(`\n🔍 Scouting LP range ${minLP}-${maxLP}`);
-        console.log(`   (${minRank.tier} ${minRank.division} ${minRank.lp}LP → ${maxRank.tier} ${maxRank.division} ${maxRank.lp}LP)`);
-        console.log(`   Searching ${tierDivisionsToSearch.length} divisions: ${tierDivisionsToSearch.map(t => `${t.tier} ${t.division}`).join(', ')}`);
+        session.log(`\n🔍 Scouting LP range ${minLP}-${maxLP}`);
+        session.log(`   (${minRank.tier} ${minRank.division} ${minRank.lp}LP → ${maxRank.tier} ${maxRank.division} ${maxRank.lp}LP)`);
+        session.log(`   Searching ${tierDivisionsToSearch.length} divisions: ${tierDivisionsToSearch.map(t => `${t.tier} ${t.division}`).join(', ')}`);
     } else {
-        tierDivisionsToSearch = [{ tier: tier.toUpperCase(), division: division.toUpperCase() }];
-        console.log(`\n🔍 Scouting ${tier} ${division} players...`);
+        // Apex tiers have a single "division"
+        tierDivisionsToSearch = [{
+            tier: tier.toUpperCase(),
+            division: isApexTier(tier) ? 'I' : division.toUpperCase()
+        }];
+        session.log(`\n🔍 Scouting ${tier} ${division} players...`);
     }
 
-    console.log(`   Queues: ${queuesToSearch.join(', ')}`);
-    console.log(`   Looking for players active within ${activeWithinMinutes} minutes`);
-    console.log(`   🎲 Randomized search enabled\n`);
+    session.log(`   Regions: ${regions.join(', ')}`);
+    session.log(`   Queues: ${queuesToSearch.join(', ')}`);
+    session.log(`   Looking for players active within ${activeWithinMinutes} minutes${includeInGame ? ' or in game now' : ''}`);
+    if (roles.length > 0) {
+        session.log(`   Roles: ${roles.join(', ')}`);
+    }
+    if (champions.length > 0) {
+        session.log(`   Champions: ${options.champions}`);
+        const unknown = unknownChampions(options.champions);
+        if (unknown.length > 0) {
+            session.log(`   ⚠️  Not a known champion: ${unknown.join(', ')} - no player will match ${unknown.length > 1 ? 'them' : 'it'}`);
+        }
+    }
+    session.log(`   🎲 Randomized search enabled\n`);
 
     const results = [];
-    currentResults = results; // Allow rate limiter to show partial results
+    session.results = results; // Allow rate limiter to show partial results
+    let consecutiveSkips = 0; // Players skipped in a row because Riot kept failing
+    const cacheOptions = { activeWithinMinutes, minWinRate, minLP, maxLP, roles, champions };
+    // Match details are only fetched for a game that may have ended inside the window
+    const activityOptions = { strategies: includeInGame ? ['spectator', 'window'] : ['window'], withinMinutes: activeWithinMinutes };
+
+    // No new checks once the search is stopped or full - checks already running are
+    // waited for but not added, so results never go past maxPlayers
+    const shouldStop = () => session.isAborted() || results.length >= maxPlayers;
+
+    // Riot kept failing for a player even after retries - skip them, not the whole
+    // search, unless it's failing for everyone (the job stays resumable)
+    const skipPlayer = (err, puuid) => {
+        if (session.isAborted()) throw err;
+        if (++consecutiveSkips >= MAX_CONSECUTIVE_SKIPS) throw err;
+        session.retryStats.skippedPlayers++;
+        // Not seen after all - they can be checked again if they come up later
+        seenPuuids.delete(puuid);
+        session.log(`  ⚠️  Skipped a player: ${err.message}`);
+    };
     const seenPuuids = new Set(); // Avoid duplicates across queues
     const processedMatchIds = new Set(); // Avoid processing the same match multiple times
 
-    // Create all search combinations (queue + tier/division)
+    // Create all search combinations (region + queue + tier/division)
     const searchCombinations = [];
-    for (const q of queuesToSearch) {
-        for (const td of tierDivisionsToSearch) {
-            searchCombinations.push({
-                queue: q,
-                tier: td.tier,
-                division: td.division,
-                triedPages: new Set(),
-                maxPageReached: false,
-                currentMaxPage: 50 // Start with assumption of 50 pages max, will adjust when we hit empty
-            });
+    for (const region of regions) {
+        for (const q of queuesToSearch) {
+            for (const td of tierDivisionsToSearch) {
+                searchCombinations.push({
+                    region,
+                    queue: q,
+                    tier: td.tier,
+                    division: td.division,
+                    triedPages: new Set(),
+                    maxPageReached: false,
+                    currentMaxPage: 50 // Start with assumption of 50 pages max, will adjust when we hit empty
+                });
+            }
         }
     }
 
-    // Shuffle the combinations for random starting point
-    const shuffledCombinations = shuffleArray(searchCombinations);
-
-    // Keep searching while we have active combinations and need more players
-    while (results.length < maxPlayers) {
-        // Check if search was aborted
-        if (global.isSearchAborted && global.isSearchAborted()) {
-            console.log('\n⛔ Search aborted by user');
-            break;
+    // Continue from a checkpoint: same combinations, minus the pages already tried
+    if (checkpoint && checkpoint.state) {
+        const saved = checkpoint.state;
+        for (const combo of searchCombinations) {
+            const progress = saved.combinations.find(c => comboKey(c) === comboKey(combo));
+            if (progress) {
+                combo.triedPages = new Set(progress.triedPages);
+                combo.maxPageReached = progress.maxPageReached;
+                combo.currentMaxPage = progress.currentMaxPage;
+            }
         }
+        saved.seenPuuids.forEach(puuid => seenPuuids.add(puuid));
+        saved.processedMatchIds.forEach(matchId => processedMatchIds.add(matchId));
+        results.push(...saved.results);
+        session.log(`   ♻️  Resuming: ${results.length} players found, ${saved.combinations.reduce((n, c) => n + c.triedPages.length, 0)} pages already searched\n`);
+        results.forEach(player => session.playerFound(player));
+    }
 
-        // Filter to combinations that still have untried pages
-        const activeCombinations = shuffledCombinations.filter(c => !c.maxPageReached);
-        if (activeCombinations.length === 0) {
-            console.log('\n   All combinations exhausted');
-            break;
-        }
+    const saveCheckpoint = () => {
+        if (!checkpoint) return;
+        checkpoint.save({
+            combinations: searchCombinations.map(c => ({
+                region: c.region,
+                queue: c.queue,
+                tier: c.tier,
+                division: c.division,
+                triedPages: [...c.triedPages],
+                maxPageReached: c.maxPageReached,
+                currentMaxPage: c.currentMaxPage
+            })),
+            seenPuuids: [...seenPuuids],
+            processedMatchIds: [...processedMatchIds],
+            results
+        });
+    };
 
-        // Randomly pick a combination
-        const combo = activeCombinations[Math.floor(Math.random() * activeCombinations.length)];
-        const { queue: searchQueue, tier: searchTier, division: searchDiv } = combo;
+    // Shuffle the combinations for random starting point
+    const shuffledCombinations = shuffleArray(searchCombinations);
 
-        // Pick a random untried page
-        const untriedPages = [];
-        for (let p = 1; p <= combo.currentMaxPage; p++) {
-            if (!combo.triedPages.has(p)) {
-                untriedPages.push(p);
+    // The page being searched, handed back if the search is stopped partway through it
+    let inProgress = null;
+
+    try {
+        // Keep searching while we have active combinations and need more players
+        while (results.length < maxPlayers) {
+            inProgress = null;
+            saveCheckpoint();
+
+            // Check if search was aborted
+            if (session.isAborted()) {
+                session.log('\n⛔ Search aborted by user');
+                break;
             }
-        }
 
-        if (untriedPages.length === 0) {
-            combo.maxPageReached = true;
-            continue;
-        }
+            // Filter to combinations that still have untried pages
+            const activeCombinations = shuffledCombinations.filter(c => !c.maxPageReached);
+            if (activeCombinations.length === 0) {
+                session.log('\n   All combinations exhausted');
+                break;
+            }
 
-        const page = untriedPages[Math.floor(Math.random() * untriedPages.length)];
-        combo.triedPages.add(page);
+            // Randomly pick a combination
+            const combo = activeCombinations[Math.floor(transport.random() * activeCombinations.length)];
+            const { region: searchRegion, queue: searchQueue, tier: searchTier, division: searchDiv } = combo;
+            const ctx = { session, region: searchRegion };
 
-        const queueShortName = searchQueue === 'RANKED_SOLO_5x5' ? 'Solo/Duo' : 'Flex';
-        console.log(`\n   🎲 ${queueShortName} ${searchTier} ${searchDiv} (page ${page})...`);
+            // Apex leagues arrive whole - fetch once, then serve them page by page
+            if (isApexTier(searchTier) && !combo.apexEntries) {
+                const league = await getApexLeague(searchQueue, searchTier, ctx);
+                combo.apexEntries = (league && league.entries) || [];
+                combo.currentMaxPage = Math.ceil(combo.apexEntries.length / APEX_PAGE_SIZE);
+            }
 
-        const entries = await getLeagueEntries(searchQueue, searchTier, searchDiv, page);
+            // Pick a random untried page
+            const untriedPages = [];
+            for (let p = 1; p <= combo.currentMaxPage; p++) {
+                if (!combo.triedPages.has(p)) {
+                    untriedPages.push(p);
+                }
+            }
 
-        if (!entries || entries.length === 0) {
-            // This page was empty - adjust max page estimate
-            combo.currentMaxPage = Math.min(combo.currentMaxPage, page - 1);
-            if (combo.currentMaxPage < 1 || combo.triedPages.size >= combo.currentMaxPage) {
+            if (untriedPages.length === 0) {
                 combo.maxPageReached = true;
+                continue;
             }
-            continue;
-        }
 
-        // Shuffle entries for random player selection within the page
-        const shuffledEntries = shuffleArray(entries);
-
-        for (const entry of shuffledEntries) {
-            if (results.length >= maxPlayers) break;
+            const page = untriedPages[Math.floor(transport.random() * untriedPages.length)];
+            combo.triedPages.add(page);
+            inProgress = { combo, page };
+
+            const queueShortName = searchQueue === 'RANKED_SOLO_5x5' ? 'Solo/Duo' : 'Flex';
+            const rankLabel = isApexTier(searchTier) ? searchTier : `${searchTier} ${searchDiv}`;
+            session.log(`\n   🎲 ${searchRegion.toUpperCase()} ${queueShortName} ${searchTier} ${searchDiv} (page ${page})...`);
+
+            const entries = isApexTier(searchTier)
+                ? combo.apexEntries.slice((page - 1) * APEX_PAGE_SIZE, page * APEX_PAGE_SIZE)
+                : await getLeagueEntries(searchQueue, searchTier, searchDiv, page, ctx);
+
+            if (!entries || entries.length === 0) {
+                // This page was empty - adjust max page estimate
+                combo.currentMaxPage = Math.min(combo.currentMaxPage, page - 1);
+                // Only pages up to the new max count - the ones past it were empty too
+                const triedBelowMax = [...combo.triedPages].filter(p => p <= combo.currentMaxPage).length;
+                if (combo.currentMaxPage < 1 || triedBelowMax >= combo.currentMaxPage) {
+                    combo.maxPageReached = true;
+                }
+                continue;
+            }
 
-                // Check if search was aborted
-                if (global.isSearchAborted && global.isSearchAborted()) {
-                    break;
+            // Shuffle entries for random player selection within the page
+            const shuffledEntries = shuffleArray(entries);
+
+            // Filters that need no requests first
+            const candidates = [];
+            for (const entry of shuffledEntries) {
+                // Keep the LP history of players we already track current - no API calls needed
+                if (entry.puuid) {
+                    playerStore.recordRank(entry.puuid, {
+                        queue: queueShortName,
+                        rank: rankLabel,
+                        lp: entry.leaguePoints,
+                        totalLP: toTotalLP(searchTier, searchDiv, entry.leaguePoints),
+                        wins: entry.wins,
+                        losses: entry.losses
+                    });
                 }
 
                 // If LP range specified, filter by total LP
@@ -545,23 +1011,83 @@ async function scoutPlayers(options = {}) {
                     continue;
                 }
 
-                const puuid = entry.puuid;
-                if (!puuid) {
+                if (!entry.puuid) {
                     process.stdout.write('x');
                     continue;
                 }
 
+                candidates.push({ entry, winRate });
+            }
+
+            // The requests for a candidate - several candidates are checked at once
+            const checkCandidate = async ({ entry }) => {
+                const puuid = entry.puuid;
+
                 // Skip if we've already seen this player (from another queue)
                 if (seenPuuids.has(puuid)) {
-                    continue;
+                    return { skip: true };
                 }
 
                 // Check cache first
                 const cached = getCachedPlayer(puuid);
-                const cacheOptions = { activeWithinMinutes, minWinRate, minLP, maxLP };
-
                 if (cached && cachedPlayerMeetsCriteria(cached, cacheOptions)) {
+                    return { cached };
+                }
+
+                // Roles and champion pools rarely change within the cache window - skip known misses
+                if (cached && needsProfile && cached.champions && !matchesProfile(cached)) {
+                    return { skip: true };
+                }
+
+                try {
+                    // Not in cache or cache doesn't meet criteria - fetch fresh data
+                    const activity = await getLastActiveMinutes(puuid, ctx, activityOptions);
+                    if (activity === null || activity.minutesAgo > activeWithinMinutes) {
+                        return { inactive: true };
+                    }
+
+                    // Role/champion filter: look at their recent ranked games (mostly served from the match store)
+                    let profile = null;
+                    if (needsProfile) {
+                        profile = await getPlayerProfile(puuid, searchQueue, ctx);
+                        if (!matchesProfile(profile)) {
+                            return { activity, profileMiss: true };
+                        }
+                    }
+
+                    let displayName = 'Unknown';
+                    try {
+                        const account = await getRiotIdByPuuid(puuid, ctx);
+                        displayName = `${account.gameName}#${account.tagLine}`;
+                    } catch (err) {
+                        if (err instanceof AbortedError) throw err;
+                        // Otherwise continue with unknown name
+                    }
+
+                    return { activity, profile, displayName };
+                } catch (err) {
+                    if (err instanceof UpstreamError) return { failed: err };
+                    throw err;
+                }
+            };
+
+            // Add a checked candidate - one at a time, in page order
+            const commitCandidate = async (result, { entry, winRate }) => {
+                const puuid = entry.puuid;
+
+                // Picked up while this check was running (e.g. from an earlier player's match)
+                if (result.skip || seenPuuids.has(puuid)) {
+                    return;
+                }
+
+                if (result.failed) {
+                    skipPlayer(result.failed, puuid);
+                    return;
+                }
+
+                if (result.cached) {
                     // Use cached data - adjust active time
+                    const { cached } = result;
                     seenPuuids.add(puuid);
                     const cachedAge = Date.now() - cached.cachedAt;
                     const adjustedActiveMinutes = cached.lastActiveMinutes + Math.floor(cachedAge / 60000);
@@ -576,144 +1102,205 @@ async function scoutPlayers(options = {}) {
                     results.push(player);
 
                     // Send to UI in real-time if available
-                    if (global.sendPlayerFound) {
-                        global.sendPlayerFound(player);
-                    }
+                    session.playerFound(player);
 
-                    console.log(`  📦 Cache: ${player.name} | ${player.queue} ${player.rank} ${player.lp}LP | Active ${adjustedActiveMinutes}m ago (${player.lastGameMode})`);
-                    continue;
+                    session.log(`  📦 Cache: ${player.name} | ${player.queue} ${player.rank} ${player.lp}LP | Active ${adjustedActiveMinutes}m ago (${player.lastGameMode})`);
+                    return;
                 }
 
-                // Not in cache or cache doesn't meet criteria - fetch fresh data
-                const activity = await getLastActiveMinutes(puuid);
+                consecutiveSkips = 0;
+                if (result.inactive) {
+                    process.stdout.write('.');
+                    return;
+                }
 
-                if (activity !== null && activity.minutesAgo <= activeWithinMinutes) {
-                    seenPuuids.add(puuid);
+                seenPuuids.add(puuid);
+                if (result.profileMiss) {
+                    process.stdout.write('r');
+                    return;
+                }
 
-                    let displayName = 'Unknown';
+                const { activity, profile, displayName } = result;
+                const playerTotalLP = toTotalLP(searchTier, searchDiv, entry.leaguePoints);
+                const queueShort = searchQueue === 'RANKED_SOLO_5x5' ? 'Solo/Duo' : 'Flex';
+                const player = {
+                    name: displayName,
+                    region: searchRegion,
+                    queue: queueShort,
+                    rank: rankLabel,
+                    lp: entry.leaguePoints,
+                    totalLP: playerTotalLP,
+                    wins: entry.wins,
+                    losses: entry.losses,
+                    winRate: (winRate * 100).toFixed(1) + '%',
+                    lastActiveMinutes: activity.minutesAgo,
+                    lastGameMode: activity.gameMode,
+                    inGame: Boolean(activity.inGame),
+                    hotStreak: entry.hotStreak,
+                    veteran: entry.veteran,
+                    freshBlood: entry.freshBlood,
+                    ...profile,
+                    puuid: puuid,
+                    fromCache: false,
+                    updatedAt: Date.now()
+                };
+
+                // Cache the player
+                cachePlayer(player);
+
+                results.push(player);
+
+                // Send to UI in real-time if available
+                session.playerFound(player);
+
+                session.log(`  ✅ Found: ${player.name} | ${searchRegion.toUpperCase()} ${queueShort} ${player.rank} ${player.lp}LP${player.mainRole ? ` | ${player.mainRole}` : ''} | ${activity.inGame ? 'In game now' : `Active ${activity.minutesAgo}m ago`} (${activity.gameMode}) ${player.hotStreak ? '🔥' : ''}`);
+
+                // Process other 9 players from the same match - names come from the match data
+                // and the game already meets the activity condition
+                const matchId = activity.match?.metadata?.matchId;
+                if (matchId && !processedMatchIds.has(matchId) && results.length < maxPlayers) {
+                    processedMatchIds.add(matchId);
+
+                    const participants = activity.match.info.participants || [];
+                    playerStore.addMatchRefs(matchId, searchRegion, participants.map(p => p.puuid).filter(Boolean));
+                    session.log(`  🎮 Adding ${participants.length - 1} other players from same match...`);
+
+                    await addMatchParticipants(participants, player, activity);
+                }
+            };
+
+            // Skip the player we just found and any we've already seen, and (with a role/champion
+            // filter) anyone whose role or champion in this game already rules them out -
+            // their recent ranked games confirm it below
+            const participantsToCheck = (participants, player) => participants.filter(participant =>
+                participant.puuid && participant.puuid !== player.puuid && !seenPuuids.has(participant.puuid) &&
+                (roles.length === 0 || roles.includes(participant.teamPosition)) &&
+                (champions.length === 0 || champions.includes(championKey(participant.championName))));
+
+            const addMatchParticipants = (participants, player, activity) => runOrdered(participantsToCheck(participants, player), {
+                concurrency,
+                shouldStop,
+                task: async participant => {
+                    if (seenPuuids.has(participant.puuid)) return { skip: true };
                     try {
-                        const account = await getRiotIdByPuuid(puuid);
-                        displayName = `${account.gameName}#${account.tagLine}`;
+                        // Real rank first - it's one request and may rule them out before the profile check
+                        let participantRank = null;
+                        if (enrichMatchPlayers) {
+                            participantRank = await getMatchPlayerRank(participant.puuid, searchQueue, ctx);
+                            if (!participantRank || !rankMeetsCriteria(participantRank, { minWinRate, minLP, maxLP })) {
+                                return { rankMiss: true };
+                            }
+                        }
+
+                        let participantProfile = null;
+                        if (needsProfile) {
+                            participantProfile = await getPlayerProfile(participant.puuid, searchQueue, ctx);
+                            if (!matchesProfile(participantProfile)) return { skip: true };
+                        }
+
+                        return { participantRank, participantProfile };
                     } catch (err) {
-                        // Continue with unknown name
+                        if (err instanceof UpstreamError) return { failed: err };
+                        throw err;
+                    }
+                },
+                commit: (result, participant) => {
+                    const participantPuuid = participant.puuid;
+                    if (result.skip || seenPuuids.has(participantPuuid)) return;
+                    if (result.failed) {
+                        skipPlayer(result.failed, participantPuuid);
+                        return;
                     }
 
-                    const playerTotalLP = toTotalLP(searchTier, searchDiv, entry.leaguePoints);
-                    const queueShort = searchQueue === 'RANKED_SOLO_5x5' ? 'Solo/Duo' : 'Flex';
-                    const player = {
-                        name: displayName,
-                        region: CONFIG.region,
-                        queue: queueShort,
-                        rank: `${searchTier} ${searchDiv}`,
-                        lp: entry.leaguePoints,
-                        totalLP: playerTotalLP,
-                        wins: entry.wins,
-                        losses: entry.losses,
-                        winRate: (winRate * 100).toFixed(1) + '%',
+                    seenPuuids.add(participantPuuid);
+                    if (result.rankMiss) return;
+                    const { participantRank, participantProfile } = result;
+
+                    // Get name directly from match data - no API call needed
+                    const participantName = participant.riotIdGameName && participant.riotIdTagline
+                        ? `${participant.riotIdGameName}#${participant.riotIdTagline}`
+                        : 'Unknown';
+
+                    // Without enrichment, use same rank as the player we found (they were in same match)
+                    const matchParticipant = {
+                        name: participantName,
+                        region: searchRegion,
+                        queue: player.queue,
+                        rank: player.rank,
+                        ...participantRank,
                         lastActiveMinutes: activity.minutesAgo,
                         lastGameMode: activity.gameMode,
-                        hotStreak: entry.hotStreak,
-                        veteran: entry.veteran,
-                        freshBlood: entry.freshBlood,
-                        puuid: puuid,
+                        puuid: participantPuuid,
                         fromCache: false,
+                        fromMatch: true,
+                        champion: participant.championName,
+                        position: participant.teamPosition,
+                        ...participantProfile,
                         updatedAt: Date.now()
                     };
 
-                    // Cache the player
-                    cachePlayer(player);
-
-                    results.push(player);
-
-                    // Send to UI in real-time if available
-                    if (global.sendPlayerFound) {
-                        global.sendPlayerFound(player);
+                    if (participantRank) {
+                        cachePlayer(matchParticipant);
                     }
 
-                    console.log(`  ✅ Found: ${player.name} | ${queueShort} ${player.rank} ${player.lp}LP | Active ${activity.minutesAgo}m ago (${activity.gameMode}) ${player.hotStreak ? '🔥' : ''}`);
-
-                    // Process other 9 players from the same match - no API calls needed
-                    // The match data already contains player names and the game already meets activity condition
-                    const matchId = activity.match?.metadata?.matchId;
-                    if (matchId && !processedMatchIds.has(matchId) && results.length < maxPlayers) {
-                        processedMatchIds.add(matchId);
+                    results.push(matchParticipant);
 
-                        const participants = activity.match.info.participants || [];
-                        console.log(`  🎮 Adding ${participants.length - 1} other players from same match...`);
+                    session.playerFound(matchParticipant);
 
-                        for (const participant of participants) {
-                            if (results.length >= maxPlayers) break;
-                            if (global.isSearchAborted && global.isSearchAborted()) break;
-
-                            const participantPuuid = participant.puuid;
-
-                            // Skip the player we just found and any we've already seen
-                            if (!participantPuuid || participantPuuid === puuid || seenPuuids.has(participantPuuid)) {
-                                continue;
-                            }
+                    const rankText = participantRank ? `${matchParticipant.rank} ${matchParticipant.lp}LP` : player.rank;
+                    session.log(`  🎮 Match: ${participantName} (${participant.championName}) | ${rankText} | From same game`);
+                }
+            });
 
-                            seenPuuids.add(participantPuuid);
-
-                            // Get name directly from match data - no API call needed
-                            const participantName = participant.riotIdGameName && participant.riotIdTagline
-                                ? `${participant.riotIdGameName}#${participant.riotIdTagline}`
-                                : 'Unknown';
-
-                            // Use same rank as the player we found (they were in same match)
-                            const matchParticipant = {
-                                name: participantName,
-                                region: CONFIG.region,
-                                queue: player.queue,
-                                rank: player.rank,
-                                lastActiveMinutes: activity.minutesAgo,
-                                lastGameMode: activity.gameMode,
-                                puuid: participantPuuid,
-                                fromCache: false,
-                                fromMatch: true,
-                                champion: participant.championName,
-                                updatedAt: Date.now()
-                            };
-
-                            results.push(matchParticipant);
-
-                            if (global.sendPlayerFound) {
-                                global.sendPlayerFound(matchParticipant);
-                            }
+            await runOrdered(candidates, { concurrency, shouldStop, task: checkCandidate, commit: commitCandidate });
 
-                            console.log(`  🎮 Match: ${participantName} (${participant.championName}) | ${player.rank} | From same game`);
-                        }
-                    }
-                } else {
-                    process.stdout.write('.');
-                }
+            // Stopped partway through the page - search it again on resume
+            if (session.isAborted()) {
+                combo.triedPages.delete(page);
+            }
         }
+    } catch (err) {
+        if (!(err instanceof AbortedError)) throw err;
+        // Stopped while waiting on Riot - keep what was found, redo the page on resume
+        if (inProgress) inProgress.combo.triedPages.delete(inProgress.page);
+        session.log('\n⛔ Search aborted by user');
     }
-
-    // Save cache at end of search
-    saveCache();
+    saveCheckpoint();
 
     const fromCache = results.filter(p => p.fromCache).length;
     const fresh = results.length - fromCache;
-    console.log(`\n\n📊 Scan complete! Found ${results.length} active players (${fromCache} from cache, ${fresh} fresh).`);
-    console.log(`📦 Total cached players: ${Object.keys(playerCache).length}\n`);
+    session.log(`\n\n📊 Scan complete! Found ${results.length} active players (${fromCache} from cache, ${fresh} fresh).`);
+    if (regions.length > 1) {
+        session.log(`   ${regions.map(r => `${r.toUpperCase()}: ${results.filter(p => p.region === r).length}`).join(' | ')}`);
+    }
+    session.log(`📦 Total stored players: ${playerStore.count()}`);
+    session.log(`🗄️  Match store: ${matchStore.size()} matches (${matchStore.stats.hits} hits, ${matchStore.stats.misses} misses)\n`);
 
     return results;
 }
 
 /**
  * Deep scout a specific player - get detailed match history
+ * Options: region (default: CONFIG.region), session (defaults to the console session)
  */
-async function deepScout(puuid, matchCount = 5) {
-    console.log(`\n🔬 Deep scouting player...`);
+async function deepScout(puuid, matchCount = 5, options = {}) {
+    const { session = defaultSession } = options;
+    const ctx = { session, region: normalizePlatform(options.region || CONFIG.region) };
+
+    session.log(`\n🔬 Deep scouting player...`);
     
-    const matchIds = await getMatchIds(puuid, matchCount);
+    const matchIds = await getMatchIds(puuid, matchCount, null, ctx);
     const stats = [];
+    const matches = [];
 
     for (const matchId of matchIds) {
-        const match = await getMatchDetails(matchId);
+        if (session.isAborted()) break;
+        const match = await getMatchDetails(matchId, ctx);
         const playerStats = extractPlayerStats(match, puuid);
         if (playerStats) {
             stats.push(playerStats);
+            matches.push(match);
+            playerStore.addMatchRefs(matchId, ctx.region, [puuid]);
         }
     }
 
@@ -731,6 +1318,7 @@ async function deepScout(puuid, matchCount = 5) {
             recentWinRate: recentWinRate + '%',
             positions,
             championPool: champions,
+            championStats: buildChampionPool(matches, puuid),
             gamesAnalyzed: stats.length
         }
     };
@@ -744,22 +1332,25 @@ async function findDuosFromHistory(yourRiotId, yourTagLine, options = {}) {
     const {
         matchCount = 20,
         minKDA = 2.0,
-        onlyWins = false
+        onlyWins = false,
+        session = defaultSession
     } = options;
+    const ctx = { session, region: normalizePlatform(options.region || CONFIG.region) };
 
-    console.log(`\n🤝 Finding potential duos from your match history...`);
+    session.log(`\n🤝 Finding potential duos from your match history...`);
 
     // Get your account info
-    const account = await getSummonerByRiotId(yourRiotId, yourTagLine);
+    const account = await getSummonerByRiotId(yourRiotId, yourTagLine, ctx);
     const yourPuuid = account.puuid;
 
     // Get your recent matches
-    const matchIds = await getMatchIds(yourPuuid, matchCount);
+    const matchIds = await getMatchIds(yourPuuid, matchCount, null, ctx);
     
     const candidates = new Map(); // puuid -> stats
 
     for (const matchId of matchIds) {
-        const match = await getMatchDetails(matchId);
+        if (session.isAborted()) break;
+        const match = await getMatchDetails(matchId, ctx);
         const yourStats = extractPlayerStats(match, yourPuuid);
         
         if (!yourStats) continue;
@@ -815,13 +1406,13 @@ async function findDuosFromHistory(yourRiotId, yourTagLine, options = {}) {
         }))
         .sort((a, b) => b.gamesPlayed - a.gamesPlayed || parseFloat(b.avgKDA) - parseFloat(a.avgKDA));
 
-    console.log(`\n📋 Found ${results.length} potential duo partners:\n`);
+    session.log(`\n📋 Found ${results.length} potential duo partners:\n`);
     
     for (const player of results.slice(0, 10)) {
-        console.log(`  ${player.name}`);
-        console.log(`    Games together: ${player.gamesPlayed} | WR: ${player.winRate} | Avg KDA: ${player.avgKDA}`);
-        console.log(`    Plays: ${player.positions.join(', ')} | Champs: ${player.champions.slice(0, 5).join(', ')}`);
-        console.log('');
+        session.log(`  ${player.name}`);
+        session.log(`    Games together: ${player.gamesPlayed} | WR: ${player.winRate} | Avg KDA: ${player.avgKDA}`);
+        session.log(`    Plays: ${player.positions.join(', ')} | Champs: ${player.champions.slice(0, 5).join(', ')}`);
+        session.log('');
     }
 
     return results;
@@ -864,23 +1455,32 @@ if (typeof module !== 'undefined' && module.exports) {
         deepScout,
         findDuosFromHistory,
         getLeagueEntries,
+        getApexLeague,
         getLeagueEntriesBySummonerId,
+        getLeagueEntriesByPuuid,
         getSummonerById,
         getSummonerByPuuid,
         getSummonerByRiotId,
         getRiotIdByPuuid,
         getMatchIds,
         getMatchDetails,
+        getActiveGame,
+        getLastActiveMinutes,
+        extractPlayerStats,
+        getPlayerProfile,
+        getChampionPool,
         toTotalLP,
         fromTotalLP,
         getTierDivisionsInRange,
-        loadCache,
-        saveCache,
+        isApexTier,
+        matchStore,
+        transport,
         getCachedPlayer,
         cachePlayer,
-        playerCache,
+        playerStore,
         TIERS,
         DIVISIONS,
+        APEX_TIERS,
         CONFIG
     };
 }
@@ -0,0 +1,235 @@
+/**
+ * Search parameters and presets
+ *
+ * The CLI flags, the /api/scout query string, JSON bodies (jobs, schedules,
+ * presets) and the Discord /scout options all use the same parameter names:
+ *   lp, tier, division, queue, max, active, winrate, regions, roles,
+ *   champions, enrich, ingame (region/role/champion work too) and preset
+ * Everything goes through resolveSearch(), so defaults and validation are
+ * the same wherever a search is started.
+ */
+
+const path = require('path');
+const { TIERS, DIVISIONS, APEX_TIERS, CONFIG } = require('./scout.js');
+const { parseRegions } = require('./regions.js');
+const { parseRoles } = require('./roles.js');
+const { ValidationError } = require('./errors.js');
+const { JsonCollection } = require('./files.js');
+
+// What a search uses for anything it doesn't set (regions: CONFIG.region)
+const SEARCH_DEFAULTS = {
+    tier: 'GOLD',
+    division: 'II',
+    queue: null,
+    maxPlayers: 10,
+    activeWithinMinutes: 30,
+    minWinRate: 0,
+    enrichMatchPlayers: false,
+    includeInGame: false
+};
+
+const MAX_PLAYERS_LIMIT = 500;
+const MAX_ACTIVE_MINUTES = 7 * 24 * 60;
+
+const QUEUES = {
+    solo: 'RANKED_SOLO_5x5',
+    flex: 'RANKED_FLEX_SR',
+    both: null,
+    ranked_solo_5x5: 'RANKED_SOLO_5x5',
+    ranked_flex_sr: 'RANKED_FLEX_SR'
+};
+
+const isGiven = value => value !== undefined && value !== null && value !== '';
+
+// First given value among a parameter's names (e.g. regions / region)
+function pick(params, ...names) {
+    const name = names.find(n => isGiven(params[n]));
+    return name ? params[name] : undefined;
+}
+
+function parseWholeNumber(value, name, min, max) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new ValidationError(`Invalid ${name} "${value}" - expected a whole number from ${min} to ${max}`);
+    }
+    return number;
+}
+
+function parseBoolean(value, name) {
+    if (typeof value === 'boolean') return value;
+    const key = String(value).trim().toLowerCase();
+    if (['1', 'true', 'yes', 'on'].includes(key)) return true;
+    if (['0', 'false', 'no', 'off'].includes(key)) return false;
+    throw new ValidationError(`Invalid ${name} "${value}" - expected true or false`);
+}
+
+// Champion names as given (trimmed) - scoutPlayers resolves them to keys
+function parseNameList(value) {
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(v => String(v).trim()).filter(Boolean);
+}
+
+/**
+ * Validate search parameters and turn them into scoutPlayers options
+ * Only the parameters given are set, on top of `base` (e.g. a preset's options).
+ * An empty roles/champions value clears that filter. Throws on anything invalid.
+ */
+function normalizeSearch(params = {}, base = {}) {
+    const options = { ...base };
+
+    const lp = pick(params, 'lp', 'lpRange');
+    const tier = pick(params, 'tier');
+    if (isGiven(lp)) {
+        const match = String(lp).trim().match(/^(\d+)-(\d+)$/);
+        if (!match || parseInt(match[1]) > parseInt(match[2])) {
+            throw new ValidationError(`Invalid LP range "${lp}" - expected "min-max", e.g. "800-1000"`);
+        }
+        options.lpRange = `${parseInt(match[1])}-${parseInt(match[2])}`;
+        delete options.tier;
+        delete options.division;
+    } else if (isGiven(tier)) {
+        options.tier = String(tier).trim().toUpperCase();
+        if (!TIERS.includes(options.tier) && !APEX_TIERS.includes(options.tier)) {
+            throw new ValidationError(`Unknown tier "${tier}". Valid tiers: ${[...TIERS, ...APEX_TIERS].join(', ')}`);
+        }
+        delete options.lpRange;
+    }
+
+    const division = pick(params, 'division');
+    if (isGiven(division) && !options.lpRange) {
+        options.division = String(division).trim().toUpperCase();
+        if (!DIVISIONS.includes(options.division)) {
+            throw new ValidationError(`Unknown division "${division}". Valid divisions: ${DIVISIONS.join(', ')}`);
+        }
+    }
+    // Apex tiers have a single division
+    if (APEX_TIERS.includes(options.tier)) options.division = 'I';
+
+    const queue = pick(params, 'queue');
+    if (isGiven(queue)) {
+        const key = String(queue).trim().toLowerCase();
+        if (!(key in QUEUES)) {
+            throw new ValidationError(`Unknown queue "${queue}". Valid queues: solo, flex, both`);
+        }
+        options.queue = QUEUES[key];
+    }
+
+    const max = pick(params, 'max', 'maxPlayers');
+    if (isGiven(max)) options.maxPlayers = parseWholeNumber(max, 'max', 1, MAX_PLAYERS_LIMIT);
+
+    const active = pick(params, 'active', 'activeWithinMinutes');
+    if (isGiven(active)) options.activeWithinMinutes = parseWholeNumber(active, 'active', 1, MAX_ACTIVE_MINUTES);
+
+    // A fraction (0.55), or a percentage only with its sign ("55%")
+    const winrate = pick(params, 'winrate', 'minWinRate');
+    if (isGiven(winrate)) {
+        const text = String(winrate).trim();
+        const percent = text.endsWith('%');
+        const rate = Number(percent ? text.slice(0, -1) : text) / (percent ? 100 : 1);
+        if (text === '%' || !Number.isFinite(rate) || rate < 0 || rate > 1) {
+            throw new ValidationError(`Invalid winrate "${winrate}" - expected a fraction from 0 to 1 (0.55) or a percentage ("55%")`);
+        }
+        options.minWinRate = rate;
+    }
+
+    const regions = pick(params, 'regions', 'region');
+    if (isGiven(regions)) options.regions = parseRegions(regions);
+
+    // Present but empty clears the filter
+    if ('roles' in params || 'role' in params) {
+        const roles = parseRoles(pick(params, 'roles', 'role'));
+        if (roles.length > 0) options.roles = roles;
+        else delete options.roles;
+    }
+    if ('champions' in params || 'champion' in params) {
+        // Unknown names are let through (scoutPlayers warns about them) - new champions may not be listed yet
+        const champions = parseNameList(pick(params, 'champions', 'champion') || '');
+        if (champions.length > 0) options.champions = champions;
+        else delete options.champions;
+    }
+
+    const enrich = pick(params, 'enrich', 'enrichMatchPlayers');
+    if (isGiven(enrich)) options.enrichMatchPlayers = parseBoolean(enrich, 'enrich');
+
+    const inGame = pick(params, 'ingame', 'includeInGame');
+    if (isGiven(inGame)) options.includeInGame = parseBoolean(inGame, 'ingame');
+
+    return options;
+}
+
+/**
+ * Complete scoutPlayers options for a search: defaults, then the preset
+ * named by params.preset (if any), then the other parameters
+ * Regions are always filled in so a resumed job or schedule searches the same ones.
+ */
+function resolveSearch(params = {}) {
+    let base = { ...SEARCH_DEFAULTS };
+    if (isGiven(params.preset)) {
+        const preset = presetStore.get(params.preset);
+        if (!preset) throw new ValidationError(`Unknown preset "${params.preset}"`);
+        base = { ...base, ...preset.options };
+    }
+
+    const options = normalizeSearch(params, base);
+    if (!options.regions) options.regions = [CONFIG.region];
+    if (options.lpRange) {
+        delete options.tier;
+        delete options.division;
+    } else {
+        options.tier = options.tier || SEARCH_DEFAULTS.tier;
+        options.division = options.division || SEARCH_DEFAULTS.division;
+    }
+    return options;
+}
+
+// ============ PRESETS ============
+
+// Presets are found by name, case-insensitively
+const presetKey = name => String(name).trim().toLowerCase();
+
+class PresetStore extends JsonCollection {
+    constructor(file) {
+        super(file, { keyOf: preset => presetKey(preset.name), label: 'presets' });
+    }
+
+    list() {
+        return super.list().sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    get(name) {
+        return super.get(presetKey(name));
+    }
+
+    /**
+     * Create or replace a preset from search parameters
+     * Regions are only stored if given; otherwise the preset searches CONFIG.region.
+     */
+    set(name, params) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) throw new ValidationError('Preset name is required');
+
+        const existing = this.get(trimmed);
+        const now = Date.now();
+        const preset = {
+            name: trimmed,
+            options: normalizeSearch(params, { ...SEARCH_DEFAULTS }),
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+        return this.put(preset);
+    }
+
+    remove(name) {
+        return super.remove(presetKey(name));
+    }
+}
+
+const presetStore = new PresetStore(path.join(CONFIG.dataDir, 'presets.json'));
+
+module.exports = {
+    SEARCH_DEFAULTS,
+    normalizeSearch,
+    resolveSearch,
+    PresetStore,
+    presetStore
+};
@@ -2,69 +2,212 @@ require('dotenv').config();
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
-const { scoutPlayers, CONFIG, fromTotalLP, playerCache } = require('./scout.js');
+const { getChampionPool, getSummonerByRiotId, CONFIG, fromTotalLP, playerStore, transport } = require('./scout.js');
+const { normalizePlatform, getRouting } = require('./regions.js');
+const { getPlayerHistory, getClimbers } = require('./history.js');
+const { watchlist, WatchPoller } = require('./watch.js');
+const { jobStore, JobQueue } = require('./jobs.js');
+const { scheduleStore, Scheduler, summarizeRun } = require('./schedule.js');
+const { resolveSearch, presetStore } = require('./search.js');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError, toErrorResponse } = require('./errors.js');
+const { auth, keyStore } = require('./auth.js');
+const { SearchSession } = require('./session.js');
 
 // Set API key from environment variable
 CONFIG.apiKey = process.env.RIOT_API_KEY || '';
 if (!CONFIG.apiKey) {
     console.warn('Warning: RIOT_API_KEY not set in environment variables');
 } else {
-    console.log('API key loaded:', CONFIG.apiKey.substring(0, 10) + '...');
+    console.log('API key loaded from RIOT_API_KEY');
 }
+// RIOT_API_MODE / RIOT_CASSETTE: record Riot traffic to a cassette, or replay one
+transport.configure();
+if (transport.mode !== 'live') {
+    console.log(`${transport.mode === 'record' ? 'Recording Riot API to' : 'Replaying Riot API from'} ${CONFIG.riot.cassette}`);
+}
+console.log(auth.enabled ? 'Sign-in required (AUTH_TOKEN / AUTH_USERS)' : 'Sign-in off - set AUTH_TOKEN or AUTH_USERS to require it');
 
 // Port from command line arg or environment variable, default 3000
 const PORT = process.argv[2] || process.env.PORT || 3000;
 
-// Store active SSE connections
-let sseResponse = null;
-let searchAborted = false;
+// Scout jobs run here in the background, whether or not a client is watching,
+// with the key of the user who started them
+const jobQueue = new JobQueue(jobStore, { apiKeyFor: job => keyStore.get(job.owner) });
 
-// Function to check if search should be aborted
-function isSearchAborted() {
-    return searchAborted;
+// Write one SSE event to a response
+function sendEvent(res, data) {
+    if (res.writableEnded) return;
+    try {
+        res.write(`data: ${JSON.stringify(data)}\n\n`);
+        if (res.flush) res.flush();
+    } catch (err) {
+        console.error('[SSE] Error sending:', err.message);
+    }
 }
-global.isSearchAborted = isSearchAborted;
 
-// Override console.log to send to SSE
-const originalLog = console.log;
-console.log = (...args) => {
-    originalLog(...args);
-    if (sseResponse) {
-        const message = args.join(' ');
-        sseResponse.write(`data: ${JSON.stringify({ type: 'log', message })}\n\n`);
+// Polls the watchlist in the background (started with the server)
+const watchPoller = new WatchPoller(watchlist);
+
+// Runs due schedules in the background (started with the server)
+const scheduler = new Scheduler(scheduleStore);
+
+// Cassettes the server can be switched to live in data/cassettes, by name
+function cassetteFile(name) {
+    if (typeof name !== 'string' || !/^[\w-]{1,64}$/.test(name)) {
+        throw new ValidationError('cassette must be a name of letters, digits, - and _');
     }
-};
+    return path.join(CONFIG.dataDir, 'cassettes', `${name}.jsonl`);
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+// { error, code, details? } with the error's status (see errors.js)
+function sendError(res, err) {
+    const { status, body } = toErrorResponse(err);
+    sendJson(res, status, body);
+}
+
+// Resolves with the parsed body ({} when empty); must be a JSON object
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            let data;
+            try {
+                data = body ? JSON.parse(body) : {};
+            } catch (err) {
+                reject(new ValidationError(`Invalid JSON body: ${err.message}`));
+                return;
+            }
+            if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+                reject(new ValidationError('Request body must be a JSON object'));
+                return;
+            }
+            resolve(data);
+        });
+        req.on('error', reject);
+    });
+}
 
-// Function to send player found event
-function sendPlayerFound(player) {
-    if (sseResponse) {
-        sseResponse.write(`data: ${JSON.stringify({ type: 'player', player })}\n\n`);
+/**
+ * A numeric query parameter, or `fallback` when it's missing
+ * Throws a ValidationError when it isn't a number in [min, max]
+ */
+function numberParam(url, name, { fallback, min = 0, max = Infinity, integer = true } = {}) {
+    const value = url.searchParams.get(name);
+    if (value === null || value.trim() === '') return fallback;
+    const number = Number(value);
+    if (!Number.isFinite(number) || (integer && !Number.isInteger(number)) || number < min || number > max) {
+        const range = max === Infinity ? `at least ${min}` : `from ${min} to ${max}`;
+        throw new ValidationError(`Invalid ${name} "${value}" - expected ${integer ? 'a whole number' : 'a number'} ${range}`);
     }
+    return number;
 }
 
-// Function to send rate limit status
-function sendRateLimit(isLimited, seconds) {
-    originalLog(`[RateLimit] isLimited=${isLimited}, seconds=${seconds}, hasResponse=${!!sseResponse}`);
-    if (sseResponse && !sseResponse.writableEnded) {
-        try {
-            const msg = `data: ${JSON.stringify({ type: 'ratelimit', isLimited, seconds })}\n\n`;
-            originalLog(`[RateLimit] Sending: ${msg.trim()}`);
-            sseResponse.write(msg);
-            if (sseResponse.flush) sseResponse.flush();
-        } catch (err) {
-            originalLog('[RateLimit] Error sending:', err.message);
+// Session for a one-off request made with a user's own key
+function sessionFor(user) {
+    const session = new SearchSession();
+    session.apiKey = keyStore.get(user.name);
+    return session;
+}
+
+// Admins see every job, others only their own
+function canSeeJob(user, job) {
+    return user.admin || job.owner === user.name;
+}
+
+// Queue names getClimbers groups snapshots by
+const CLIMBER_QUEUES = { 'solo': 'Solo/Duo', 'solo/duo': 'Solo/Duo', 'flex': 'Flex' };
+
+// Job without its (large) checkpoint state
+function summarizeJob(job) {
+    const { state, ...summary } = job;
+    return summary;
+}
+
+/**
+ * Stream a job's events to the client as SSE
+ * A queued or running job replays what it found so far and then streams live;
+ * disconnecting only detaches - the job keeps running. A finished job sends
+ * its results and final status straight away.
+ */
+function streamJob(res, job) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    if (res.socket) {
+        res.socket.setNoDelay(true);
+        res.socket.setKeepAlive(true);
+    }
+
+    sendEvent(res, { type: 'job', id: job.id, status: job.status });
+
+    const unsubscribe = jobQueue.subscribe(job.id, event => {
+        if (event.type === 'ratelimit') {
+            console.log(`[RateLimit] isLimited=${event.isLimited}, seconds=${event.seconds}`);
+        }
+        if (event.type === 'degraded') {
+            console.log(`[Riot] degraded=${event.isDegraded}${event.isDegraded ? ` (${event.host}: ${event.reason})` : ''}, retries=${event.stats.retries}`);
         }
+        sendEvent(res, event);
+        if (['complete', 'error', 'stopped'].includes(event.type) && !res.writableEnded) {
+            res.end();
+        }
+    });
+
+    if (unsubscribe) {
+        res.on('close', () => {
+            unsubscribe();
+            if (jobQueue.live.has(job.id)) {
+                console.log(`[Server] Client detached - job ${job.id} keeps running`);
+            }
+        });
+        return;
+    }
+
+    const results = job.state ? job.state.results : [];
+    for (const player of results) {
+        sendEvent(res, { type: 'player', player });
+    }
+    if (job.status === 'completed') {
+        sendEvent(res, { type: 'complete', results, jobId: job.id });
+    } else if (job.status === 'failed') {
+        sendEvent(res, { type: 'error', message: job.error, code: job.errorCode || 'internal_error', jobId: job.id });
     } else {
-        originalLog('[RateLimit] Cannot send - response ended or null');
+        sendEvent(res, { type: 'stopped', status: job.status, jobId: job.id });
     }
+    res.end();
 }
 
-// Export for use in scout.js
-global.sendPlayerFound = sendPlayerFound;
-global.sendRateLimit = sendRateLimit;
-
-// Request handler
+/**
+ * Request handler
+ * Routes throw typed errors (errors.js) and this turns them into JSON
+ * responses; an error after an SSE stream started just ends the stream.
+ */
 async function handleRequest(req, res) {
+    try {
+        await routeRequest(req, res);
+    } catch (err) {
+        const { status } = toErrorResponse(err);
+        if (status >= 500) console.error(`[Server] ${req.method} ${req.url}:`, err.message);
+        if (!res.headersSent) {
+            sendError(res, err);
+        } else if (!res.writableEnded) {
+            res.end();
+        }
+    }
+}
+
+async function routeRequest(req, res) {
     const url = new URL(req.url, `http://localhost:${PORT}`);
 
     // Serve the HTML UI
@@ -74,78 +217,132 @@ async function handleRequest(req, res) {
         return;
     }
 
-    // API: Set config (region and optional API key override)
-    if (url.pathname === '/api/config' && req.method === 'POST') {
-        let body = '';
-        req.on('data', chunk => body += chunk);
-        req.on('end', () => {
-            const data = JSON.parse(body);
-            if (data.region) CONFIG.region = data.region;
-            if (data.regionV5) CONFIG.regionV5 = data.regionV5;
-            if (data.apiKey) {
-                CONFIG.apiKey = data.apiKey;
-                originalLog('API key overridden by user:', data.apiKey.substring(0, 15) + '...');
-            }
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: true }));
+    // API: Sign in with { name, password } or { token } - sets the session cookie
+    if (url.pathname === '/api/login' && req.method === 'POST') {
+        const user = auth.login(await readJsonBody(req));
+        res.setHeader('Set-Cookie', auth.cookie(req, auth.createSession(user)));
+        sendJson(res, 200, user);
+        return;
+    }
+
+    if (url.pathname === '/api/logout' && req.method === 'POST') {
+        res.setHeader('Set-Cookie', auth.cookie(req, ''));
+        sendJson(res, 200, { success: true });
+        return;
+    }
+
+    // API: Who's signed in (user is null if nobody) and whether they have a key saved
+    if (url.pathname === '/api/me') {
+        const user = auth.authenticate(req);
+        sendJson(res, 200, {
+            authEnabled: auth.enabled,
+            user,
+            apiKey: user ? keyStore.status(user.name) : null,
+            riotMode: transport.mode
         });
         return;
     }
 
-    // API: Scout with SSE streaming
+    // Everything below needs a signed-in user when auth is on
+    const user = auth.require(req);
+
+    // API: Your own Riot API key - POST { apiKey } saves it (encrypted), DELETE forgets it
+    // It's never sent back, only whether one is saved
+    if (url.pathname === '/api/key') {
+        if (req.method === 'POST') {
+            keyStore.set(user.name, (await readJsonBody(req)).apiKey);
+            console.log(`[Server] API key saved for ${user.name}`);
+        } else if (req.method === 'DELETE') {
+            keyStore.remove(user.name);
+        }
+        sendJson(res, 200, keyStore.status(user.name));
+        return;
+    }
+
+    // API: Set config - the server's default region and Riot API mode (admins),
+    // and an apiKey to save as yours (the same as POST /api/key)
+    // riotMode is live, record or replay, with a cassette name (data/cassettes/<name>.jsonl)
+    // Match routing is derived from the region, so regionV5 is no longer accepted
+    if (url.pathname === '/api/config' && req.method === 'POST') {
+        const data = await readJsonBody(req);
+        // Validate everything before changing anything
+        const region = data.region ? normalizePlatform(data.region) : null;
+        if (region && region !== CONFIG.region && !user.admin) {
+            throw new ForbiddenError('Only admins can change the default region');
+        }
+        const riot = data.riotMode !== undefined || data.cassette !== undefined
+            ? { mode: data.riotMode, cassette: data.cassette !== undefined ? cassetteFile(data.cassette) : undefined }
+            : null;
+        if (riot && !user.admin) {
+            throw new ForbiddenError('Only admins can change the Riot API mode');
+        }
+        if (riot) transport.configure(riot);
+        if (data.apiKey) keyStore.set(user.name, data.apiKey);
+        if (region) CONFIG.region = region;
+        if (riot) console.log(`[Server] Riot API mode: ${transport.mode}${CONFIG.riot.cassette ? ` (${CONFIG.riot.cassette})` : ''}`);
+        sendJson(res, 200, { success: true, riotMode: transport.mode });
+        return;
+    }
+
+    // API: Scout with SSE streaming - every search runs as a resumable job
+    // Takes the search parameters of search.js (lp, tier, division, queue, max, ..., preset)
     if (url.pathname === '/api/scout') {
-        res.writeHead(200, {
-            'Content-Type': 'text/event-stream',
-            'Cache-Control': 'no-cache, no-transform',
-            'Connection': 'keep-alive',
-            'Access-Control-Allow-Origin': '*',
-            'X-Accel-Buffering': 'no'
-        });
-        res.flushHeaders();
-        if (res.socket) {
-            res.socket.setNoDelay(true);
-            res.socket.setKeepAlive(true);
+        const job = jobQueue.submit(resolveSearch(Object.fromEntries(url.searchParams)), user.name);
+        streamJob(res, job);
+        return;
+    }
+
+    // API: Scout jobs, newest first (without their checkpoint state)
+    // POST queues a new job from the search parameters (as for /api/scout), as JSON
+    if (url.pathname === '/api/jobs') {
+        if (req.method === 'POST') {
+            const job = jobQueue.submit(resolveSearch(await readJsonBody(req)), user.name);
+            sendJson(res, 201, summarizeJob(job));
+            return;
         }
 
-        sseResponse = res;
-        searchAborted = false; // Reset abort flag for new search
+        sendJson(res, 200, jobStore.list().filter(job => canSeeJob(user, job)).map(summarizeJob));
+        return;
+    }
 
-        // Detect when client disconnects (Stop button clicked)
-        req.on('close', () => {
-            searchAborted = true;
-            originalLog('[Server] Client disconnected - search aborted');
-        });
+    // API: One job - GET (with results so far), DELETE (cancel),
+    // POST .../resume (queue it again), GET .../events (SSE, live or finished)
+    const jobMatch = url.pathname.match(/^\/api\/jobs\/([^/]+)(?:\/(resume|events))?$/);
+    if (jobMatch) {
+        const id = decodeURIComponent(jobMatch[1]);
+        const action = jobMatch[2];
+        const live = jobQueue.live.get(id);
+        const job = live ? live.job : jobStore.get(id);
+        if (!job || !canSeeJob(user, job)) throw new NotFoundError(`Job ${id} not found`);
 
-        const params = {
-            lpRange: url.searchParams.get('lp') || null,
-            tier: url.searchParams.get('tier') || 'GOLD',
-            division: url.searchParams.get('division') || 'II',
-            maxPlayers: parseInt(url.searchParams.get('max')) || 10,
-            activeWithinMinutes: parseInt(url.searchParams.get('active')) || 30,
-            queue: url.searchParams.get('queue') || null,
-            minWinRate: url.searchParams.get('winrate') ? parseFloat(url.searchParams.get('winrate')) : 0
-        };
-
-        const queueParam = url.searchParams.get('queue');
-        if (queueParam === 'solo') params.queue = 'RANKED_SOLO_5x5';
-        else if (queueParam === 'flex') params.queue = 'RANKED_FLEX_SR';
-        else params.queue = null;
+        if (action === 'events') {
+            streamJob(res, job);
+            return;
+        }
 
-        try {
-            const results = await scoutPlayers(params);
-            if (!searchAborted) {
-                res.write(`data: ${JSON.stringify({ type: 'complete', results })}\n\n`);
+        if (action === 'resume') {
+            if (req.method !== 'POST') {
+                sendJson(res, 405, { error: 'Use POST to resume a job', code: 'method_not_allowed' });
+                return;
             }
-        } catch (err) {
-            if (!searchAborted && err.message !== 'Search aborted') {
-                res.write(`data: ${JSON.stringify({ type: 'error', message: err.message })}\n\n`);
+            if (!jobStore.isResumable(job)) {
+                throw new ConflictError(`Job is ${job.status} and can't be resumed`, { status: job.status });
             }
+            jobQueue.enqueue(job);
+            sendJson(res, 202, summarizeJob(job));
+            return;
         }
 
-        sseResponse = null;
-        if (!res.writableEnded) {
-            res.end();
+        if (req.method === 'DELETE') {
+            if (!jobQueue.cancel(id)) {
+                throw new ConflictError(`Job is ${job.status} and isn't running`, { status: job.status });
+            }
+            console.log(`[Server] Job ${id} cancelled`);
+            sendJson(res, 200, summarizeJob(job));
+            return;
         }
+
+        sendJson(res, 200, { ...summarizeJob(job), results: job.state ? job.state.results : [] });
         return;
     }
 
@@ -154,26 +351,33 @@ async function handleRequest(req, res) {
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({
             apiKeySet: !!CONFIG.apiKey,
-            apiKeyPrefix: CONFIG.apiKey ? CONFIG.apiKey.substring(0, 15) + '...' : 'NOT SET',
+            userApiKeySet: keyStore.has(user.name),
+            authEnabled: auth.enabled,
             region: CONFIG.region,
+            routing: getRouting(CONFIG.region),
+            riotMode: transport.mode,
+            cassette: CONFIG.riot.cassette ? path.basename(CONFIG.riot.cassette, '.jsonl') : null,
             nodeEnv: process.env.NODE_ENV
         }));
         return;
     }
 
-    // API: Test Riot API connection (for debugging)
+    // API: Test Riot API connection with your key (for debugging, admins only)
     if (url.pathname === '/api/test-riot') {
+        auth.require(req, { admin: true });
+        const userKey = keyStore.get(user.name);
         try {
             const testUrl = `https://${CONFIG.region}.api.riotgames.com/lol/league-exp/v4/entries/RANKED_SOLO_5x5/GOLD/IV?page=1`;
-            const response = await fetch(testUrl, {
-                headers: { 'X-Riot-Token': CONFIG.apiKey }
+            const response = await transport.request(testUrl, {
+                headers: { 'X-Riot-Token': userKey || CONFIG.apiKey }
             });
 
             const result = {
                 status: response.status,
                 statusText: response.statusText,
-                apiKeyUsed: CONFIG.apiKey ? CONFIG.apiKey.substring(0, 15) + '...' : 'NOT SET',
+                apiKeySource: userKey ? 'user' : CONFIG.apiKey ? 'server' : null,
                 testUrl: testUrl,
+                sentTo: transport.resolve(testUrl),
                 headers: Object.fromEntries(response.headers.entries())
             };
 
@@ -205,30 +409,43 @@ async function handleRequest(req, res) {
 
     // API: Get LP info
     if (url.pathname === '/api/lpinfo') {
-        const lp = parseInt(url.searchParams.get('lp')) || 0;
+        const lp = numberParam(url, 'lp', { fallback: 0 });
         const info = fromTotalLP(lp);
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(info));
         return;
     }
 
-    // API: Test rate limit indicator (for debugging)
+    // API: Test rate limit indicator (for debugging, admins only)
     if (url.pathname === '/api/test-ratelimit') {
-        const seconds = parseInt(url.searchParams.get('seconds')) || 10;
-        if (sseResponse && !sseResponse.writableEnded) {
-            sendRateLimit(true, seconds);
+        auth.require(req, { admin: true });
+        const seconds = numberParam(url, 'seconds', { fallback: 10, min: 1, max: 600 });
+        const sessions = jobQueue.sessions();
+        if (sessions.length > 0) {
+            for (const session of sessions) {
+                session.rateLimit(true, seconds);
+            }
             res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: true, message: `Sent rate limit event for ${seconds}s` }));
+            res.end(JSON.stringify({ success: true, message: `Sent rate limit event for ${seconds}s to ${sessions.length} search(es)` }));
         } else {
             res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: false, message: 'No active SSE connection. Start a search first.' }));
+            res.end(JSON.stringify({ success: false, message: 'No running search. Start a search first.' }));
         }
         return;
     }
 
-    // API: Get cached players
+    // API: Get stored players
+    // Optional filters: region, tier, minLP, maxLP, seen (minutes), limit
     if (url.pathname === '/api/cache') {
-        const cachedPlayers = Object.values(playerCache).map(p => ({
+        const region = url.searchParams.get('region');
+        const cachedPlayers = playerStore.query({
+            region: region ? normalizePlatform(region) : undefined,
+            tier: url.searchParams.get('tier') || undefined,
+            minLP: numberParam(url, 'minLP'),
+            maxLP: numberParam(url, 'maxLP'),
+            seenWithinMinutes: numberParam(url, 'seen', { min: 1 }),
+            limit: numberParam(url, 'limit', { min: 1 })
+        }).map(p => ({
             ...p,
             lastActiveMinutes: p.lastActiveMinutes + Math.floor((Date.now() - p.cachedAt) / 60000),
             fromCache: true
@@ -238,9 +455,189 @@ async function handleRequest(req, res) {
         return;
     }
 
-    // 404
-    res.writeHead(404);
-    res.end('Not found');
+    // API: LP / rank history of one stored player
+    // Optional: days (only the last N days)
+    const historyMatch = url.pathname.match(/^\/api\/player\/([^/]+)\/history$/);
+    if (historyMatch) {
+        const puuid = decodeURIComponent(historyMatch[1]);
+        const days = numberParam(url, 'days', { fallback: null, min: 0, integer: false });
+        const history = getPlayerHistory(playerStore, puuid, { days });
+        if (!history.name && history.snapshots.length === 0) {
+            throw new NotFoundError('No history for this player');
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(history));
+        return;
+    }
+
+    // API: Champion pool of a player from stored matches
+    // Optional: matches (fetch this many recent ranked games first), region
+    const championsMatch = url.pathname.match(/^\/api\/player\/([^/]+)\/champions$/);
+    if (championsMatch) {
+        const puuid = decodeURIComponent(championsMatch[1]);
+        const stored = playerStore.getPlayer(puuid);
+        const region = url.searchParams.get('region');
+        const pool = await getChampionPool(puuid, {
+            matchCount: numberParam(url, 'matches', { fallback: 0, max: 100 }),
+            region: region ? normalizePlatform(region) : (stored && stored.region) || CONFIG.region,
+            session: sessionFor(user)
+        });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ name: stored ? stored.name : null, ...pool }));
+        return;
+    }
+
+    // API: Stored players ranked by LP gained per day
+    // Optional: days (default 7), queue (Solo/Duo or Flex), limit (default 20)
+    if (url.pathname === '/api/climbers') {
+        const queue = url.searchParams.get('queue');
+        if (queue && !CLIMBER_QUEUES[queue.toLowerCase()]) {
+            throw new ValidationError(`Unknown queue "${queue}". Valid queues: Solo/Duo, Flex`);
+        }
+        const climbers = getClimbers(playerStore, {
+            days: numberParam(url, 'days', { fallback: 7, min: 0.01, integer: false }),
+            queue: queue ? CLIMBER_QUEUES[queue.toLowerCase()] : null,
+            limit: numberParam(url, 'limit', { fallback: 20, min: 1 })
+        });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(climbers));
+        return;
+    }
+
+    // API: Watchlist
+    // GET lists watched players, POST { name, tag, region?, webhook? } or { puuid, name, region? } adds one (webhook: admins only)
+    if (url.pathname === '/api/watchlist') {
+        if (req.method === 'GET') {
+            sendJson(res, 200, watchlist.list());
+            return;
+        }
+        if (req.method === 'POST') {
+            const data = await readJsonBody(req);
+            // The server POSTs to whatever URL is given - only admins get to pick one
+            if (data.webhook && !user.admin) {
+                throw new ForbiddenError('Only admins can set a webhook');
+            }
+            const region = normalizePlatform(data.region || CONFIG.region);
+            let { puuid, name } = data;
+            if (!puuid) {
+                if (!data.name || !data.tag) {
+                    throw new ValidationError('name and tag (or puuid) are required');
+                }
+                const account = await getSummonerByRiotId(data.name, data.tag, { region, session: sessionFor(user) });
+                puuid = account.puuid;
+                name = `${account.gameName}#${account.tagLine}`;
+            }
+            sendJson(res, 201, watchlist.add({ puuid, name: name || puuid, region, webhook: data.webhook }));
+            return;
+        }
+    }
+
+    // API: Check every watched player now, returns the notifications fired (admins - it spends the server's key)
+    if (url.pathname === '/api/watchlist/check' && req.method === 'POST') {
+        if (!user.admin) throw new ForbiddenError('Only admins can check the watchlist on demand');
+        sendJson(res, 200, await watchPoller.poll());
+        return;
+    }
+
+    // API: Stop watching a player (admins - the watchlist is shared)
+    const watchMatch = url.pathname.match(/^\/api\/watchlist\/([^/]+)$/);
+    if (watchMatch && req.method === 'DELETE') {
+        if (!user.admin) throw new ForbiddenError('Only admins can remove players from the watchlist');
+        if (!watchlist.remove(decodeURIComponent(watchMatch[1]))) {
+            throw new NotFoundError('Not on the watchlist');
+        }
+        sendJson(res, 200, { success: true });
+        return;
+    }
+
+    // API: Saved search presets - POST { name, ...search parameters } creates one (or replaces it, admins only)
+    if (url.pathname === '/api/presets') {
+        if (req.method === 'POST') {
+            const { name, ...params } = await readJsonBody(req);
+            if (name && presetStore.get(name) && !user.admin) {
+                throw new ForbiddenError(`Only admins can replace preset "${presetStore.get(name).name}"`);
+            }
+            sendJson(res, 201, presetStore.set(name, params));
+            return;
+        }
+
+        sendJson(res, 200, presetStore.list());
+        return;
+    }
+
+    const presetMatch = url.pathname.match(/^\/api\/presets\/([^/]+)$/);
+    if (presetMatch) {
+        const name = decodeURIComponent(presetMatch[1]);
+        if (req.method === 'DELETE') {
+            if (!user.admin) throw new ForbiddenError('Only admins can delete presets');
+            if (!presetStore.remove(name)) throw new NotFoundError(`Preset "${name}" not found`);
+            sendJson(res, 200, { success: true });
+            return;
+        }
+        const preset = presetStore.get(name);
+        if (!preset) throw new NotFoundError(`Preset "${name}" not found`);
+        sendJson(res, 200, preset);
+        return;
+    }
+
+    // API: Scheduled scouts, with a summary of their last run
+    // POST { name, cron, ...search parameters (a preset works too) } adds one (admins - schedules run with the server's key)
+    if (url.pathname === '/api/schedules') {
+        if (req.method === 'POST') {
+            if (!user.admin) throw new ForbiddenError('Only admins can add schedules');
+            const { name, cron, ...params } = await readJsonBody(req);
+            sendJson(res, 201, scheduleStore.add({ name, cron, options: resolveSearch(params) }));
+            return;
+        }
+
+        sendJson(res, 200, scheduleStore.list().map(schedule => {
+            const lastRun = schedule.lastRunId ? scheduleStore.getRun(schedule.id, schedule.lastRunId) : null;
+            return { ...schedule, running: scheduler.isRunning(schedule.id), lastRun: lastRun ? summarizeRun(lastRun) : null };
+        }));
+        return;
+    }
+
+    // API: One schedule - GET (with its runs), DELETE and POST .../run (run now, in the background) for admins,
+    // GET .../runs/<runId> or .../runs/latest (players and diff of a run)
+    const scheduleMatch = url.pathname.match(/^\/api\/schedules\/([^/]+)(?:\/(run|runs\/([^/]+)))?$/);
+    if (scheduleMatch) {
+        const schedule = scheduleStore.get(decodeURIComponent(scheduleMatch[1]));
+        if (!schedule) throw new NotFoundError('Schedule not found');
+
+        if (scheduleMatch[2] === 'run' && req.method === 'POST') {
+            if (!user.admin) throw new ForbiddenError('Only admins can run schedules');
+            const running = scheduler.isRunning(schedule.id);
+            scheduler.run(schedule);
+            sendJson(res, 202, { success: true, alreadyRunning: running });
+            return;
+        }
+
+        if (scheduleMatch[3]) {
+            const runId = decodeURIComponent(scheduleMatch[3]);
+            const run = runId === 'latest'
+                ? scheduleStore.listRuns(schedule.id)[0]
+                : scheduleStore.getRun(schedule.id, runId);
+            if (!run) throw new NotFoundError('Run not found');
+            sendJson(res, 200, run);
+            return;
+        }
+
+        if (req.method === 'DELETE') {
+            if (!user.admin) throw new ForbiddenError('Only admins can delete schedules');
+            scheduleStore.remove(schedule.id);
+            sendJson(res, 200, { success: true });
+            return;
+        }
+
+        sendJson(res, 200, {
+            ...schedule,
+            running: scheduler.isRunning(schedule.id),
+            runs: scheduleStore.listRuns(schedule.id).map(summarizeRun)
+        });
+        return;
+    }
+
+    throw new NotFoundError(`No route for ${req.method} ${url.pathname}`);
 }
 
 // Create server
@@ -250,6 +647,8 @@ const server = http.createServer(handleRequest);
 if (require.main === module) {
     server.listen(PORT, () => {
         console.log(`\nLOL Finder UI running at http://localhost:${PORT}\n`);
+        watchPoller.start();
+        scheduler.start();
     });
 }
 
@@ -0,0 +1,63 @@
+/**
+ * Search sessions
+ *
+ * Every scout run gets its own session: a channel for log lines, found
+ * players, rate limit and Riot outage notices, plus its own abort flag. server.js creates
+ * one per /api/scout request and forwards the events to that request's SSE
+ * stream; the CLI just uses the default session, which only prints.
+ */
+
+const { EventEmitter } = require('events');
+
+class SearchSession extends EventEmitter {
+    constructor() {
+        super();
+        this.aborted = false;
+        this.results = []; // Players found so far, shown while rate limited
+        this.apiKey = null; // Riot key for this run's requests (null = CONFIG.apiKey)
+        this.isDegraded = false;
+        // What Riot failures cost this run (see retry.js)
+        this.retryStats = { retries: 0, serverErrors: 0, networkErrors: 0, timeouts: 0, circuitOpens: 0, skippedPlayers: 0 };
+    }
+
+    // Print to the console and forward to listeners (e.g. an SSE stream)
+    log(...args) {
+        console.log(...args);
+        this.emit('log', args.join(' '));
+    }
+
+    playerFound(player) {
+        this.emit('player', player);
+    }
+
+    rateLimit(isLimited, seconds) {
+        this.emit('ratelimit', { isLimited, seconds });
+    }
+
+    /**
+     * Riot is failing and requests are being retried: { host, seconds, reason }
+     * while waiting, then isDegraded false once a request gets through
+     */
+    degraded(isDegraded, details = {}) {
+        if (!isDegraded && !this.isDegraded) return;
+        this.isDegraded = isDegraded;
+        this.emit('degraded', { isDegraded, ...details, stats: { ...this.retryStats } });
+    }
+
+    abort() {
+        this.aborted = true;
+        this.emit('abort');
+    }
+
+    isAborted() {
+        return this.aborted;
+    }
+}
+
+// Used when a caller doesn't pass its own session (CLI, scripts)
+const defaultSession = new SearchSession();
+
+module.exports = {
+    SearchSession,
+    defaultSession
+};
@@ -0,0 +1,309 @@
+/**
+ * Local player store
+ *
+ * Replaces the single player_cache.json with append-only JSON-lines logs:
+ *
+ *   players.jsonl    latest known state of each player (last line per puuid wins)
+ *   snapshots.jsonl  one line per rank observation, never overwritten
+ *   matchrefs.jsonl  which matches each player was seen in
+ *
+ * Writes only ever append one line, so a crash can at worst leave a torn last
+ * line, which the loader skips. All three are read once and indexed by puuid
+ * in memory. A file is compacted (rewritten atomically with only the lines
+ * still in the index) once superseded, repeated or torn lines pile up.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./files.js');
+
+const PLAYERS_FILE = 'players.jsonl';
+const SNAPSHOTS_FILE = 'snapshots.jsonl';
+const MATCHREFS_FILE = 'matchrefs.jsonl';
+
+// Compact a file when it holds this many more lines than the index keeps
+const COMPACT_SLACK = 1000;
+
+class PlayerStore {
+    constructor(dir, { legacyCacheFile = null } = {}) {
+        this.dir = dir;
+        this.legacyCacheFile = legacyCacheFile;
+        this.players = null; // puuid -> player, loaded on first use
+        this.snapshots = null; // puuid -> snapshots in the order they were written
+        this.latestSnapshots = null; // "puuid|queue" -> newest snapshot
+        this.matchRefs = null; // puuid -> (matchId -> ref)
+        this.lines = {}; // file name -> lines in it, kept or not
+        this.kept = {}; // file name -> lines the index keeps (players: this.players.size)
+        this.loading = false;
+    }
+
+    file(name) {
+        return path.join(this.dir, name);
+    }
+
+    // Parse a JSON-lines file, skipping blank or torn lines (counted in this.lines)
+    readLines(name) {
+        const file = this.file(name);
+        this.lines[name] = 0;
+        if (!fs.existsSync(file)) return [];
+        const records = [];
+        for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            this.lines[name]++;
+            try {
+                records.push(JSON.parse(line));
+            } catch (err) {
+                // Torn write from a crash - ignore the line
+            }
+        }
+        return records;
+    }
+
+    load() {
+        if (this.players) return;
+        this.players = new Map();
+        this.snapshots = new Map();
+        this.latestSnapshots = new Map();
+        this.matchRefs = new Map();
+        this.lines = {};
+        this.kept = { [SNAPSHOTS_FILE]: 0, [MATCHREFS_FILE]: 0 };
+
+        this.loading = true;
+        try {
+            this.migrateLegacyCache();
+
+            for (const record of this.readLines(PLAYERS_FILE)) {
+                this.players.set(record.puuid, record);
+            }
+            for (const snapshot of this.readLines(SNAPSHOTS_FILE)) {
+                this.indexSnapshot(snapshot);
+            }
+            for (const ref of this.readLines(MATCHREFS_FILE)) {
+                this.indexMatchRef(ref);
+            }
+
+            if (this.players.size > 0) {
+                console.log(`📦 Loaded ${this.players.size} stored players`);
+            }
+            for (const name of [PLAYERS_FILE, SNAPSHOTS_FILE, MATCHREFS_FILE]) {
+                this.compactIfNeeded(name);
+            }
+        } catch (err) {
+            console.error('Error loading player store:', err.message);
+        } finally {
+            this.loading = false;
+        }
+    }
+
+    // The records of a file as the index has them
+    indexed(name) {
+        if (name === PLAYERS_FILE) return [...this.players.values()];
+        const byPuuid = name === SNAPSHOTS_FILE ? this.snapshots : this.matchRefs;
+        return [...byPuuid.values()].flatMap(list => [...list.values()]);
+    }
+
+    keptLines(name) {
+        return name === PLAYERS_FILE ? this.players.size : this.kept[name];
+    }
+
+    compactIfNeeded(name) {
+        if ((this.lines[name] || 0) > this.keptLines(name) + COMPACT_SLACK) {
+            this.compact(name, this.indexed(name));
+        }
+    }
+
+    // Import the old player_cache.json once, then move it out of the way
+    migrateLegacyCache() {
+        const legacy = this.legacyCacheFile;
+        if (!legacy || !fs.existsSync(legacy) || fs.existsSync(this.file(PLAYERS_FILE))) return;
+
+        const cache = JSON.parse(fs.readFileSync(legacy, 'utf8'));
+        const players = Object.values(cache).filter(p => p && p.puuid);
+        this.append(PLAYERS_FILE, players);
+        this.append(SNAPSHOTS_FILE, players.map(toSnapshot).filter(Boolean));
+        fs.renameSync(legacy, `${legacy}.migrated`);
+        console.log(`📦 Migrated ${players.length} players from ${path.basename(legacy)}`);
+    }
+
+    // Rewrite a file with just the records the index keeps
+    compact(name, records) {
+        try {
+            const lines = records.map(r => JSON.stringify(r));
+            writeFileAtomic(this.file(name), lines.length > 0 ? lines.join('\n') + '\n' : '');
+            this.lines[name] = lines.length;
+        } catch (err) {
+            console.error(`Error compacting ${name}:`, err.message);
+        }
+    }
+
+    append(name, records) {
+        if (records.length === 0) return;
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            fs.appendFileSync(this.file(name), records.map(r => JSON.stringify(r)).join('\n') + '\n');
+            this.lines[name] = (this.lines[name] || 0) + records.length;
+        } catch (err) {
+            console.error(`Error writing ${name}:`, err.message);
+        }
+        // Each change to a player appends it again; mid-load the index is incomplete, so load() checks at the end
+        if (!this.loading) this.compactIfNeeded(name);
+    }
+
+    getPlayer(puuid) {
+        this.load();
+        return this.players.get(puuid) || null;
+    }
+
+    // Save the latest state of a player and, if it has rank data, a snapshot
+    upsertPlayer(player) {
+        this.load();
+        this.players.set(player.puuid, player);
+        this.append(PLAYERS_FILE, [player]);
+
+        const snapshot = toSnapshot(player);
+        if (snapshot) this.addSnapshot(snapshot);
+    }
+
+    /**
+     * Record a fresh ladder observation for a stored player
+     * rank: { queue, rank, lp, totalLP, wins, losses }
+     * Writes a snapshot when anything changed since the last one for that queue,
+     * and keeps the player record current when it's for the player's queue.
+     * Returns true if a snapshot was written.
+     */
+    recordRank(puuid, rank, at = Date.now()) {
+        const player = this.getPlayer(puuid);
+        if (!player) return false;
+
+        const written = this.addSnapshot({ puuid, region: player.region, ...rank, at });
+        if (written && rank.queue === player.queue) {
+            const games = rank.wins + rank.losses;
+            const winRate = games > 0 ? ((rank.wins / games) * 100).toFixed(1) + '%' : player.winRate;
+            const updated = { ...player, ...rank, winRate, rankUpdatedAt: at };
+            this.players.set(puuid, updated);
+            this.append(PLAYERS_FILE, [updated]);
+        }
+        return written;
+    }
+
+    // Index a snapshot unless it repeats the latest one for that player and queue
+    indexSnapshot(snapshot) {
+        const key = `${snapshot.puuid}|${snapshot.queue}`;
+        const latest = this.latestSnapshots.get(key);
+        if (latest && latest.totalLP === snapshot.totalLP && latest.rank === snapshot.rank &&
+            latest.wins === snapshot.wins && latest.losses === snapshot.losses) {
+            return false;
+        }
+
+        this.latestSnapshots.set(key, snapshot);
+        if (!this.snapshots.has(snapshot.puuid)) this.snapshots.set(snapshot.puuid, []);
+        this.snapshots.get(snapshot.puuid).push(snapshot);
+        this.kept[SNAPSHOTS_FILE]++;
+        return true;
+    }
+
+    // Index a match reference unless that player already has one for the match
+    indexMatchRef(ref) {
+        if (!this.matchRefs.has(ref.puuid)) this.matchRefs.set(ref.puuid, new Map());
+        const refs = this.matchRefs.get(ref.puuid);
+        if (refs.has(ref.matchId)) return false;
+        refs.set(ref.matchId, ref);
+        this.kept[MATCHREFS_FILE]++;
+        return true;
+    }
+
+    // Append a snapshot unless it repeats the latest one for that player and queue
+    addSnapshot(snapshot) {
+        this.load();
+        if (!this.indexSnapshot(snapshot)) return false;
+        this.append(SNAPSHOTS_FILE, [snapshot]);
+        return true;
+    }
+
+    // Remember that these players took part in a match (once per player and match)
+    addMatchRefs(matchId, region, puuids, at = Date.now()) {
+        this.load();
+        const refs = puuids.map(puuid => ({ puuid, matchId, region, at }));
+        this.append(MATCHREFS_FILE, refs.filter(ref => this.indexMatchRef(ref)));
+    }
+
+    // Oldest first
+    getSnapshots(puuid) {
+        this.load();
+        return [...(this.snapshots.get(puuid) || [])].sort((a, b) => a.at - b.at);
+    }
+
+    // All snapshots grouped by puuid, oldest first
+    getAllSnapshots() {
+        this.load();
+        const byPuuid = new Map();
+        for (const puuid of this.snapshots.keys()) {
+            byPuuid.set(puuid, this.getSnapshots(puuid));
+        }
+        return byPuuid;
+    }
+
+    // Find a stored player by Riot ID ("Name#TAG", case-insensitive)
+    findByName(riotId) {
+        this.load();
+        const wanted = riotId.toLowerCase();
+        for (const player of this.players.values()) {
+            if ((player.name || '').toLowerCase() === wanted) return player;
+        }
+        return null;
+    }
+
+    // Newest first
+    getMatchRefs(puuid) {
+        this.load();
+        return [...(this.matchRefs.get(puuid) || new Map()).values()].sort((a, b) => b.at - a.at);
+    }
+
+    /**
+     * Find stored players
+     * Filters: region, tier, minLP, maxLP (total LP), seenWithinMinutes, limit
+     */
+    query(filters = {}) {
+        this.load();
+        const { region, tier, minLP, maxLP, seenWithinMinutes, limit } = filters;
+        const seenSince = seenWithinMinutes != null ? Date.now() - seenWithinMinutes * 60000 : null;
+
+        const results = [];
+        for (const player of this.players.values()) {
+            if (region && player.region !== region) continue;
+            if (tier && !(player.rank || '').startsWith(tier.toUpperCase())) continue;
+            if (minLP != null && !(player.totalLP >= minLP)) continue;
+            if (maxLP != null && !(player.totalLP <= maxLP)) continue;
+            if (seenSince !== null && !(player.cachedAt >= seenSince)) continue;
+            results.push(player);
+        }
+
+        results.sort((a, b) => b.cachedAt - a.cachedAt);
+        return limit ? results.slice(0, limit) : results;
+    }
+
+    count() {
+        this.load();
+        return this.players.size;
+    }
+}
+
+// Rank snapshot of a player record, or null if it has no rank data
+function toSnapshot(player) {
+    if (player.lp === undefined || player.totalLP === undefined) return null;
+    return {
+        puuid: player.puuid,
+        region: player.region,
+        queue: player.queue,
+        rank: player.rank,
+        lp: player.lp,
+        totalLP: player.totalLP,
+        wins: player.wins,
+        losses: player.losses,
+        at: player.cachedAt || Date.now()
+    };
+}
+
+module.exports = {
+    PlayerStore
+};
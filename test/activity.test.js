@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkActivity, LONGEST_GAME_MINUTES } = require('../activity.js');
+
+const MINUTE = 60 * 1000;
+const now = Date.parse('2026-01-01T12:00:00Z');
+
+// One finished game that ended `endedMinutesAgo`, and maybe a game in progress; counts calls
+function fakeApi({ endedMinutesAgo = null, inGame = false } = {}) {
+    const calls = { ids: [], details: 0, spectator: 0 };
+    const match = endedMinutesAgo === null ? null : {
+        metadata: { matchId: 'NA1_1' },
+        info: {
+            gameMode: 'ARAM',
+            queueId: 450,
+            gameStartTimestamp: now - (endedMinutesAgo + 30) * MINUTE,
+            gameEndTimestamp: now - endedMinutesAgo * MINUTE
+        }
+    };
+    const api = {
+        getMatchIds: async (puuid, since) => {
+            calls.ids.push(since);
+            return match && (!since || match.info.gameStartTimestamp >= since) ? ['NA1_1'] : [];
+        },
+        getMatchDetails: async () => {
+            calls.details++;
+            return match;
+        },
+        getActiveGame: async () => {
+            calls.spectator++;
+            return inGame ? { gameMode: 'CLASSIC', gameQueueConfigId: 420 } : null;
+        }
+    };
+    return { api, calls };
+}
+
+test('the latest match gives how long ago a player last played', async () => {
+    const { api, calls } = fakeApi({ endedMinutesAgo: 200 });
+    const activity = await checkActivity('puuid', api, { now });
+
+    assert.equal(activity.minutesAgo, 200);
+    assert.equal(activity.gameMode, 'ARAM');
+    assert.deepEqual(calls.ids, [null]);
+    assert.equal(calls.details, 1);
+});
+
+test('the window check answers for an old game without fetching it', async () => {
+    const { api, calls } = fakeApi({ endedMinutesAgo: 200 });
+    assert.equal(await checkActivity('puuid', api, { strategies: ['window'], withinMinutes: 30, now }), null);
+
+    assert.deepEqual(calls.ids, [now - (30 + LONGEST_GAME_MINUTES) * MINUTE]);
+    assert.equal(calls.details, 0);
+});
+
+test('the window check still sees a long game that just ended', async () => {
+    const { api, calls } = fakeApi({ endedMinutesAgo: 20 }); // Started 50 minutes ago
+    const activity = await checkActivity('puuid', api, { strategies: ['window'], withinMinutes: 30, now });
+
+    assert.equal(activity.minutesAgo, 20);
+    assert.equal(calls.details, 1);
+});
+
+test('spectator answers for a game in progress and passes on otherwise', async () => {
+    const playing = fakeApi({ endedMinutesAgo: 200, inGame: true });
+    const activity = await checkActivity('puuid', playing.api, { strategies: ['spectator', 'window'], withinMinutes: 30, now });
+    assert.deepEqual(activity, { minutesAgo: 0, inGame: true, gameMode: 'CLASSIC', queueId: 420, match: null });
+    assert.equal(playing.calls.ids.length, 0);
+
+    const finished = fakeApi({ endedMinutesAgo: 5 });
+    const recent = await checkActivity('puuid', finished.api, { strategies: ['spectator', 'window'], withinMinutes: 30, now });
+    assert.equal(recent.minutesAgo, 5);
+    assert.equal(finished.calls.spectator, 1);
+});
+
+test('an unknown strategy is an error', async () => {
+    await assert.rejects(checkActivity('puuid', fakeApi().api, { strategies: ['guess'] }), /Unknown activity strategy "guess"/);
+});
@@ -0,0 +1,119 @@
+const { startMock } = require('./helpers.js');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const { SearchSession } = require('../session.js');
+const { DiscordBot, MemoryRest, ProgressReporter, createInteractionsHandler } = require('../bot.js');
+
+let mock;
+let server;
+let baseUrl;
+let rest;
+let bot;
+let log;
+
+// Discord signs with Ed25519; the public key is the raw 32 bytes in hex
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+const PUBLIC_KEY_HEX = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('hex');
+
+before(async () => {
+    // The bot's sessions log to the console, which would garble the test output
+    log = console.log;
+    console.log = () => {};
+    mock = await startMock();
+    server = http.createServer((req, res) => createInteractionsHandler(bot, PUBLIC_KEY_HEX)(req, res));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await mock.stop();
+    console.log = log;
+});
+
+beforeEach(() => {
+    mock.reset();
+    rest = new MemoryRest();
+    bot = new DiscordBot({ rest });
+});
+
+// POST an interaction the way Discord does; sign: false leaves the signature off,
+// signedBody signs something other than what is sent
+async function post(interaction, { sign = true, signedBody = null } = {}) {
+    const body = JSON.stringify(interaction);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = { 'Content-Type': 'application/json', 'X-Signature-Timestamp': timestamp };
+    if (sign) {
+        headers['X-Signature-Ed25519'] = crypto.sign(null, Buffer.from(timestamp + (signedBody || body)), privateKey).toString('hex');
+    }
+    const response = await fetch(`${baseUrl}/interactions`, { method: 'POST', headers, body });
+    const text = await response.text();
+    return { status: response.status, body: response.headers.get('content-type') === 'application/json' ? JSON.parse(text) : text };
+}
+
+const command = (name, options = {}, token = `token-${name}`) => ({
+    type: 2,
+    token,
+    data: { name, options: Object.entries(options).map(([key, value]) => ({ name: key, value })) }
+});
+
+test('requests without a valid signature are rejected before anything runs', async () => {
+    const scout = command('scout', { tier: 'GOLD' });
+
+    assert.equal((await post(scout, { sign: false })).status, 401);
+    assert.equal((await post(scout, { signedBody: JSON.stringify({ type: 1 }) })).status, 401, 'signed for another body');
+    assert.equal((await fetch(`${baseUrl}/interactions`)).status, 405);
+    await bot.idle();
+    assert.equal(mock.requests.length, 0);
+    assert.deepEqual(rest.messages, []);
+
+    assert.deepEqual(await post({ type: 1 }), { status: 200, body: { type: 1 } });
+});
+
+test('a command is deferred, then the reply is edited with the results', async () => {
+    const response = await post(command('scout', { tier: 'GOLD', division: 'II', queue: 'solo', max: 3 }));
+    assert.deepEqual(response, { status: 200, body: { type: 5 } });
+
+    await bot.idle();
+    const [embed] = rest.getOriginal('token-scout').embeds;
+    assert.equal(embed.title, 'Scout: GOLD II');
+    assert.equal(embed.fields.length, 3);
+    assert.ok(embed.fields.every(field => /^NA1 Solo\/Duo GOLD II \d+LP/.test(field.value)));
+    assert.ok(rest.messages.every(m => m.kind === 'edit' && m.token === 'token-scout'));
+});
+
+test('a failing command edits the reply with the error', async () => {
+    assert.equal((await post(command('deep', { name: 'Nobody', tag: 'NA1' }))).body.type, 5);
+    await bot.idle();
+
+    const reply = rest.getOriginal('token-deep');
+    assert.match(reply.content, /^❌ /);
+    assert.deepEqual(reply.embeds, []);
+});
+
+test('unknown commands get an ephemeral message instead of a deferral', async () => {
+    const { body } = await post(command('ban', {}));
+    assert.deepEqual(body, { type: 4, data: { content: 'Unknown command: ban', flags: 64 } });
+});
+
+test('the deferred reply follows the session while it runs', async () => {
+    const session = new SearchSession();
+    const progress = new ProgressReporter(rest, 'token-progress', session, '/scout tier:GOLD');
+    try {
+        session.log('🔍 Searching GOLD II');
+        session.emit('player', {});
+        session.emit('ratelimit', { isLimited: true, seconds: 12 });
+        await progress.flush();
+    } finally {
+        await progress.stop();
+    }
+
+    const { content } = rest.getOriginal('token-progress');
+    assert.match(content, /^\*\*\/scout tier:GOLD\*\*\n👥 1 found so far\n⏳ Rate limited - waiting 12s/);
+    assert.ok(content.includes('🔍 Searching GOLD II'));
+
+    await progress.flush();
+    assert.equal(rest.messages.length, 1, 'nothing new, nothing sent');
+});
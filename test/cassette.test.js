@@ -0,0 +1,120 @@
+const { startMock, dataDir, quietSession } = require('./helpers.js');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { deepScout, findDuosFromHistory, getMatchDetails, scoutPlayers, playerStore, transport, CONFIG } = require('../scout.js');
+const { Cassette } = require('../cassette.js');
+const { UpstreamError, ValidationError } = require('../errors.js');
+
+const file = path.join(dataDir, 'cassettes', 'session.jsonl');
+let mock;
+
+before(async () => {
+    mock = await startMock();
+});
+
+after(() => {
+    transport.configure({ mode: 'live' });
+    return mock.stop();
+});
+
+test('recording saves every response with its headers but not the key', async () => {
+    transport.configure({ mode: 'record', cassette: file });
+    await deepScout('puuid-0', 5, { session: quietSession() });
+    await findDuosFromHistory('Player0', 'NA1', { session: quietSession() });
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(lines.length, mock.requests.length);
+    assert.ok(lines.every(entry => entry.url.startsWith('https://') && entry.url.includes('.api.riotgames.com/')));
+    assert.ok(lines.every(entry => entry.headers['x-app-rate-limit'] === '1000:1,100000:120'));
+    assert.ok(!fs.readFileSync(file, 'utf8').includes('RGAPI-test'));
+});
+
+test('replaying answers the same requests offline and without a key', async () => {
+    // Still recording - these go on the cassette too
+    const recorded = {
+        deep: await deepScout('puuid-0', 5, { session: quietSession() }),
+        duos: await findDuosFromHistory('Player0', 'NA1', { session: quietSession() })
+    };
+
+    await mock.stop();
+    transport.configure({ mode: 'replay', cassette: file });
+    const apiKey = CONFIG.apiKey;
+    CONFIG.apiKey = '';
+    try {
+        assert.deepEqual(await deepScout('puuid-0', 5, { session: quietSession() }), recorded.deep);
+        assert.deepEqual(await findDuosFromHistory('Player0', 'NA1', { session: quietSession() }), recorded.duos);
+
+        // Anything the cassette doesn't have is an error, not a request
+        await assert.rejects(
+            getMatchDetails('NA1_9999', { session: quietSession() }),
+            err => err instanceof UpstreamError && /No recorded response for .*NA1_9999/.test(err.message)
+        );
+    } finally {
+        CONFIG.apiKey = apiKey;
+        transport.configure({ mode: 'live' });
+        mock = await startMock();
+    }
+});
+
+test('a URL replays its responses in the order they were recorded', async () => {
+    const cassette = new Cassette(path.join(dataDir, 'cassettes', 'order.jsonl'));
+    const url = 'https://na1.api.riotgames.com/lol/status';
+    await cassette.record(url, new Response('', { status: 429, headers: { 'Retry-After': '1' } }));
+    await cassette.record(url, new Response('{"ok":true}', { status: 200 }));
+
+    const replay = new Cassette(cassette.file);
+    assert.equal(replay.size, 2);
+    const first = replay.replay(url);
+    assert.equal(first.status, 429);
+    assert.equal(first.headers.get('retry-after'), '1');
+    assert.deepEqual(await replay.replay(url).json(), { ok: true });
+    assert.equal(replay.replay(url).status, 200, 'the last response repeats');
+
+    replay.rewind();
+    assert.equal(replay.replay(url).status, 429);
+});
+
+test('a time window in the URL does not stop it replaying', async () => {
+    const cassette = new Cassette(path.join(dataDir, 'cassettes', 'window.jsonl'));
+    const url = 'https://americas.api.riotgames.com/lol/match/v5/matches/by-puuid/puuid-0/ids?count=1';
+    await cassette.record(`${url}&startTime=1700000000`, new Response('["NA1_1000"]', { status: 200 }));
+
+    const replay = new Cassette(cassette.file);
+    assert.deepEqual(await replay.replay(`${url}&startTime=1800000000`).json(), ['NA1_1000']);
+    assert.throws(() => replay.replay(url.replace('count=1', 'count=5')), /No recorded response/);
+});
+
+test('switching mode is checked first', () => {
+    assert.throws(() => transport.configure({ mode: 'rewind' }), ValidationError);
+    assert.throws(() => transport.configure({ mode: 'record', cassette: null }), ValidationError);
+    assert.throws(() => transport.configure({ mode: 'replay', cassette: path.join(dataDir, 'missing.jsonl') }), ValidationError);
+    assert.equal(transport.mode, 'live');
+});
+
+test('a recorded scout replays the same pages and finds the same players', async () => {
+    const options = { tier: 'GOLD', division: 'II', queue: 'RANKED_SOLO_5x5', maxPlayers: 3 };
+    const pagesOf = session => session.lines.filter(line => line.includes('🎲 NA1'));
+
+    transport.configure({ mode: 'record', cassette: path.join(dataDir, 'cassettes', 'scout.jsonl') });
+    const recorded = quietSession();
+    const found = await scoutPlayers({ ...options, session: recorded });
+
+    // Replayed later, with none of the recorded players stored yet
+    fs.rmSync(path.join(dataDir, 'players.jsonl'), { force: true });
+    playerStore.players = null;
+    await mock.stop();
+    transport.configure({ mode: 'replay' });
+    try {
+        const replayed = quietSession();
+        const again = await scoutPlayers({ ...options, session: replayed });
+
+        assert.deepEqual(again.map(p => p.name), found.map(p => p.name));
+        assert.deepEqual(pagesOf(replayed), pagesOf(recorded));
+        assert.ok(pagesOf(recorded).length > 1, 'several pages were picked');
+    } finally {
+        transport.configure({ mode: 'live' });
+        mock = await startMock();
+    }
+});
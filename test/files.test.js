@@ -0,0 +1,42 @@
+const { dataDir } = require('./helpers.js');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic, JsonCollection } = require('../files.js');
+
+test('writeFileAtomic creates the directory and leaves no temp file behind', () => {
+    const file = path.join(dataDir, 'files', 'nested', 'out.txt');
+    writeFileAtomic(file, 'first');
+    writeFileAtomic(file, 'second', { mode: 0o600 });
+
+    assert.equal(fs.readFileSync(file, 'utf8'), 'second');
+    assert.deepEqual(fs.readdirSync(path.dirname(file)), ['out.txt']);
+});
+
+test('a collection keeps its records across loads', () => {
+    const file = path.join(dataDir, 'files', 'things.json');
+    const things = new JsonCollection(file, { keyOf: thing => thing.name.toLowerCase() });
+    things.put({ name: 'One', count: 1 });
+    things.put({ name: 'Two', count: 2 });
+    assert.equal(things.update('one', { count: 10 }).count, 10);
+    assert.equal(things.update('three', { count: 3 }), null);
+    assert.ok(things.remove('two'));
+    assert.ok(!things.remove('two'));
+
+    const reloaded = new JsonCollection(file, { keyOf: thing => thing.name.toLowerCase() });
+    assert.deepEqual(reloaded.list(), [{ name: 'One', count: 10 }]);
+    assert.equal(reloaded.get('missing'), null);
+});
+
+test('a broken file loads as empty instead of throwing', () => {
+    const file = path.join(dataDir, 'files', 'broken.json');
+    fs.writeFileSync(file, '[{"id": ');
+    const error = console.error;
+    console.error = () => {};
+    try {
+        assert.deepEqual(new JsonCollection(file).list(), []);
+    } finally {
+        console.error = error;
+    }
+});
@@ -0,0 +1,117 @@
+/**
+ * Fixture data for the mock Riot server
+ *
+ * A small, deterministic NA ladder:
+ *   Player0-19   GOLD II Solo/Duo, played 5-15 minutes ago (active)
+ *   Player20-39  GOLD I Solo/Duo, last played 2 hours / 1 day ago
+ *   Player40-42  MASTER Solo/Duo, no games
+ * Player30-39 are also in a game together right now (Spectator-V5). Every 4th player also has a SILVER I Flex rank. Each group of ten shares a
+ * match, and Player0-9 have four older ranked games together (for deepScout
+ * and findDuosFromHistory). Times are relative to `now`, so the same players
+ * are active whenever the tests run.
+ */
+
+const PLATFORM = 'na1';
+const ROUTING = 'americas';
+
+const POSITIONS = ['TOP', 'JUNGLE', 'MIDDLE', 'BOTTOM', 'UTILITY'];
+const CHAMPIONS = ['Garen', 'LeeSin', 'Ahri', 'Jinx', 'Thresh'];
+
+const MINUTE = 60 * 1000;
+
+function createFixtures({ now = Date.now() } = {}) {
+    const players = [];
+    for (let i = 0; i < 43; i++) {
+        const apex = i >= 40;
+        const player = {
+            puuid: `puuid-${i}`,
+            summonerId: `summoner-${i}`,
+            gameName: `Player${i}`,
+            tagLine: 'NA1',
+            entries: [{
+                queueType: 'RANKED_SOLO_5x5',
+                tier: apex ? 'MASTER' : 'GOLD',
+                rank: apex ? 'I' : i < 20 ? 'II' : 'I',
+                leaguePoints: apex ? [50, 120, 300][i - 40] : (i * 7) % 100,
+                wins: 10 + (i % 10),
+                losses: 10,
+                hotStreak: i % 5 === 0,
+                veteran: false,
+                freshBlood: false,
+                inactive: false
+            }]
+        };
+        if (i % 4 === 0 && !apex) {
+            player.entries.push({
+                queueType: 'RANKED_FLEX_SR', tier: 'SILVER', rank: 'I', leaguePoints: 40,
+                wins: 5, losses: 5, hotStreak: false, veteran: false, freshBlood: false, inactive: false
+            });
+        }
+        players.push(player);
+    }
+
+    const matches = [];
+    const addMatch = (id, endedMinutesAgo, members, { queueId = 420, gameMode = 'CLASSIC', winningTeam = 100 } = {}) => {
+        const gameEndTimestamp = now - endedMinutesAgo * MINUTE;
+        matches.push({
+            metadata: { matchId: id, participants: members.map(i => players[i].puuid) },
+            info: {
+                gameMode,
+                queueId,
+                gameDuration: 1800,
+                gameStartTimestamp: gameEndTimestamp - 30 * MINUTE,
+                gameEndTimestamp,
+                participants: members.map((i, slot) => {
+                    const teamId = slot < 5 ? 100 : 200;
+                    return {
+                        puuid: players[i].puuid,
+                        riotIdGameName: players[i].gameName,
+                        riotIdTagline: players[i].tagLine,
+                        teamId,
+                        win: teamId === winningTeam,
+                        teamPosition: POSITIONS[slot % 5],
+                        championName: CHAMPIONS[slot % 5],
+                        kills: 2 + (slot % 5),
+                        deaths: 1 + (slot % 3),
+                        assists: 5,
+                        totalMinionsKilled: 150,
+                        neutralMinionsKilled: 10
+                    };
+                })
+            }
+        });
+    };
+
+    const group = start => Array.from({ length: 10 }, (_, k) => start + k);
+    addMatch('NA1_1000', 5, group(0));
+    addMatch('NA1_1001', 15, group(10));
+    addMatch('NA1_1002', 120, group(20));
+    addMatch('NA1_1003', 24 * 60, group(30));
+    // Older games of Player0-9, with Player0 on alternating teams
+    addMatch('NA1_0900', 2 * 24 * 60, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    addMatch('NA1_0901', 3 * 24 * 60, [5, 6, 7, 8, 0, 1, 2, 3, 4, 9], { winningTeam: 200 });
+    addMatch('NA1_0902', 4 * 24 * 60, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], { winningTeam: 200 });
+    addMatch('NA1_0903', 5 * 24 * 60, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], { queueId: 450, gameMode: 'ARAM' });
+
+    // Spectator-V5 active games - ten minutes in, nothing in Match-V5 yet
+    const activeGames = [{
+        gameId: 1100,
+        gameMode: 'CLASSIC',
+        gameQueueConfigId: 420,
+        gameStartTime: now - 10 * MINUTE,
+        participants: group(30).map((i, slot) => ({
+            puuid: players[i].puuid,
+            riotId: `${players[i].gameName}#${players[i].tagLine}`,
+            teamId: slot < 5 ? 100 : 200,
+            championId: 1
+        }))
+    }];
+
+    return { platform: PLATFORM, routing: ROUTING, now, players, matches, activeGames };
+}
+
+module.exports = {
+    PLATFORM,
+    ROUTING,
+    createFixtures
+};
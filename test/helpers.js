@@ -0,0 +1,43 @@
+/**
+ * Shared test setup
+ *
+ * Require this before anything from the app: it gives the test process its
+ * own data directory (removed on exit) and a fake Riot key, so tests never
+ * touch data/ or a real key. Each test file runs in its own process.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lolfinder-test-'));
+process.env.LOLFINDER_DATA_DIR = dataDir;
+process.env.RIOT_API_KEY = 'RGAPI-test';
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const { MockRiot } = require('./mock-riot.js');
+const { CONFIG } = require('../scout.js');
+const { SearchSession } = require('../session.js');
+
+// Start a mock Riot server and send every Riot request to it
+async function startMock(fixtures) {
+    const mock = new MockRiot(fixtures);
+    CONFIG.riot.baseUrl = await mock.start();
+    return mock;
+}
+
+// A session that keeps its log lines instead of printing them
+function quietSession() {
+    const session = new SearchSession();
+    session.lines = [];
+    session.log = (...args) => {
+        session.lines.push(args.join(' '));
+    };
+    return session;
+}
+
+module.exports = {
+    dataDir,
+    startMock,
+    quietSession
+};
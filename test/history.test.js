@@ -0,0 +1,58 @@
+const { startMock, quietSession } = require('./helpers.js');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { deepScout, findDuosFromHistory, getChampionPool } = require('../scout.js');
+const { NotFoundError } = require('../errors.js');
+
+let mock;
+
+before(async () => {
+    mock = await startMock();
+});
+
+after(() => mock.stop());
+
+beforeEach(() => mock.reset());
+
+test('deepScout summarizes recent games of any mode', async () => {
+    const report = await deepScout('puuid-0', 5, { session: quietSession() });
+
+    assert.equal(report.summary.gamesAnalyzed, 5);
+    assert.equal(report.summary.recentWinRate, '60.0%');
+    assert.deepEqual(report.summary.positions.sort(), ['TOP', 'UTILITY']);
+    assert.deepEqual(report.summary.championStats.map(c => [c.champion, c.games]), [['Garen', 4], ['Thresh', 1]]);
+    assert.equal(mock.count('/matches/by-puuid/puuid-0/ids'), 1);
+});
+
+test('findDuosFromHistory ranks teammates by games together', async () => {
+    const duos = await findDuosFromHistory('Player0', 'NA1', { session: quietSession() });
+
+    // Player1-4 were on Player0's team in four games, Player5-8 in one
+    assert.deepEqual(duos.slice(0, 4).map(d => [d.name, d.gamesPlayed]), [
+        ['Player3#NA1', 4], ['Player4#NA1', 4], ['Player1#NA1', 4], ['Player2#NA1', 4]
+    ]);
+    assert.equal(duos.length, 8);
+    assert.ok(!duos.some(d => d.name === 'Player0#NA1'));
+});
+
+test('findDuosFromHistory can count only wins', async () => {
+    const duos = await findDuosFromHistory('Player0', 'NA1', { onlyWins: true, session: quietSession() });
+
+    assert.deepEqual(duos.map(d => d.name).sort(), ['Player1#NA1', 'Player2#NA1', 'Player3#NA1', 'Player4#NA1']);
+    assert.ok(duos.every(d => d.gamesPlayed === 3 && d.winRate === '100.0%'));
+});
+
+test('findDuosFromHistory reports an unknown Riot ID', async () => {
+    await assert.rejects(
+        findDuosFromHistory('Nobody', 'NA1', { session: quietSession() }),
+        err => err instanceof NotFoundError && /Nobody#NA1/.test(err.message)
+    );
+});
+
+test('getChampionPool only counts ranked games', async () => {
+    const pool = await getChampionPool('puuid-0', { matchCount: 10, session: quietSession() });
+
+    assert.equal(pool.gamesAnalyzed, 4);
+    assert.deepEqual(pool.champions.map(c => [c.champion, c.games, c.wins]), [['Garen', 3, 2], ['Thresh', 1, 0]]);
+    assert.equal(mock.requests.find(r => r.path.endsWith('/ids')).query.type, 'ranked');
+});
@@ -0,0 +1,122 @@
+const { startMock, dataDir, quietSession } = require('./helpers.js');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JobStore, JobQueue } = require('../jobs.js');
+
+let mock;
+
+before(async () => {
+    mock = await startMock();
+});
+
+after(() => mock.stop());
+
+beforeEach(() => mock.reset());
+
+let stores = 0;
+const newStore = () => new JobStore(path.join(dataDir, `jobs-${++stores}`));
+
+test('listing jobs leaves their checkpoints on disk; get() brings them back', () => {
+    const store = newStore();
+    const job = store.create({ tier: 'GOLD', division: 'II' });
+    job.state = { results: [{ puuid: 'puuid-0' }], combos: [] };
+    job.resultCount = 1;
+    store.save(job);
+
+    const [listed] = store.list();
+    assert.equal(listed.id, job.id);
+    assert.equal(listed.resultCount, 1);
+    assert.ok(!('state' in listed));
+    assert.ok(!fs.readFileSync(store.fileFor(job.id), 'utf8').includes('puuid-0'), 'the header has no results');
+
+    assert.deepEqual(store.get(job.id).state, job.state);
+    assert.equal(newStore().get('ffffffff'), null);
+});
+
+test('pruning drops the oldest finished jobs of every kind, never unfinished ones', () => {
+    const store = newStore();
+    const statuses = ['completed', 'failed', 'cancelled', 'paused'];
+    for (let i = 0; i < 110; i++) {
+        const job = store.create({});
+        job.createdAt = i;
+        job.status = statuses[i % statuses.length];
+        job.state = { results: [] };
+        store.save(job);
+    }
+    const pending = store.create({});
+    pending.createdAt = -1; // Older than all of them
+    store.save(pending);
+
+    store.prune();
+
+    const left = store.list();
+    assert.equal(left.length, 101);
+    assert.ok(left.some(job => job.id === pending.id));
+    assert.ok(left.filter(job => job.status !== 'pending').every(job => job.createdAt >= 10), 'the ten oldest went');
+    assert.equal(fs.readdirSync(store.dir).filter(file => file.endsWith('.state.json')).length, 100);
+});
+
+test('a job stopped while waiting out a 429 is paused with its checkpoint, not failed', async () => {
+    // Long enough for the wait to be announced; blocks only the match list method
+    mock.script('/matches/by-puuid/', { status: 429, headers: { 'Retry-After': '5', 'X-Rate-Limit-Type': 'method' } });
+    const store = newStore();
+    const job = store.create({ tier: 'GOLD', division: 'II', queue: 'RANKED_SOLO_5x5', maxPlayers: 5 });
+    const session = quietSession();
+    session.on('ratelimit', ({ isLimited }) => {
+        if (isLimited) session.abort();
+    });
+
+    const results = await store.run(job, session);
+
+    const saved = store.get(job.id);
+    assert.equal(saved.status, 'paused');
+    assert.equal(saved.error, null);
+    assert.deepEqual(saved.state.results, results);
+    // GOLD II fills pages 1-4 on the mock; the one cut short is searched again on resume
+    const [combo] = saved.state.combinations;
+    assert.ok(combo.triedPages.every(page => page > 4), `pages ${combo.triedPages} were left tried`);
+    assert.ok(session.lines.some(line => line.includes('Search aborted')));
+});
+
+// The event a queued job ends with; onEvent sees every event up to it
+function finished(queue, id, onEvent = () => {}) {
+    return new Promise(resolve => queue.subscribe(id, event => {
+        onEvent(event);
+        if (['complete', 'error', 'stopped'].includes(event.type)) resolve(event);
+    }));
+}
+
+test('a job cancelled partway and resumed finds no player twice', async () => {
+    // Queued jobs log to the console through their own sessions
+    const log = console.log;
+    console.log = () => {};
+    try {
+        const store = newStore();
+        const queue = new JobQueue(store);
+        const { job } = queue.enqueue(store.create({ tier: 'GOLD', division: 'II', queue: 'RANKED_SOLO_5x5', maxPlayers: 6 }));
+        let found = 0;
+        const stopped = await finished(queue, job.id, event => {
+            if (event.type === 'player' && ++found === 2) queue.cancel(job.id);
+        });
+        assert.deepEqual([stopped.type, stopped.status], ['stopped', 'cancelled']);
+
+        const paused = store.get(job.id);
+        assert.ok(store.isResumable(paused));
+        const before = paused.state.results.map(p => p.puuid);
+        assert.ok(before.length >= 2 && before.length < 6, `${before.length} found before the cancel`);
+
+        queue.enqueue(paused);
+        const complete = await finished(queue, job.id);
+        assert.equal(complete.type, 'complete');
+
+        const puuids = complete.results.map(p => p.puuid);
+        assert.equal(puuids.length, 6);
+        assert.equal(new Set(puuids).size, 6, 'no duplicates');
+        assert.deepEqual(puuids.slice(0, before.length), before, 'the first run\'s players are kept');
+        assert.equal(store.get(job.id).status, 'completed');
+    } finally {
+        console.log = log;
+    }
+});
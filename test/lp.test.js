@@ -0,0 +1,46 @@
+require('./helpers.js');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toTotalLP, fromTotalLP, getTierDivisionsInRange, isApexTier } = require('../scout.js');
+
+test('toTotalLP counts 400 LP per tier and 100 per division', () => {
+    assert.equal(toTotalLP('IRON', 'IV', 0), 0);
+    assert.equal(toTotalLP('SILVER', 'IV', 0), 800);
+    assert.equal(toTotalLP('GOLD', 'II', 50), 1450);
+    assert.equal(toTotalLP('DIAMOND', 'I', 99), 2799);
+});
+
+test('toTotalLP puts apex tiers above Diamond I', () => {
+    assert.equal(toTotalLP('MASTER', 'I', 0), 2800);
+    assert.equal(toTotalLP('GRANDMASTER', 'I', 250), 3050);
+    assert.equal(toTotalLP('CHALLENGER', 'I', 600), 3400);
+});
+
+test('toTotalLP rejects unknown tiers and divisions', () => {
+    assert.equal(toTotalLP('WOOD', 'I', 0), null);
+    assert.equal(toTotalLP('GOLD', 'V', 0), null);
+});
+
+test('fromTotalLP is the inverse of toTotalLP', () => {
+    for (const lp of [0, 399, 400, 1450, 2799]) {
+        const rank = fromTotalLP(lp);
+        assert.equal(toTotalLP(rank.tier, rank.division, rank.lp), lp);
+    }
+    assert.deepEqual(fromTotalLP(1450), { tier: 'GOLD', division: 'II', lp: 50 });
+});
+
+test('getTierDivisionsInRange returns every division overlapping the range', () => {
+    assert.deepEqual(getTierDivisionsInRange(1250, 1450), [
+        { tier: 'GOLD', division: 'IV' },
+        { tier: 'GOLD', division: 'III' },
+        { tier: 'GOLD', division: 'II' }
+    ]);
+    assert.deepEqual(getTierDivisionsInRange(1300, 1300), [{ tier: 'GOLD', division: 'III' }]);
+});
+
+test('getTierDivisionsInRange includes apex leagues the range reaches', () => {
+    const tiers = getTierDivisionsInRange(2700, 3100).map(td => td.tier);
+    assert.deepEqual(tiers, ['DIAMOND', 'MASTER', 'GRANDMASTER']);
+    assert.ok(isApexTier('master'));
+    assert.ok(!isApexTier('DIAMOND'));
+});
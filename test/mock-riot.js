@@ -0,0 +1,223 @@
+/**
+ * Mock Riot API server
+ *
+ * Serves the endpoints scout.js uses (League-Exp, League-V4, Summoner-V4,
+ * Spectator-V5, Account-V1, Match-V5) from fixture data, under /<host>/<Riot path>, so the
+ * transport can be pointed at it:
+ *   RIOT_API_BASE_URL=http://127.0.0.1:4010/{host}
+ * Platform endpoints answer on the fixtures' platform (na1) and regional ones
+ * on its routing value (americas); other platforms have empty ladders.
+ *
+ * Any response can be scripted ahead of time - a 429 with Retry-After, a 403
+ * for an expired key, a 500 - and every request is recorded.
+ *
+ *   node test/mock-riot.js [port]   runs it on its own (default port 4010)
+ */
+
+const http = require('http');
+const { createFixtures } = require('./fixtures.js');
+
+// Generous limits, so the rate limiters never hold tests up
+const RATE_LIMIT_HEADERS = {
+    'X-App-Rate-Limit': '1000:1,100000:120',
+    'X-Method-Rate-Limit': '1000:1'
+};
+
+// League-Exp pages are 205 entries on Riot; small pages make paging show up in tests
+const PAGE_SIZE = 5;
+
+class MockRiot {
+    constructor(fixtures = createFixtures(), { pageSize = PAGE_SIZE } = {}) {
+        this.fixtures = fixtures;
+        this.pageSize = pageSize;
+        this.requests = []; // { host, path, query, token }
+        this.scripts = []; // { pattern, response, times }
+        this.latencyMs = 0; // Holds every answer back this long, so requests overlap
+        this.active = 0;
+        this.maxActive = 0; // Most requests open at once since the last reset()
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+
+    // Resolves with the base URL to give the transport
+    start(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', () => {
+                resolve(`http://127.0.0.1:${this.server.address().port}/{host}`);
+            });
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    reset() {
+        this.requests = [];
+        this.scripts = [];
+        this.latencyMs = 0;
+        this.maxActive = this.active;
+    }
+
+    /**
+     * Answer the next `times` requests whose "/<host><path>" matches pattern
+     * with response: { status, headers, body, delayMs } (delayMs holds the answer back)
+     */
+    script(pattern, response, { times = 1 } = {}) {
+        this.scripts.push({ pattern, response, times });
+    }
+
+    // Requests made so far whose "/<host><path>" matches pattern
+    count(pattern) {
+        return this.requests.filter(r => matches(pattern, `/${r.host}${r.path}`)).length;
+    }
+
+    handle(req, res) {
+        const url = new URL(req.url, 'http://mock');
+        const [, host, ...rest] = url.pathname.split('/');
+        const path = `/${rest.join('/')}`;
+        const token = req.headers['x-riot-token'] || null;
+        this.requests.push({ host, path, query: Object.fromEntries(url.searchParams), token });
+        this.active++;
+        this.maxActive = Math.max(this.maxActive, this.active);
+        res.on('close', () => this.active--);
+
+        const send = (status, body, headers = {}) => {
+            const write = () => {
+                res.writeHead(status, { 'Content-Type': 'application/json', ...RATE_LIMIT_HEADERS, ...headers });
+                res.end(JSON.stringify(body));
+            };
+            if (this.latencyMs > 0) {
+                setTimeout(write, this.latencyMs);
+            } else {
+                write();
+            }
+        };
+
+        const script = this.scripts.find(s => s.times > 0 && matches(s.pattern, url.pathname));
+        if (script) {
+            script.times--;
+            const { status = 200, headers = {}, body = {}, delayMs = 0 } = script.response;
+            if (delayMs > 0) {
+                setTimeout(() => send(status, body, headers), delayMs);
+            } else {
+                send(status, body, headers);
+            }
+            return;
+        }
+
+        if (!token) {
+            send(401, { status: { message: 'Unauthorized', status_code: 401 } });
+            return;
+        }
+
+        const body = this.route(host, path, url.searchParams);
+        if (body === undefined) {
+            send(404, { status: { message: 'Data not found', status_code: 404 } });
+        } else {
+            send(200, body);
+        }
+    }
+
+    // Fixture data for a request, or undefined for a 404
+    route(host, path, query) {
+        const { platform, routing, players, matches, activeGames = [] } = this.fixtures;
+        const byPuuid = puuid => players.find(p => p.puuid === puuid);
+        let m;
+
+        if (host !== routing) {
+            // Other platforms exist, but nobody plays there
+            const ladder = host === platform ? players : [];
+            const ladderPlayer = puuid => ladder.find(p => p.puuid === puuid);
+
+            if ((m = path.match(/^\/lol\/league-exp\/v4\/entries\/(\w+)\/(\w+)\/(\w+)$/))) {
+                const [, queue, tier, division] = m;
+                const page = parseInt(query.get('page')) || 1;
+                return ladder
+                    .flatMap(p => p.entries.filter(e => e.queueType === queue && e.tier === tier && e.rank === division)
+                        .map(e => toLeagueEntry(p, e)))
+                    .slice((page - 1) * this.pageSize, page * this.pageSize);
+            }
+            if ((m = path.match(/^\/lol\/league\/v4\/(master|grandmaster|challenger)leagues\/by-queue\/(\w+)$/))) {
+                const tier = m[1].toUpperCase();
+                return {
+                    tier,
+                    queue: m[2],
+                    name: 'Mock League',
+                    entries: ladder.flatMap(p => p.entries.filter(e => e.queueType === m[2] && e.tier === tier)
+                        .map(e => toLeagueEntry(p, e)))
+                };
+            }
+            if ((m = path.match(/^\/lol\/league\/v4\/entries\/by-puuid\/([^/]+)$/))) {
+                const player = ladderPlayer(m[1]);
+                return player ? player.entries.map(e => toLeagueEntry(player, e)) : [];
+            }
+            if ((m = path.match(/^\/lol\/league\/v4\/entries\/by-summoner\/([^/]+)$/))) {
+                const player = ladder.find(p => p.summonerId === m[1]);
+                return player ? player.entries.map(e => toLeagueEntry(player, e)) : [];
+            }
+            if ((m = path.match(/^\/lol\/summoner\/v4\/summoners\/(by-puuid\/)?([^/]+)$/))) {
+                const player = m[1] ? ladderPlayer(m[2]) : ladder.find(p => p.summonerId === m[2]);
+                return player && { id: player.summonerId, puuid: player.puuid, summonerLevel: 100, profileIconId: 1 };
+            }
+            if ((m = path.match(/^\/lol\/spectator\/v5\/active-games\/by-summoner\/([^/]+)$/))) {
+                // 404 when not in game, as on Riot
+                return host === platform ? activeGames.find(game => game.participants.some(p => p.puuid === m[1])) : undefined;
+            }
+            return undefined;
+        }
+
+        if ((m = path.match(/^\/riot\/account\/v1\/accounts\/by-riot-id\/([^/]+)\/([^/]+)$/))) {
+            const [name, tag] = [decodeURIComponent(m[1]).toLowerCase(), decodeURIComponent(m[2]).toLowerCase()];
+            const player = players.find(p => p.gameName.toLowerCase() === name && p.tagLine.toLowerCase() === tag);
+            return player && toAccount(player);
+        }
+        if ((m = path.match(/^\/riot\/account\/v1\/accounts\/by-puuid\/([^/]+)$/))) {
+            const player = byPuuid(m[1]);
+            return player && toAccount(player);
+        }
+        if ((m = path.match(/^\/lol\/match\/v5\/matches\/by-puuid\/([^/]+)\/ids$/))) {
+            const queue = query.get('queue');
+            const ranked = query.get('type') === 'ranked';
+            const startTime = parseInt(query.get('startTime')) || 0; // seconds, like Riot
+            const start = parseInt(query.get('start')) || 0;
+            const count = parseInt(query.get('count')) || 20;
+            return matches
+                .filter(match => match.metadata.participants.includes(m[1]))
+                .filter(match => !queue || match.info.queueId === parseInt(queue))
+                .filter(match => !ranked || [420, 440].includes(match.info.queueId))
+                .filter(match => match.info.gameStartTimestamp >= startTime * 1000)
+                .sort((a, b) => b.info.gameEndTimestamp - a.info.gameEndTimestamp)
+                .slice(start, start + count)
+                .map(match => match.metadata.matchId);
+        }
+        if ((m = path.match(/^\/lol\/match\/v5\/matches\/([^/]+)$/))) {
+            return matches.find(match => match.metadata.matchId === m[1]);
+        }
+        return undefined;
+    }
+}
+
+function matches(pattern, value) {
+    return pattern instanceof RegExp ? pattern.test(value) : value.includes(pattern);
+}
+
+function toLeagueEntry(player, entry) {
+    return { leagueId: 'mock-league', summonerId: player.summonerId, puuid: player.puuid, ...entry };
+}
+
+function toAccount(player) {
+    return { puuid: player.puuid, gameName: player.gameName, tagLine: player.tagLine };
+}
+
+if (require.main === module) {
+    const mock = new MockRiot();
+    mock.start(parseInt(process.argv[2]) || 4010).then(baseUrl => {
+        console.log(`Mock Riot API at ${baseUrl.replace('/{host}', '')}`);
+        console.log(`Run against it with RIOT_API_BASE_URL=${baseUrl} RIOT_API_KEY=mock`);
+    });
+}
+
+module.exports = {
+    MockRiot
+};
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { runOrdered } = require('../pipeline.js');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Tasks that take longer the earlier they are, and count how many run at once
+function tracker() {
+    const state = { running: 0, maxRunning: 0, started: [], settled: [] };
+    state.task = async n => {
+        state.started.push(n);
+        state.running++;
+        state.maxRunning = Math.max(state.maxRunning, state.running);
+        await sleep(30 - n * 3);
+        state.running--;
+        state.settled.push(n);
+        return n * 10;
+    };
+    return state;
+}
+
+test('commits in item order while tasks run side by side', async () => {
+    const state = tracker();
+    const committed = [];
+
+    await runOrdered([0, 1, 2, 3, 4, 5, 6, 7], {
+        concurrency: 3,
+        task: state.task,
+        commit: (result, item) => committed.push([item, result])
+    });
+
+    assert.deepEqual(committed, [0, 1, 2, 3, 4, 5, 6, 7].map(n => [n, n * 10]));
+    assert.equal(state.maxRunning, 3);
+    assert.notDeepEqual(state.settled, [0, 1, 2, 3, 4, 5, 6, 7], 'later tasks finished first');
+});
+
+test('a commit finishes before the next one starts', async () => {
+    const log = [];
+    await runOrdered([1, 2, 3], {
+        concurrency: 3,
+        task: async n => n,
+        commit: async n => {
+            log.push(`start ${n}`);
+            await sleep(5);
+            log.push(`end ${n}`);
+        }
+    });
+    assert.deepEqual(log, ['start 1', 'end 1', 'start 2', 'end 2', 'start 3', 'end 3']);
+});
+
+test('stops starting and committing once shouldStop is true', async () => {
+    const state = tracker();
+    const committed = [];
+
+    await runOrdered([0, 1, 2, 3, 4, 5, 6, 7], {
+        concurrency: 2,
+        task: state.task,
+        commit: (result, item) => committed.push(item),
+        shouldStop: () => committed.length >= 3
+    });
+
+    assert.deepEqual(committed, [0, 1, 2]);
+    assert.ok(state.started.length <= 4, 'at most concurrency - 1 extra tasks');
+    assert.equal(state.running, 0, 'running tasks were waited for');
+});
+
+test('an error is rethrown after running tasks settle, and nothing after it commits', async () => {
+    const state = tracker();
+    const committed = [];
+
+    await assert.rejects(runOrdered([0, 1, 2, 3, 4, 5], {
+        concurrency: 3,
+        task: n => n === 1 ? Promise.reject(new Error('boom')) : state.task(n),
+        commit: (result, item) => committed.push(item)
+    }), /boom/);
+
+    assert.deepEqual(committed, [0]);
+    assert.equal(state.running, 0);
+    assert.ok(!state.started.includes(5), 'nothing new started after the error');
+});
@@ -0,0 +1,118 @@
+const { startMock, quietSession } = require('./helpers.js');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, getLeagueEntriesByPuuid } = require('../scout.js');
+const { RateLimitBuckets, parseRateLimitHeader } = require('../ratelimiter.js');
+
+const HOST = 'na1.api.riotgames.com';
+const METHOD = 'league-v4.by-puuid';
+
+let mock;
+
+before(async () => {
+    mock = await startMock();
+});
+
+after(() => mock.stop());
+
+beforeEach(() => mock.reset());
+
+// Headers of a real response from the mock, scripted or not
+async function headersFrom(response = null) {
+    if (response) mock.script('/entries/by-puuid/', response);
+    const url = `${CONFIG.riot.baseUrl.replace('{host}', HOST)}/lol/league/v4/entries/by-puuid/puuid-0`;
+    const res = await fetch(url);
+    await res.arrayBuffer();
+    return res.headers;
+}
+
+test('rate limit headers parse into windows, skipping anything malformed', () => {
+    assert.deepEqual(parseRateLimitHeader('20:1,100:120'), [{ count: 20, seconds: 1 }, { count: 100, seconds: 120 }]);
+    assert.deepEqual(parseRateLimitHeader(' 5:0, x:2 ,7:10,3'), [{ count: 7, seconds: 10 }]);
+    assert.deepEqual(parseRateLimitHeader(null), []);
+});
+
+test('the limits Riot reports replace the configured ones', async () => {
+    const buckets = new RateLimitBuckets({ appLimits: [{ count: 1, seconds: 10 }] });
+    buckets.getHost(HOST).app.record();
+    assert.ok(buckets.getHost(HOST).app.getDelay() > 9000, 'the configured limit is used up');
+
+    buckets.update(HOST, METHOD, await headersFrom());
+
+    const { app } = buckets.getHost(HOST);
+    assert.deepEqual(app.windows.map(w => w.count), [1000, 100000]);
+    assert.equal(app.getDelay(), 0);
+    assert.deepEqual(buckets.getMethodLimiter(HOST, METHOD).windows.map(w => w.count), [1000]);
+});
+
+test('counts Riot reports beyond ours hold the next request back', async () => {
+    const buckets = new RateLimitBuckets();
+    buckets.update(HOST, METHOD, await headersFrom({
+        headers: { 'X-Method-Rate-Limit': '3:1', 'X-Method-Rate-Limit-Count': '3:1', 'X-App-Rate-Limit-Count': '3:1,3:120' }
+    }));
+
+    const delay = buckets.getMethodLimiter(HOST, METHOD).getDelay();
+    assert.ok(delay > 1000 && delay <= 1100, `waits out the 1s window, not ${delay}ms`);
+    assert.equal(buckets.getMethodLimiter(HOST, 'other-method').getDelay(), 0, 'other methods are not held back');
+    assert.equal(buckets.getHost(HOST).app.getDelay(), 0, 'the app windows still have room');
+});
+
+test('a 429 blocks the limiter named by X-Rate-Limit-Type for Retry-After seconds', async () => {
+    const buckets = new RateLimitBuckets({ fallbackRetrySeconds: 7 });
+
+    const method = await headersFrom({ status: 429, headers: { 'Retry-After': '4', 'X-Rate-Limit-Type': 'method' } });
+    assert.equal(buckets.handleRateLimited(HOST, METHOD, method), 4);
+    assert.ok(buckets.getMethodLimiter(HOST, METHOD).getDelay() > 3900);
+    assert.equal(buckets.getHost(HOST).app.getDelay(), 0);
+
+    const app = await headersFrom({ status: 429, headers: { 'Retry-After': '2', 'X-Rate-Limit-Type': 'application' } });
+    assert.equal(buckets.handleRateLimited(HOST, METHOD, app), 2);
+    assert.ok(buckets.getHost(HOST).app.getDelay() > 1900);
+    assert.equal(buckets.getHost('euw1.api.riotgames.com').app.getDelay(), 0, 'each routing value has its own limits');
+
+    const service = await headersFrom({ status: 429 });
+    assert.equal(buckets.handleRateLimited(HOST, 'other-method', service), 7, 'no Retry-After: the fallback');
+    assert.ok(buckets.getMethodLimiter(HOST, 'other-method').getDelay() > 6900);
+});
+
+test('a long wait is announced once and can be aborted', async () => {
+    const buckets = new RateLimitBuckets();
+    buckets.getHost(HOST).app.blockFor(30);
+    const session = quietSession();
+    const notices = [];
+    session.rateLimit = (isLimited, seconds) => notices.push([isLimited, seconds]);
+
+    const waits = [buckets.acquire(HOST, METHOD, session), buckets.acquire(HOST, 'other-method', session)];
+    session.abort();
+
+    for (const wait of waits) {
+        await assert.rejects(wait, /Search aborted/);
+    }
+    assert.deepEqual(notices, [[true, 30], [false, 0]]);
+    assert.equal(session.lines.filter(line => line.includes(`Rate limit reached on ${HOST} - waiting 30s`)).length, 1);
+});
+
+test('requests through the API wait for the count Riot reported', async () => {
+    mock.script('/entries/by-puuid/puuid-1', {
+        headers: { 'X-Method-Rate-Limit': '1:1', 'X-Method-Rate-Limit-Count': '1:1' }
+    });
+    const session = quietSession();
+
+    await getLeagueEntriesByPuuid('puuid-1', { session, region: 'na1' });
+    const started = Date.now();
+    const entries = await getLeagueEntriesByPuuid('puuid-2', { session, region: 'na1' });
+
+    assert.ok(Date.now() - started >= 1000, 'the second request waited out the window');
+    assert.equal(entries[0].puuid, 'puuid-2');
+    assert.equal(mock.count('/entries/by-puuid/'), 2);
+});
+
+test('a 429 is reported to the search session and the request retried', async () => {
+    mock.script('/entries/by-puuid/', { status: 429, headers: { 'Retry-After': '1', 'X-Rate-Limit-Type': 'method' } }, { times: 1 });
+    const session = quietSession();
+
+    const entries = await getLeagueEntriesByPuuid('puuid-3', { session, region: 'na1' });
+
+    assert.equal(entries[0].puuid, 'puuid-3');
+    assert.ok(session.lines.some(line => line.includes('Rate limited (method)! Retrying in 1s')));
+});
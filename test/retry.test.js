@@ -0,0 +1,156 @@
+const { startMock, quietSession } = require('./helpers.js');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { scoutPlayers, getLeagueEntries, getLeagueEntriesByPuuid, getLastActiveMinutes, transport, CONFIG } = require('../scout.js');
+const { RetryPolicy, CircuitBreaker } = require('../retry.js');
+const { UpstreamError, NotFoundError } = require('../errors.js');
+
+let mock;
+
+before(async () => {
+    mock = await startMock();
+    // Keep the waits short
+    Object.assign(CONFIG.retry, { baseDelayMs: 10, maxDelayMs: 40, timeoutSeconds: 0.3 });
+    Object.assign(CONFIG.retry.breaker, { failureThreshold: 100 });
+});
+
+after(() => mock.stop());
+
+beforeEach(() => {
+    mock.reset();
+    transport.use(null);
+});
+
+const SERVER_ERROR = { status: 503, body: { status: { message: 'Service Unavailable', status_code: 503 } } };
+
+test('backoff doubles up to the cap and keeps a random half', () => {
+    const policy = new RetryPolicy({ baseDelayMs: 100, maxDelayMs: 1000 }, () => 0);
+    assert.deepEqual([1, 2, 3, 4, 5].map(n => policy.delay(n)), [50, 100, 200, 400, 500]);
+
+    const jittered = new RetryPolicy({ baseDelayMs: 100, maxDelayMs: 1000 }, () => 0.999);
+    assert.equal(jittered.delay(2), 200);
+    assert.ok(policy.isRetryableStatus(502));
+    assert.ok(!policy.isRetryableStatus(404));
+});
+
+test('the breaker opens after repeated failures and lets one probe through after the cooldown', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 3, cooldownSeconds: 10, maxCooldownSeconds: 15 });
+    const host = 'na1.api.riotgames.com';
+
+    assert.equal(breaker.failure(host, 0), 0);
+    assert.equal(breaker.failure(host, 0), 0);
+    assert.equal(breaker.failure(host, 0), 10000);
+    assert.equal(breaker.state(host, 5000), 'open');
+    assert.equal(breaker.getDelay(host, 5000), 5000);
+    assert.equal(breaker.state('euw1.api.riotgames.com', 5000), 'closed', 'hosts are separate');
+
+    // The probe fails - open again for twice as long, capped
+    assert.equal(breaker.getDelay(host, 10000), 0);
+    breaker.getHost(host).probing = true;
+    assert.ok(breaker.getDelay(host, 10000) > 0, 'others wait for the probe');
+    assert.equal(breaker.failure(host, 10000), 15000);
+    assert.equal(breaker.state(host, 20000), 'open');
+
+    breaker.success(host);
+    assert.equal(breaker.state(host), 'closed');
+});
+
+test('5xx responses are retried until one gets through', async () => {
+    mock.script('/league-exp/', SERVER_ERROR, { times: 2 });
+    const session = quietSession();
+    const events = [];
+    session.on('degraded', event => events.push(event));
+
+    const entries = await getLeagueEntries('RANKED_SOLO_5x5', 'GOLD', 'II', 1, { session });
+
+    assert.equal(entries.length, 5);
+    assert.equal(mock.count('/league-exp/'), 3);
+    assert.equal(session.retryStats.retries, 2);
+    assert.equal(session.retryStats.serverErrors, 2);
+    assert.deepEqual(events.map(e => e.isDegraded), [true, true, false]);
+    assert.match(events[0].reason, /503/);
+    assert.equal(events[2].stats.retries, 2);
+});
+
+test('timeouts and network errors are retried', async () => {
+    // First attempt: no answer in time, second: no connection, third: fine
+    mock.script('/league-exp/', { status: 200, body: [], delayMs: 1000 });
+    let calls = 0;
+    transport.use((url, init) => ++calls === 2 ? Promise.reject(new TypeError('fetch failed')) : fetch(url, init));
+    const session = quietSession();
+
+    const entries = await getLeagueEntries('RANKED_SOLO_5x5', 'GOLD', 'II', 1, { session });
+
+    assert.equal(entries.length, 5);
+    assert.equal(session.retryStats.timeouts, 1);
+    assert.equal(session.retryStats.networkErrors, 1);
+});
+
+test('giving up after the retries is an UpstreamError; other errors are not retried', async () => {
+    mock.script('/league-exp/', SERVER_ERROR, { times: 100 });
+    await assert.rejects(
+        getLeagueEntries('RANKED_SOLO_5x5', 'GOLD', 'II', 1, { session: quietSession() }),
+        err => err instanceof UpstreamError && err.details.status === 503
+    );
+    assert.equal(mock.count('/league-exp/'), CONFIG.retry.maxRetries + 1);
+
+    mock.reset();
+    mock.script('/league-exp/', { status: 404, body: {} });
+    await assert.rejects(getLeagueEntries('RANKED_SOLO_5x5', 'GOLD', 'II', 1, { session: quietSession() }), NotFoundError);
+    assert.equal(mock.count('/league-exp/'), 1);
+});
+
+test('Riot failing is not taken for inactivity', async () => {
+    mock.script('/matches/by-puuid/puuid-0/ids', SERVER_ERROR, { times: 100 });
+    await assert.rejects(getLastActiveMinutes('puuid-0', { session: quietSession() }), UpstreamError);
+
+    // No games at all is a real answer
+    mock.reset();
+    mock.script('/matches/by-puuid/puuid-0/ids', { status: 200, body: [] });
+    assert.equal(await getLastActiveMinutes('puuid-0', { session: quietSession() }), null);
+});
+
+test('a player Riot keeps failing on is skipped, not the search', async () => {
+    // Every attempt at the first activity check fails, then Riot recovers
+    // (one check at a time, so they all go to the same player)
+    mock.script('/matches/by-puuid/', SERVER_ERROR, { times: CONFIG.retry.maxRetries + 1 });
+    const session = quietSession();
+
+    const results = await scoutPlayers({
+        tier: 'GOLD', division: 'II', queue: 'RANKED_SOLO_5x5', maxPlayers: 10, concurrency: 1, session
+    });
+
+    assert.equal(results.length, 10);
+    assert.equal(session.retryStats.skippedPlayers, 1);
+    assert.ok(session.lines.some(line => line.includes('Skipped a player')));
+});
+
+test('a search stops once Riot fails for every player in a row', async () => {
+    mock.script('/matches/by-puuid/', SERVER_ERROR, { times: 1000 });
+
+    await assert.rejects(
+        scoutPlayers({ tier: 'GOLD', division: 'II', queue: 'RANKED_SOLO_5x5', maxPlayers: 5, session: quietSession() }),
+        UpstreamError
+    );
+    // Five players in a row, plus the checks that were already running
+    const attempts = CONFIG.retry.maxRetries + 1;
+    assert.ok(mock.count('/matches/by-puuid/') >= 5 * attempts);
+    assert.ok(mock.count('/matches/by-puuid/') <= (5 + CONFIG.scout.concurrency - 1) * attempts);
+});
+
+test('an open breaker holds requests back until its cooldown has passed', async () => {
+    Object.assign(CONFIG.retry.breaker, { failureThreshold: 2, cooldownSeconds: 0.2 });
+    try {
+        mock.script('/league/v4/entries/by-puuid/', SERVER_ERROR, { times: 2 });
+        const session = quietSession();
+        const started = Date.now();
+
+        const entries = await getLeagueEntriesByPuuid('puuid-1', { session });
+
+        assert.ok(entries.length > 0);
+        assert.equal(session.retryStats.circuitOpens, 1);
+        assert.ok(Date.now() - started >= 200, 'waited out the cooldown');
+    } finally {
+        Object.assign(CONFIG.retry.breaker, { failureThreshold: 100, cooldownSeconds: 30 });
+    }
+});
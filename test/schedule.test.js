@@ -0,0 +1,148 @@
+const { startMock, dataDir, quietSession } = require('./helpers.js');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { parseCron, getNextRun, ScheduleStore, Scheduler, runSchedule, diffRuns, describeDiff } = require('../schedule.js');
+const { ValidationError } = require('../errors.js');
+
+let mock;
+
+before(async () => {
+    mock = await startMock();
+});
+
+after(() => mock.stop());
+
+beforeEach(() => mock.reset());
+
+let stores = 0;
+const newStore = () => new ScheduleStore(
+    path.join(dataDir, `schedules-${++stores}.json`),
+    path.join(dataDir, `schedule-runs-${stores}`)
+);
+
+// Local time, so the expected runs don't depend on the machine's time zone
+const at = (month, day, hour = 0, minute = 0) => new Date(2026, month - 1, day, hour, minute).getTime();
+
+// [expression, from, next run] - 2026-01-05 is a Monday
+const NEXT_RUNS = [
+    ['*/15 * * * *', at(1, 5, 8, 59), at(1, 5, 9, 0)],
+    ['*/15 * * * *', at(1, 5, 9, 0), at(1, 5, 9, 15)],
+    ['0 9 * * 1-5', at(1, 10, 10), at(1, 12, 9)],
+    ['@daily', at(1, 5, 8, 59), at(1, 6)],
+    ['0 0 13 * 5', at(1, 5), at(1, 9)], // the 13th or a Friday, like cron
+    ['30 8 1 */3 *', at(1, 5), at(4, 1, 8, 30)],
+    ['0 0 * * 7', at(1, 5), at(1, 11)],
+    ['0 0 31 2 *', at(1, 5), null]
+];
+
+const INVALID_CRONS = ['* * *', '60 * * * *', '* * * 13 *', '5-1 * * * *', 'a * * * *', '*/0 * * * *', ''];
+
+test('getNextRun finds the next minute a cron expression fires', () => {
+    for (const [expression, from, next] of NEXT_RUNS) {
+        assert.equal(getNextRun(expression, from), next, `${expression} from ${new Date(from)}`);
+    }
+});
+
+test('parseCron rejects malformed expressions', () => {
+    for (const expression of INVALID_CRONS) {
+        assert.throws(() => parseCron(expression), ValidationError, expression);
+    }
+});
+
+test('a schedule that never fires or reuses a name is refused', () => {
+    const store = newStore();
+    store.add({ name: 'Nightly', cron: '@daily' });
+
+    assert.throws(() => store.add({ name: 'Leap day', cron: '0 0 31 2 *' }), /never fires/);
+    assert.throws(() => store.add({ name: 'nightly', cron: '@hourly' }), /already exists/);
+    assert.equal(store.get('NIGHTLY').cron, '@daily');
+});
+
+// GOLD II Solo/Duo, 1400 total LP at 0 LP
+const goldTwo = (n, lp) => ({
+    puuid: `puuid-${n}`, name: `Player${n}#NA1`, region: 'na1', queue: 'Solo/Duo', rank: 'GOLD II', lp, totalLP: 1400 + lp
+});
+
+test('diffRuns looks up players that weren\'t found again', async () => {
+    const session = quietSession();
+    const previous = [
+        goldTwo(1, 2), // Found again with 7 LP
+        goldTwo(2, 14), // Not found, still on 14 LP
+        goldTwo(3, 11), // Not found, now on 21 LP
+        goldTwo(25, 50), // Now GOLD I
+        goldTwo(99, 50) // Unranked now
+    ];
+    const current = [goldTwo(1, 7), goldTwo(4, 28)];
+
+    const diff = await diffRuns(previous, current, { minLP: 1400, maxLP: 1499 }, { session });
+
+    assert.deepEqual(diff.newPlayers.map(p => p.name), ['Player4#NA1']);
+    assert.deepEqual(diff.moved.map(m => [m.name, m.change]), [['Player1#NA1', 5], ['Player3#NA1', 10]]);
+    assert.deepEqual(diff.droppedOut.map(m => [m.name, m.to && m.to.rank]), [['Player25#NA1', 'GOLD I'], ['Player99#NA1', null]]);
+    assert.deepEqual(diff.notFound.map(p => p.name), ['Player2#NA1']);
+    assert.equal(describeDiff(diff), '1 new, 2 moved, 2 dropped out');
+    assert.equal(mock.count('/entries/by-puuid/'), 4, 'only players missing from this run are looked up');
+});
+
+test('each run is diffed against the last completed one', async () => {
+    const store = newStore();
+    const schedule = store.add({
+        name: 'Gold climbers',
+        cron: '@hourly',
+        options: { lpRange: '1430-1460', queue: 'RANKED_SOLO_5x5', minWinRate: 0.62, enrichMatchPlayers: true, maxPlayers: 20 }
+    });
+
+    const first = await runSchedule(store, schedule, quietSession());
+    assert.equal(first.status, 'completed');
+    assert.deepEqual(first.players.map(p => p.name).sort(), ['Player19#NA1', 'Player7#NA1', 'Player8#NA1']);
+    assert.equal(first.diff, null);
+    assert.equal(store.get(schedule.id).lastRunId, first.id);
+
+    // Pretend the first run saw Player7 lower, missed Player8 and saw Player25 in range
+    const player7 = first.players.find(p => p.name === 'Player7#NA1');
+    player7.totalLP -= 20;
+    first.players = first.players.filter(p => p.name !== 'Player8#NA1').concat({ ...goldTwo(25, 45), wins: 15, losses: 10 });
+    store.saveRun(first);
+
+    const session = quietSession();
+    const second = await runSchedule(store, store.get(schedule.id), session);
+
+    assert.deepEqual(second.diff.newPlayers.map(p => p.name), ['Player8#NA1']);
+    assert.deepEqual(second.diff.moved.map(m => [m.name, m.change]), [['Player7#NA1', 20]]);
+    assert.deepEqual(second.diff.droppedOut.map(m => m.name), ['Player25#NA1']);
+    assert.ok(session.lines.some(line => line.includes('"Gold climbers": 1 new, 1 moved, 1 dropped out')));
+    assert.deepEqual(store.listRuns(schedule.id).map(run => run.id), [second.id, first.id]);
+    assert.ok(store.get(schedule.id).nextRunAt > Date.now());
+});
+
+test('the scheduler skips runs missed while it was stopped and runs due ones', async () => {
+    const store = newStore();
+    const options = { tier: 'MASTER', queue: 'RANKED_SOLO_5x5', maxPlayers: 1 };
+    const missed = store.add({ name: 'Missed', cron: '@hourly', options });
+    store.update(missed.id, { nextRunAt: Date.now() - 60000 });
+
+    // Runs started by the scheduler itself log to the console
+    const scheduler = new Scheduler(store, { tickSeconds: 3600 });
+    const log = console.log;
+    console.log = () => {};
+    try {
+        scheduler.start();
+        scheduler.stop();
+        assert.ok(store.get(missed.id).nextRunAt > Date.now());
+        assert.equal(store.listRuns(missed.id).length, 0);
+
+        const schedule = store.get(missed.id);
+        const [run, again] = await Promise.all([scheduler.run(schedule, quietSession()), scheduler.run(schedule)]);
+        assert.equal(run, again, 'a second call joins the run in progress');
+        assert.ok(!scheduler.isRunning(missed.id));
+
+        store.update(missed.id, { nextRunAt: Date.now() - 1000 });
+        await scheduler.tick();
+        await scheduler.tick();
+        assert.equal(store.listRuns(missed.id).length, 2, 'a due schedule runs on the next tick, then waits for its time');
+    } finally {
+        console.log = log;
+        scheduler.stop();
+    }
+});
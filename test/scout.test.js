@@ -0,0 +1,245 @@
+const { startMock, quietSession, dataDir } = require('./helpers.js');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { scoutPlayers, getMatchDetails, playerStore } = require('../scout.js');
+const { AuthError, ValidationError } = require('../errors.js');
+
+let mock;
+
+before(async () => {
+    mock = await startMock();
+});
+
+after(() => mock.stop());
+
+beforeEach(() => mock.reset());
+
+const playerNumber = player => parseInt(player.name.replace('Player', ''));
+
+// Start from an empty player store, so nothing is served from the cache
+function forgetPlayers() {
+    fs.rmSync(path.join(dataDir, 'players.jsonl'), { force: true });
+    playerStore.players = null;
+}
+
+// Make Math.random repeat the same sequence (mulberry32) until restored
+function seedRandom(seed) {
+    const random = Math.random;
+    Math.random = () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    return () => {
+        Math.random = random;
+    };
+}
+
+test('finds recently active players and the players from their match', async () => {
+    const results = await scoutPlayers({
+        tier: 'GOLD', division: 'II', queue: 'RANKED_SOLO_5x5', maxPlayers: 10, session: quietSession()
+    });
+
+    assert.equal(results.length, 10);
+    assert.ok(results.every(p => p.lastActiveMinutes <= 30));
+    assert.ok(results.every(p => playerNumber(p) < 20), 'only Player0-19 are active');
+    assert.ok(results.some(p => p.fromMatch), 'match participants are added');
+    assert.ok(results.every(p => p.region === 'na1' && p.queue === 'Solo/Duo'));
+});
+
+test('skips players who were not active recently', async () => {
+    const session = quietSession();
+    const results = await scoutPlayers({
+        tier: 'GOLD', division: 'I', queue: 'RANKED_SOLO_5x5', maxPlayers: 5, session
+    });
+
+    assert.deepEqual(results, []);
+    assert.ok(session.lines.some(line => line.includes('All combinations exhausted')));
+});
+
+test('an inactive player costs one request, without match details', async () => {
+    forgetPlayers();
+    await scoutPlayers({ tier: 'GOLD', division: 'I', queue: 'RANKED_SOLO_5x5', maxPlayers: 5, session: quietSession() });
+
+    const ids = mock.requests.filter(r => r.path.endsWith('/ids'));
+    assert.equal(ids.length, 20, 'one ids request for each of Player20-39');
+    assert.ok(ids.every(r => r.query.startTime && r.query.count === '1'));
+    assert.equal(mock.count(/\/matches\/NA1_/), 0);
+    assert.equal(mock.count('/spectator/'), 0, 'no Spectator-V5 unless asked for');
+});
+
+test('finds players in a game right now when asked to', async () => {
+    forgetPlayers();
+    const session = quietSession();
+    const results = await scoutPlayers({
+        tier: 'GOLD', division: 'I', queue: 'RANKED_SOLO_5x5', maxPlayers: 20, includeInGame: true, session
+    });
+
+    // Player30-39 are in game; Player20-29 last played 2 hours ago
+    assert.deepEqual(results.map(playerNumber).sort((a, b) => a - b), [30, 31, 32, 33, 34, 35, 36, 37, 38, 39]);
+    assert.ok(results.every(p => p.inGame && p.lastActiveMinutes === 0 && p.lastGameMode === 'CLASSIC'));
+    assert.equal(mock.count('/spectator/'), 20);
+    assert.equal(mock.count(/\/matches\/NA1_/), 0, 'nothing to fetch for a game still running');
+    assert.ok(!session.lines.some(line => line.includes('[API Error]')), 'not being in game is not an error');
+});
+
+test('applies the LP range and win rate to found and match players', async () => {
+    const results = await scoutPlayers({
+        lpRange: '1430-1460',
+        queue: 'RANKED_SOLO_5x5',
+        minWinRate: 0.62,
+        enrichMatchPlayers: true,
+        maxPlayers: 20,
+        session: quietSession()
+    });
+
+    // GOLD II players with 30-60 LP and at least 17 wins to 10 losses
+    assert.deepEqual(results.map(p => p.name).sort(), ['Player19#NA1', 'Player7#NA1', 'Player8#NA1']);
+    assert.ok(results.every(p => p.totalLP >= 1430 && p.totalLP <= 1460));
+});
+
+test('filters by main role from recent ranked games', async () => {
+    const results = await scoutPlayers({
+        tier: 'GOLD', division: 'II', queue: 'RANKED_SOLO_5x5', roles: ['UTILITY'], maxPlayers: 5, session: quietSession()
+    });
+
+    assert.ok(results.length > 0);
+    assert.ok(results.every(p => p.mainRole === 'UTILITY'));
+});
+
+test('warns about champion names it doesn\'t know instead of refusing them', async () => {
+    const session = quietSession();
+    await scoutPlayers({ tier: 'MASTER', queue: 'RANKED_SOLO_5x5', champions: 'Thresh, Threhs', maxPlayers: 1, session });
+
+    assert.ok(session.lines.some(line => line.includes('Not a known champion: Threhs - no player will match it')));
+});
+
+test('serves players found in the last hour from the cache', async () => {
+    // Enriched match players are cached too, so the first run caches all 20
+    const options = { tier: 'GOLD', division: 'II', queue: 'RANKED_SOLO_5x5', enrichMatchPlayers: true, maxPlayers: 20 };
+    await scoutPlayers({ ...options, session: quietSession() });
+    mock.reset();
+
+    const results = await scoutPlayers({ ...options, session: quietSession() });
+    const cached = results.filter(p => p.fromCache);
+    assert.ok(cached.length > 0);
+    for (const player of cached) {
+        assert.equal(mock.count(`/matches/by-puuid/${player.puuid}/ids`), 0, `${player.name} was looked up again`);
+    }
+});
+
+test('checking players side by side finds the same players in the same order', async () => {
+    const run = async concurrency => {
+        forgetPlayers();
+        const restore = seedRandom(7);
+        const session = quietSession();
+        const streamed = [];
+        session.on('player', player => streamed.push(player.name));
+        try {
+            const results = await scoutPlayers({
+                lpRange: '1400-1599', queue: 'RANKED_SOLO_5x5', enrichMatchPlayers: true, maxPlayers: 12, concurrency, session
+            });
+            assert.deepEqual(streamed, results.map(p => p.name), 'streamed in result order');
+            return results.map(p => p.name);
+        } finally {
+            restore();
+        }
+    };
+
+    const oneAtATime = await run(1);
+    mock.latencyMs = 20;
+    const sideBySide = await run(6);
+
+    assert.equal(oneAtATime.length, 12);
+    assert.deepEqual(sideBySide, oneAtATime);
+    assert.ok(mock.maxActive > 1, 'requests overlapped');
+});
+
+test('stops at exactly maxPlayers with checks still running', async () => {
+    mock.latencyMs = 10;
+    forgetPlayers();
+    const results = await scoutPlayers({
+        lpRange: '1400-1599', queue: 'RANKED_SOLO_5x5', enrichMatchPlayers: true, maxPlayers: 3, concurrency: 8, session: quietSession()
+    });
+    assert.equal(results.length, 3);
+    assert.equal(new Set(results.map(p => p.puuid)).size, 3);
+});
+
+test('an abort stops adding players at once', async () => {
+    mock.latencyMs = 10;
+    forgetPlayers();
+    const session = quietSession();
+    const streamed = [];
+    session.on('player', player => {
+        streamed.push(player);
+        session.abort();
+    });
+
+    const results = await scoutPlayers({
+        tier: 'GOLD', division: 'II', queue: 'RANKED_SOLO_5x5', maxPlayers: 20, concurrency: 8, session
+    });
+
+    assert.equal(results.length, 1);
+    assert.equal(streamed.length, 1);
+    assert.ok(session.lines.some(line => line.includes('Search aborted')));
+});
+
+test('keeps match details on disk after the first request', async () => {
+    const first = await getMatchDetails('NA1_0903', { session: quietSession() });
+    const second = await getMatchDetails('NA1_0903', { session: quietSession() });
+
+    assert.deepEqual(second, first);
+    assert.equal(mock.count('/matches/NA1_0903'), 1);
+});
+
+test('searches every region it is given', async () => {
+    const results = await scoutPlayers({
+        tier: 'GOLD', division: 'II', queue: 'RANKED_SOLO_5x5', regions: ['na1', 'euw1'], maxPlayers: 30, session: quietSession()
+    });
+
+    assert.ok(mock.count('/euw1/lol/league-exp/') > 0);
+    assert.ok(results.length > 0);
+    assert.ok(results.every(p => p.region === 'na1'), 'nobody plays on euw1');
+});
+
+test('searches apex leagues from the whole league', async () => {
+    const results = await scoutPlayers({
+        tier: 'MASTER', queue: 'RANKED_SOLO_5x5', maxPlayers: 5, session: quietSession()
+    });
+
+    assert.equal(mock.count('/masterleagues/by-queue/RANKED_SOLO_5x5'), 1);
+    assert.equal(mock.count('/league-exp/'), 0);
+    assert.equal(mock.count('/matches/by-puuid/'), 3);
+    assert.deepEqual(results, [], 'the MASTER players have no games');
+});
+
+test('waits out a 429 and retries', async () => {
+    mock.script('/league-exp/', { status: 429, headers: { 'Retry-After': '1', 'X-Rate-Limit-Type': 'method' } });
+
+    const results = await scoutPlayers({
+        tier: 'GOLD', division: 'II', queue: 'RANKED_SOLO_5x5', maxPlayers: 1, session: quietSession()
+    });
+
+    assert.equal(results.length, 1);
+    assert.ok(mock.count('/league-exp/') >= 2);
+});
+
+test('stops with an AuthError when the key is rejected', async () => {
+    mock.script('/', { status: 403, body: { status: { message: 'Forbidden', status_code: 403 } } }, { times: 1000 });
+
+    await assert.rejects(
+        scoutPlayers({ tier: 'GOLD', division: 'II', maxPlayers: 5, session: quietSession() }),
+        err => err instanceof AuthError && err.code === 'auth_expired'
+    );
+});
+
+test('rejects options it cannot search with', async () => {
+    await assert.rejects(scoutPlayers({ lpRange: '900-800' }), ValidationError);
+    await assert.rejects(scoutPlayers({ tier: 'GOLD', division: 'V' }), ValidationError);
+    await assert.rejects(scoutPlayers({ maxPlayers: 0 }), ValidationError);
+    await assert.rejects(scoutPlayers({ concurrency: 0 }), ValidationError);
+    assert.equal(mock.requests.length, 0);
+});
@@ -0,0 +1,87 @@
+require('./helpers.js');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveSearch, presetStore, SEARCH_DEFAULTS } = require('../search.js');
+const { ValidationError } = require('../errors.js');
+
+// [params, options expected on top of the defaults]
+const VALID = [
+    [{}, {}],
+    [{ lp: '800-1000', region: 'euw1,na1' }, { lpRange: '800-1000', regions: ['euw1', 'na1'], tier: undefined, division: undefined }],
+    [{ lp: '800-1000', tier: 'PLATINUM' }, { lpRange: '800-1000', tier: undefined, division: undefined }],
+    [{ tier: 'platinum', division: 'iv' }, { tier: 'PLATINUM', division: 'IV' }],
+    [{ tier: 'master', division: 'III' }, { tier: 'MASTER', division: 'I' }],
+    [{ queue: 'flex' }, { queue: 'RANKED_FLEX_SR' }],
+    [{ queue: 'both' }, { queue: null }],
+    [{ max: '30', active: '60' }, { maxPlayers: 30, activeWithinMinutes: 60 }],
+    [{ maxPlayers: 5 }, { maxPlayers: 5 }],
+    [{ winrate: '0.55' }, { minWinRate: 0.55 }],
+    [{ winrate: '55%' }, { minWinRate: 0.55 }],
+    [{ winrate: 1 }, { minWinRate: 1 }],
+    [{ role: 'support,mid' }, { roles: ['UTILITY', 'MIDDLE'] }],
+    [{ roles: '' }, {}],
+    [{ champion: 'Lee Sin, nunu,Wukong' }, { champions: ['Lee Sin', 'nunu', 'Wukong'] }],
+    [{ champion: 'Thresh,Threhs' }, { champions: ['Thresh', 'Threhs'] }], // scoutPlayers warns about Threhs
+    [{ enrich: 'yes', ingame: 'off' }, { enrichMatchPlayers: true, includeInGame: false }]
+];
+
+// [params, what the error says]
+const INVALID = [
+    [{ lp: '1000-800' }, /Invalid LP range "1000-800"/],
+    [{ lp: 'high' }, /Invalid LP range/],
+    [{ tier: 'WOOD' }, /Unknown tier "WOOD"/],
+    [{ division: 'V' }, /Unknown division "V"/],
+    [{ queue: 'aram' }, /Unknown queue "aram"/],
+    [{ max: '0' }, /Invalid max "0"/],
+    [{ max: '501' }, /Invalid max "501"/],
+    [{ active: '1.5' }, /Invalid active "1.5"/],
+    [{ winrate: '55' }, /Invalid winrate "55" - .*"55%"/],
+    [{ winrate: '120%' }, /Invalid winrate "120%"/],
+    [{ winrate: '%' }, /Invalid winrate "%"/],
+    [{ winrate: '-0.1' }, /Invalid winrate/],
+    [{ region: 'mars1' }, /Unknown region "mars1"/],
+    [{ role: 'healer' }, /Unknown role "healer"/],
+    [{ enrich: 'maybe' }, /Invalid enrich "maybe"/],
+    [{ preset: 'no-such-preset' }, /Unknown preset "no-such-preset"/]
+];
+
+// The defaults with these changes; undefined leaves an option out
+function withDefaults(changes) {
+    const options = { ...SEARCH_DEFAULTS, regions: ['na1'], ...changes };
+    for (const key of Object.keys(options)) {
+        if (options[key] === undefined) delete options[key];
+    }
+    return options;
+}
+
+test('search parameters resolve to scoutPlayers options', () => {
+    for (const [params, expected] of VALID) {
+        assert.deepEqual(resolveSearch(params), withDefaults(expected), JSON.stringify(params));
+    }
+});
+
+test('invalid search parameters are rejected with what was wrong', () => {
+    for (const [params, message] of INVALID) {
+        assert.throws(() => resolveSearch(params), error => error instanceof ValidationError && message.test(error.message),
+            JSON.stringify(params));
+    }
+});
+
+test('a preset fills in its options, and other parameters override them', () => {
+    presetStore.set('Gold Supports', { lp: '1200-1600', role: 'support', max: '30', winrate: '52%' });
+
+    assert.deepEqual(resolveSearch({ preset: 'gold supports', max: '5', roles: '' }), withDefaults({
+        lpRange: '1200-1600',
+        tier: undefined,
+        division: undefined,
+        maxPlayers: 5,
+        minWinRate: 0.52
+    }), 'an empty roles value clears the preset\'s');
+    assert.deepEqual(resolveSearch({ preset: 'Gold Supports', tier: 'silver' }), withDefaults({
+        tier: 'SILVER',
+        roles: ['UTILITY'],
+        maxPlayers: 30,
+        minWinRate: 0.52
+    }));
+    assert.ok(presetStore.remove('GOLD SUPPORTS'));
+});
@@ -0,0 +1,142 @@
+// Sign-in is read from the environment when scout.js loads
+process.env.AUTH_USERS = 'alice:wonderland,bob:builder';
+process.env.AUTH_ADMINS = 'alice';
+process.env.AUTH_TOKEN = 'shared-token';
+
+const { startMock } = require('./helpers.js');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const handleRequest = require('../server.js');
+
+let mock;
+let server;
+let baseUrl;
+
+before(async () => {
+    mock = await startMock();
+    server = http.createServer(handleRequest);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await mock.stop();
+});
+
+beforeEach(() => mock.reset());
+
+const basic = (name, password) => `Basic ${Buffer.from(`${name}:${password}`).toString('base64')}`;
+
+async function request(path, { method = 'GET', body, headers = {} } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+}
+
+test('API routes need credentials', async () => {
+    const { status, body } = await request('/api/jobs');
+    assert.equal(status, 401);
+    assert.equal(body.code, 'unauthorized');
+
+    const me = await request('/api/me');
+    assert.equal(me.status, 200);
+    assert.deepEqual([me.body.authEnabled, me.body.user], [true, null]);
+
+    assert.equal((await request('/api/jobs', { headers: { Authorization: basic('bob', 'wrong') } })).status, 401);
+    assert.equal((await request('/api/jobs', { headers: { Authorization: 'Bearer shared-token' } })).status, 200);
+});
+
+test('signing in sets a session cookie that signs later requests', async () => {
+    const failed = await request('/api/login', { method: 'POST', body: { name: 'bob', password: 'nope' } });
+    assert.equal(failed.status, 401);
+
+    const login = await request('/api/login', { method: 'POST', body: { name: 'bob', password: 'builder' } });
+    assert.equal(login.status, 200);
+    assert.deepEqual(login.body, { name: 'bob', admin: false });
+    const cookie = login.headers.get('set-cookie').split(';')[0];
+    assert.match(login.headers.get('set-cookie'), /HttpOnly/);
+
+    const me = await request('/api/me', { headers: { Cookie: cookie } });
+    assert.equal(me.body.user.name, 'bob');
+
+    const forged = cookie.replace(/.$/, c => (c === 'A' ? 'B' : 'A'));
+    assert.equal((await request('/api/jobs', { headers: { Cookie: forged } })).status, 401);
+});
+
+test('debug routes are for admins only', async () => {
+    const denied = await request('/api/test-riot', { headers: { Authorization: basic('bob', 'builder') } });
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.code, 'forbidden');
+    assert.equal(mock.requests.length, 0);
+
+    const allowed = await request('/api/test-riot', { headers: { Authorization: basic('alice', 'wonderland') } });
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.body.success, true);
+    assert.match(allowed.body.sentTo, /^http:\/\/127\.0\.0\.1:\d+\/na1\/lol\/league-exp\//);
+});
+
+test('a saved key is never sent back and is used for that user\'s searches', async () => {
+    const headers = { Authorization: basic('bob', 'builder') };
+
+    const saved = await request('/api/key', { method: 'POST', body: { apiKey: 'RGAPI-bobs-key' }, headers });
+    assert.equal(saved.status, 200);
+    assert.deepEqual(saved.body, { saved: true, source: 'user' });
+    assert.ok(!JSON.stringify((await request('/api/me', { headers })).body).includes('bobs-key'));
+
+    const job = await request('/api/jobs', { method: 'POST', body: { tier: 'GOLD', division: 'II', max: 1 }, headers });
+    await (await fetch(`${baseUrl}/api/jobs/${job.body.id}/events`, { headers })).text();
+    assert.ok(mock.requests.length > 0);
+    assert.ok(mock.requests.every(r => r.token === 'RGAPI-bobs-key'));
+
+    // Admins see everyone's jobs
+    assert.equal((await request(`/api/jobs/${job.body.id}`, { headers: { Authorization: basic('alice', 'wonderland') } })).status, 200);
+    await request('/api/key', { method: 'DELETE', headers });
+    assert.deepEqual((await request('/api/me', { headers })).body.apiKey, { saved: false, source: 'server' });
+});
+
+test('only admins can point a watchlist entry at a webhook', async () => {
+    const body = { puuid: 'puuid-0', name: 'Player0#NA1', webhook: 'https://example.com/hook' };
+
+    const denied = await request('/api/watchlist', { method: 'POST', body, headers: { Authorization: basic('bob', 'builder') } });
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.code, 'forbidden');
+
+    const plain = await request('/api/watchlist', { method: 'POST', body: { ...body, webhook: undefined }, headers: { Authorization: basic('bob', 'builder') } });
+    assert.equal(plain.status, 201);
+    assert.equal(plain.body.webhook, null);
+
+    const allowed = await request('/api/watchlist', { method: 'POST', body, headers: { Authorization: basic('alice', 'wonderland') } });
+    assert.equal(allowed.status, 201);
+    assert.equal(allowed.body.webhook.url, 'https://example.com/hook');
+});
+
+test('shared presets, schedules and the watchlist are changed by admins only', async () => {
+    const bob = { Authorization: basic('bob', 'builder') };
+    const alice = { Authorization: basic('alice', 'wonderland') };
+    const statusOf = async (path, options) => (await request(path, options)).status;
+
+    assert.equal(await statusOf('/api/presets', { method: 'POST', body: { name: 'Bob Gold', tier: 'GOLD' }, headers: bob }), 201);
+    assert.equal(await statusOf('/api/presets', { method: 'POST', body: { name: 'bob gold', tier: 'IRON' }, headers: bob }), 403);
+    assert.equal(await statusOf('/api/presets/Bob%20Gold', { method: 'DELETE', headers: bob }), 403);
+    assert.equal(await statusOf('/api/presets/Bob%20Gold', { method: 'DELETE', headers: alice }), 200);
+
+    const schedule = { name: 'Nightly gold', cron: '@daily', tier: 'GOLD' };
+    assert.equal(await statusOf('/api/schedules', { method: 'POST', body: schedule, headers: bob }), 403);
+    const created = await request('/api/schedules', { method: 'POST', body: schedule, headers: alice });
+    assert.equal(created.status, 201);
+    assert.equal(await statusOf(`/api/schedules/${created.body.id}/run`, { method: 'POST', headers: bob }), 403);
+    assert.equal(await statusOf(`/api/schedules/${created.body.id}`, { method: 'DELETE', headers: bob }), 403);
+    assert.equal(await statusOf(`/api/schedules/${created.body.id}`, { method: 'DELETE', headers: alice }), 200);
+
+    await request('/api/watchlist', { method: 'POST', body: { puuid: 'puuid-1', name: 'Player1#NA1' }, headers: bob });
+    assert.equal(await statusOf('/api/watchlist/check', { method: 'POST', headers: bob }), 403);
+    assert.equal(await statusOf('/api/watchlist/puuid-1', { method: 'DELETE', headers: bob }), 403);
+    assert.equal(await statusOf('/api/watchlist/puuid-1', { method: 'DELETE', headers: alice }), 200);
+    assert.equal(mock.requests.length, 0);
+});
@@ -0,0 +1,162 @@
+const { startMock } = require('./helpers.js');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const handleRequest = require('../server.js');
+
+let mock;
+let server;
+let baseUrl;
+
+before(async () => {
+    mock = await startMock();
+    server = http.createServer(handleRequest);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await mock.stop();
+});
+
+beforeEach(() => mock.reset());
+
+async function request(path, { method = 'GET', body } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+// Every event of an SSE stream that ends on its own
+async function readEvents(path) {
+    const text = await (await fetch(`${baseUrl}${path}`)).text();
+    return text.split('\n')
+        .filter(line => line.startsWith('data: '))
+        .map(line => JSON.parse(line.slice(6)));
+}
+
+test('GET /api/lpinfo converts total LP to a rank', async () => {
+    const { status, body } = await request('/api/lpinfo?lp=1450');
+    assert.equal(status, 200);
+    assert.deepEqual(body, { tier: 'GOLD', division: 'II', lp: 50 });
+});
+
+test('bad parameters are a 400 with code invalid_input', async () => {
+    for (const path of ['/api/lpinfo?lp=abc', '/api/scout?max=abc', '/api/climbers?queue=aram', '/api/cache?limit=0']) {
+        const { status, body } = await request(path);
+        assert.equal(status, 400, path);
+        assert.equal(body.code, 'invalid_input', path);
+    }
+
+    const { status, body } = await request('/api/jobs', { method: 'POST', body: '{not json' });
+    assert.equal(status, 400);
+    assert.match(body.error, /Invalid JSON body/);
+});
+
+test('unknown routes are a JSON 404', async () => {
+    const { status, body } = await request('/api/nothing-here');
+    assert.equal(status, 404);
+    assert.equal(body.code, 'not_found');
+});
+
+test('/api/scout streams the players it finds and completes', async () => {
+    const events = await readEvents('/api/scout?tier=gold&division=ii&queue=solo&max=3');
+
+    assert.equal(events[0].type, 'job');
+    assert.equal(events.filter(e => e.type === 'player').length, 3);
+    const complete = events.at(-1);
+    assert.equal(complete.type, 'complete');
+    assert.equal(complete.results.length, 3);
+    assert.ok(mock.count('/league-exp/v4/entries/RANKED_SOLO_5x5/GOLD/II') > 0);
+});
+
+test('POST /api/jobs runs a job that can be followed and read back', async () => {
+    const created = await request('/api/jobs', { method: 'POST', body: { tier: 'GOLD', division: 'II', queue: 'solo', max: 2 } });
+    assert.equal(created.status, 201);
+
+    const events = await readEvents(`/api/jobs/${created.body.id}/events`);
+    assert.equal(events.at(-1).type, 'complete');
+
+    const { body: job } = await request(`/api/jobs/${created.body.id}`);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.results.length, 2);
+    assert.equal(job.options.maxPlayers, 2);
+
+    const resume = await request(`/api/jobs/${created.body.id}/resume`, { method: 'POST' });
+    assert.equal(resume.status, 409);
+    assert.equal(resume.body.code, 'conflict');
+});
+
+test('a job whose key is rejected fails with code auth_expired', async () => {
+    mock.script('/', { status: 403, body: {} }, { times: 1000 });
+
+    const events = await readEvents('/api/scout?tier=GOLD&division=II&max=2');
+    const error = events.at(-1);
+    assert.equal(error.type, 'error');
+    assert.equal(error.code, 'auth_expired');
+
+    const { body: job } = await request(`/api/jobs/${error.jobId}`);
+    assert.equal(job.status, 'failed');
+    assert.equal(job.errorCode, 'auth_expired');
+});
+
+test('presets can be saved and used to start a job', async () => {
+    const saved = await request('/api/presets', { method: 'POST', body: { name: 'Gold Two', tier: 'GOLD', division: 'II', queue: 'solo', max: 1 } });
+    assert.equal(saved.status, 201);
+
+    const events = await readEvents('/api/scout?preset=gold%20two');
+    assert.equal(events.at(-1).results.length, 1);
+
+    assert.equal((await request('/api/presets/GOLD%20TWO', { method: 'DELETE' })).status, 200);
+    assert.equal((await request('/api/presets/gold%20two')).status, 404);
+});
+
+test('found players are stored and served from /api/cache', async () => {
+    await readEvents('/api/scout?tier=GOLD&division=II&queue=solo&max=2');
+
+    const { status, body } = await request('/api/cache?region=NA');
+    assert.equal(status, 200);
+    assert.ok(body.length > 0);
+    assert.ok(body.every(p => p.fromCache && p.region === 'na1'));
+});
+
+test('/api/status never shows the API key', async () => {
+    const { body } = await request('/api/status');
+    assert.equal(body.apiKeySet, true);
+    assert.ok(!JSON.stringify(body).includes('RGAPI-test'));
+});
+
+test('/api/config switches the Riot API mode to a named cassette', async () => {
+    for (const body of [{ riotMode: 'rewind' }, { riotMode: 'replay', cassette: '../secrets' }, { riotMode: 'replay', cassette: 'missing' }]) {
+        const { status, body: error } = await request('/api/config', { method: 'POST', body });
+        assert.equal(status, 400, JSON.stringify(body));
+        assert.equal(error.code, 'invalid_input');
+    }
+
+    const recording = await request('/api/config', { method: 'POST', body: { riotMode: 'record', cassette: 'demo' } });
+    assert.equal(recording.body.riotMode, 'record');
+    await readEvents('/api/scout?tier=GOLD&division=II&queue=solo&max=1');
+
+    await request('/api/config', { method: 'POST', body: { riotMode: 'replay' } });
+    const { body: status } = await request('/api/status');
+    assert.deepEqual([status.riotMode, status.cassette], ['replay', 'demo']);
+    await request('/api/config', { method: 'POST', body: { riotMode: 'live' } });
+});
+
+test('Riot errors that are retried show up on the stream', async () => {
+    mock.script('/league-exp/', { status: 503, body: {} });
+
+    const events = await readEvents('/api/scout?tier=GOLD&division=II&queue=solo&max=1');
+
+    const degraded = events.filter(e => e.type === 'degraded');
+    assert.deepEqual(degraded.map(e => e.isDegraded), [true, false]);
+    assert.match(degraded[0].reason, /503/);
+    const complete = events.at(-1);
+    assert.equal(complete.type, 'complete');
+    assert.equal(complete.retryStats.retries, 1);
+});
@@ -0,0 +1,71 @@
+const { dataDir } = require('./helpers.js');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { PlayerStore } = require('../store.js');
+
+let stores = 0;
+const newDir = () => path.join(dataDir, `store-${++stores}`);
+
+const lineCount = (dir, name) => fs.readFileSync(path.join(dir, name), 'utf8').split('\n').filter(Boolean).length;
+
+function rank(totalLP, at) {
+    return { queue: 'Solo/Duo', rank: 'GOLD II', lp: totalLP % 100, totalLP, wins: totalLP, losses: 0, at };
+}
+
+test('a match is referenced once per player however often it is seen', () => {
+    const dir = newDir();
+    const store = new PlayerStore(dir);
+    store.addMatchRefs('NA1_1', 'na1', ['puuid-0', 'puuid-1'], 1);
+    store.addMatchRefs('NA1_1', 'na1', ['puuid-0'], 2);
+    store.addMatchRefs('NA1_2', 'na1', ['puuid-0'], 3);
+
+    assert.deepEqual(store.getMatchRefs('puuid-0').map(r => [r.matchId, r.at]), [['NA1_2', 3], ['NA1_1', 1]]);
+    assert.deepEqual(store.getMatchRefs('puuid-9'), []);
+    assert.equal(lineCount(dir, 'matchrefs.jsonl'), 3);
+});
+
+test('queries are answered from the index, not the files', () => {
+    const dir = newDir();
+    const store = new PlayerStore(dir);
+    store.upsertPlayer({ puuid: 'puuid-0', name: 'Player0#NA1', region: 'na1', ...rank(1200, 10), cachedAt: 10 });
+    store.recordRank('puuid-0', rank(1250, 20));
+    store.addMatchRefs('NA1_1', 'na1', ['puuid-0'], 20);
+
+    fs.rmSync(dir, { recursive: true });
+    assert.deepEqual(store.getSnapshots('puuid-0').map(s => s.totalLP), [1200, 1250]);
+    assert.deepEqual([...store.getAllSnapshots().keys()], ['puuid-0']);
+    assert.equal(store.getMatchRefs('puuid-0').length, 1);
+});
+
+test('snapshots and match refs are compacted on load once repeats pile up', () => {
+    const dir = newDir();
+    fs.mkdirSync(dir, { recursive: true });
+    const repeated = Array.from({ length: 1200 }, (_, i) => ({ puuid: 'puuid-0', region: 'na1', ...rank(1200, i) }));
+    const refs = Array.from({ length: 1200 }, (_, i) => ({ puuid: 'puuid-0', matchId: `NA1_${i % 10}`, region: 'na1', at: i }));
+    fs.writeFileSync(path.join(dir, 'snapshots.jsonl'), repeated.map(r => JSON.stringify(r)).join('\n') + '\n{"torn');
+    fs.writeFileSync(path.join(dir, 'matchrefs.jsonl'), refs.map(r => JSON.stringify(r)).join('\n') + '\n');
+
+    const store = new PlayerStore(dir);
+    assert.equal(store.getSnapshots('puuid-0').length, 1);
+    assert.equal(lineCount(dir, 'snapshots.jsonl'), 1);
+    assert.equal(lineCount(dir, 'matchrefs.jsonl'), 10);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['matchrefs.jsonl', 'snapshots.jsonl']);
+
+    const reloaded = new PlayerStore(dir);
+    assert.equal(reloaded.getMatchRefs('puuid-0').length, 10);
+    assert.ok(!reloaded.addSnapshot({ puuid: 'puuid-0', region: 'na1', ...rank(1200, 5000) }), 'still a repeat after compacting');
+});
+
+test('a store kept open compacts the players file once updates pile up', () => {
+    const dir = newDir();
+    const store = new PlayerStore(dir);
+    for (let i = 0; i <= 1002; i++) {
+        store.upsertPlayer({ puuid: `puuid-${i % 2}`, name: `Player${i % 2}#NA1`, region: 'na1', ...rank(1200, 10), cachedAt: i });
+    }
+
+    assert.equal(lineCount(dir, 'players.jsonl'), 2, 'compacted without a reload');
+    assert.equal(lineCount(dir, 'snapshots.jsonl'), 2);
+    assert.deepEqual(new PlayerStore(dir).query().map(p => p.cachedAt), [1002, 1001]);
+});
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { RiotTransport, DEFAULT_BASE_URL } = require('../transport.js');
+
+const RIOT_URL = 'https://na1.api.riotgames.com/lol/league/v4/entries/by-puuid/abc?x=1';
+
+test('Riot URLs are sent unchanged with the default base URL', () => {
+    assert.equal(new RiotTransport().resolve(RIOT_URL), RIOT_URL);
+    assert.equal(new RiotTransport({ baseUrl: DEFAULT_BASE_URL }).resolve(RIOT_URL), RIOT_URL);
+});
+
+test('a base URL puts the Riot host where {host} is', () => {
+    const options = { baseUrl: 'http://127.0.0.1:4010/{host}/' };
+    const transport = new RiotTransport(options);
+    assert.equal(transport.resolve(RIOT_URL), 'http://127.0.0.1:4010/na1/lol/league/v4/entries/by-puuid/abc?x=1');
+    assert.equal(transport.resolve('https://example.com/a'), 'https://example.com/a', 'other URLs are left alone');
+
+    // Changes to the options apply to later requests
+    options.baseUrl = 'http://mock/{host}';
+    assert.equal(transport.resolve('https://americas.api.riotgames.com/riot'), 'http://mock/americas/riot');
+});
+
+test('use() swaps the fetch requests go through', async () => {
+    const transport = new RiotTransport({ baseUrl: 'http://mock/{host}' });
+    const calls = [];
+    transport.use(async (url, init) => {
+        calls.push([url, init.headers['X-Riot-Token']]);
+        return new Response('[]');
+    });
+
+    const response = await transport.request(RIOT_URL, { headers: { 'X-Riot-Token': 'k' } });
+    assert.deepEqual(await response.json(), []);
+    assert.deepEqual(calls, [['http://mock/na1/lol/league/v4/entries/by-puuid/abc?x=1', 'k']]);
+});
@@ -0,0 +1,132 @@
+const { startMock, dataDir, quietSession } = require('./helpers.js');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const { CONFIG } = require('../scout.js');
+const { Watchlist, WatchPoller } = require('../watch.js');
+const { AuthError } = require('../errors.js');
+
+let mock;
+
+before(async () => {
+    mock = await startMock();
+    Object.assign(CONFIG.retry, { baseDelayMs: 10, maxDelayMs: 40 });
+    Object.assign(CONFIG.retry.breaker, { failureThreshold: 100 });
+});
+
+after(() => mock.stop());
+
+beforeEach(() => mock.reset());
+
+const SERVER_ERROR = { status: 503, body: { status: { message: 'Service Unavailable', status_code: 503 } } };
+const FORBIDDEN = { status: 403, body: { status: { message: 'Forbidden', status_code: 403 } } };
+
+// A local webhook receiver; hang: true never answers
+async function webhookServer({ hang = false } = {}) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push(JSON.parse(body));
+            if (!hang) res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        received,
+        stop: () => {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+let lists = 0;
+function watching(...players) {
+    const list = new Watchlist(path.join(dataDir, `watchlist-${++lists}.json`));
+    for (const n of players) list.add({ puuid: `puuid-${n}`, name: `Player${n}#NA1`, region: 'na1' });
+    return list;
+}
+
+test('a player Riot keeps failing on is skipped, the rest are still checked', async () => {
+    const list = watching(0, 10);
+    mock.script('/matches/by-puuid/puuid-0/', SERVER_ERROR, { times: 100 });
+    const session = quietSession();
+
+    await new WatchPoller(list, { session }).poll();
+
+    assert.equal(list.get('puuid-0').lastMatchId, null);
+    assert.equal(list.get('puuid-10').lastMatchId, 'NA1_1001');
+    assert.ok(session.lines.some(line => line.includes("Couldn't check Player0#NA1")));
+});
+
+test('a rejected key stops the pass with an AuthError', async () => {
+    const list = watching(0, 10);
+    mock.script('/matches/by-puuid/', FORBIDDEN, { times: 100 });
+
+    await assert.rejects(new WatchPoller(list, { session: quietSession() }).poll(), AuthError);
+    assert.equal(mock.count('/matches/by-puuid/'), 1, 'nobody after the first player is tried');
+});
+
+test('a failing pass started by start() is logged, not left unhandled', async () => {
+    const list = watching(0);
+    mock.script('/matches/by-puuid/', FORBIDDEN, { times: 100 });
+    const session = quietSession();
+    const poller = new WatchPoller(list, { intervalSeconds: 60, session });
+
+    poller.start();
+    try {
+        await poller.polling.catch(() => {});
+        await new Promise(resolve => setImmediate(resolve));
+        assert.ok(session.lines.some(line => line.includes('Watchlist poll stopped')));
+    } finally {
+        poller.stop();
+    }
+});
+
+test('the first poll only records the newest match; a new one fires the webhook', async () => {
+    const receiver = await webhookServer();
+    try {
+        const list = watching(0);
+        list.update('puuid-0', { webhook: { url: receiver.url, format: 'json' } });
+        const poller = new WatchPoller(list, { session: quietSession() });
+
+        assert.deepEqual(await poller.poll(), []);
+        assert.equal(list.get('puuid-0').lastMatchId, 'NA1_1000');
+        assert.deepEqual(await poller.poll(), [], 'nothing new');
+
+        list.update('puuid-0', { lastMatchId: 'NA1_0900' });
+        const [event] = await poller.poll();
+        assert.equal(event.match.matchId, 'NA1_1000');
+        assert.equal(receiver.received.length, 1);
+        assert.equal(receiver.received[0].event, 'match_finished');
+        assert.match(receiver.received[0].text, /Player0#NA1 just finished a CLASSIC game/);
+        assert.ok(list.get('puuid-0').lastNotifiedAt);
+    } finally {
+        await receiver.stop();
+    }
+});
+
+test('a webhook that never answers times out instead of holding up the poller', async () => {
+    const receiver = await webhookServer({ hang: true });
+    const timeout = CONFIG.watch.webhookTimeoutSeconds;
+    CONFIG.watch.webhookTimeoutSeconds = 0.2;
+    try {
+        const list = watching(0);
+        list.update('puuid-0', { lastMatchId: 'NA1_0900', webhook: { url: receiver.url, format: 'json' } });
+        const session = quietSession();
+
+        const events = await new WatchPoller(list, { session }).poll();
+
+        assert.equal(events.length, 1);
+        assert.equal(receiver.received.length, 1);
+        assert.ok(session.lines.some(line => /Webhook for Player0#NA1 failed: .*no answer within 0.2s/.test(line)));
+        assert.equal(list.get('puuid-0').lastNotifiedAt, undefined);
+    } finally {
+        CONFIG.watch.webhookTimeoutSeconds = timeout;
+        await receiver.stop();
+    }
+});
@@ -0,0 +1,104 @@
+/**
+ * Riot API transport
+ *
+ * scout.js always builds real Riot URLs (https://<host>.api.riotgames.com/...)
+ * - they key the rate limiters and show up in logs - and sends them through a
+ * RiotTransport, which is where they can be pointed somewhere else:
+ *   baseUrl: "{host}" is replaced by the platform/routing host, e.g.
+ *            http://127.0.0.1:4010/{host} for the mock server (test/mock-riot.js)
+ *   use(fetchImpl): send requests through another fetch (null = global fetch)
+ *   mode: live (default), record - also save every response to the
+ *         cassette file - or replay - answer from the cassette, without
+ *         sending anything (see cassette.js)
+ * random() is where a scout gets its random numbers, so they can be recorded
+ * and replayed along with the responses they led to.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Cassette } = require('./cassette.js');
+const { ValidationError } = require('./errors.js');
+
+const RIOT_URL = /^https:\/\/([a-z0-9]+)\.api\.riotgames\.com(\/.*)?$/;
+
+const DEFAULT_BASE_URL = 'https://{host}.api.riotgames.com';
+
+const MODES = ['live', 'record', 'replay'];
+
+class RiotTransport {
+    /**
+     * options: { baseUrl, mode, cassette } - read on every request, so
+     * CONFIG.riot can be passed in and changed later
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.fetchImpl = null;
+        this.loaded = null; // Cassette for options.cassette, opened on first use
+    }
+
+    use(fetchImpl) {
+        this.fetchImpl = fetchImpl;
+    }
+
+    get mode() {
+        return this.options.mode || 'live';
+    }
+
+    /**
+     * Switch mode, checking it first: { mode, cassette } (cassette: file path,
+     * needed to record or replay). Replaying starts from the top of the cassette.
+     */
+    configure({ mode = this.mode, cassette = this.options.cassette } = {}) {
+        if (!MODES.includes(mode)) {
+            throw new ValidationError(`Unknown Riot API mode "${mode}" - use ${MODES.join(', ')}`);
+        }
+        if (mode !== 'live' && !cassette) {
+            throw new ValidationError(`A cassette file is needed to ${mode}`);
+        }
+        if (mode === 'replay' && !fs.existsSync(cassette)) {
+            throw new ValidationError(`No cassette at ${cassette}`);
+        }
+        this.options.mode = mode;
+        this.options.cassette = cassette || null;
+        this.loaded = null;
+    }
+
+    cassette() {
+        const file = this.options.cassette;
+        if (!file) throw new Error(`Riot API mode is ${this.mode} but no cassette file is set`);
+        if (!this.loaded || this.loaded.file !== path.resolve(file)) {
+            this.loaded = new Cassette(path.resolve(file));
+        }
+        return this.loaded;
+    }
+
+    // Where a Riot URL is actually sent (unchanged with the default base URL)
+    resolve(url) {
+        const match = url.match(RIOT_URL);
+        const baseUrl = this.options.baseUrl || DEFAULT_BASE_URL;
+        if (!match || baseUrl === DEFAULT_BASE_URL) return url;
+        return baseUrl.replace('{host}', match[1]).replace(/\/+$/, '') + (match[2] || '');
+    }
+
+    // Math.random(), recorded or replayed like a response
+    random() {
+        if (this.mode === 'replay') return this.cassette().nextRandom();
+        const random = Math.random();
+        if (this.mode === 'record') this.cassette().recordRandom(random);
+        return random;
+    }
+
+    async request(url, init = {}) {
+        if (this.mode === 'replay') return this.cassette().replay(url);
+
+        const response = await (this.fetchImpl || fetch)(this.resolve(url), init);
+        if (this.mode === 'record') await this.cassette().record(url, response);
+        return response;
+    }
+}
+
+module.exports = {
+    RiotTransport,
+    DEFAULT_BASE_URL,
+    MODES
+};
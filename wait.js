@@ -0,0 +1,32 @@
+/**
+ * Waiting on behalf of a search
+ *
+ * The rate limiter and the retry/circuit-breaker code both hold requests
+ * back, sometimes for minutes. They wait through wait(), which sleeps in
+ * steps of at most a second and checks the session in between, so stopping
+ * a search never has to sit out the rest of a window or a cooldown.
+ */
+
+const { AbortedError } = require('./errors.js');
+
+// Waits at least this long are announced to the session (UI countdown or banner)
+const NOTIFY_THRESHOLD_MS = 3000;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Sleep for ms; throws an AbortedError once the session (optional) is aborted
+async function wait(ms, session = null) {
+    const until = Date.now() + ms;
+    while (Date.now() < until) {
+        await sleep(Math.min(until - Date.now(), 1000));
+        if (session && session.isAborted()) throw new AbortedError();
+    }
+}
+
+module.exports = {
+    NOTIFY_THRESHOLD_MS,
+    sleep,
+    wait
+};
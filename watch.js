@@ -0,0 +1,264 @@
+/**
+ * Watchlist and match notifications
+ *
+ * Players on the watchlist are polled for their newest match; when a new one
+ * shows up (they just finished a game) a webhook is fired. The watchlist is a
+ * small JSON file next to the player store, keyed by puuid. Webhooks can be
+ * plain JSON, Discord or Slack - the format is picked from the URL unless configured.
+ */
+
+const path = require('path');
+const {
+    getLastActiveMinutes,
+    extractPlayerStats,
+    CONFIG
+} = require('./scout.js');
+const { defaultSession } = require('./session.js');
+const { normalizePlatform } = require('./regions.js');
+const { ValidationError, UpstreamError, AuthError } = require('./errors.js');
+const { JsonCollection } = require('./files.js');
+
+const WEBHOOK_FORMATS = ['json', 'discord', 'slack'];
+
+class Watchlist extends JsonCollection {
+    constructor(file) {
+        super(file, { keyOf: entry => entry.puuid, label: 'watchlist' });
+    }
+
+    /**
+     * Watch a player
+     * player: { puuid, name, region, webhook? } - webhook ({ url, format }) overrides the default
+     */
+    add(player) {
+        const existing = this.get(player.puuid);
+        const entry = {
+            lastMatchId: null,
+            addedAt: Date.now(),
+            ...existing,
+            puuid: player.puuid,
+            name: player.name,
+            region: normalizePlatform(player.region || CONFIG.region),
+            webhook: player.webhook ? normalizeWebhook(player.webhook) : (existing ? existing.webhook : null)
+        };
+        return this.put(entry);
+    }
+
+    // Find an entry by Riot ID ("Name#TAG", case-insensitive)
+    findByName(riotId) {
+        const wanted = riotId.toLowerCase();
+        return this.list().find(e => (e.name || '').toLowerCase() === wanted) || null;
+    }
+}
+
+// ============ WEBHOOKS ============
+
+/**
+ * Validate a webhook ({ url, format } or just a URL) and fill in its format
+ */
+function normalizeWebhook(webhook) {
+    const { url, format } = typeof webhook === 'string' ? { url: webhook } : webhook;
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (err) {
+        throw new ValidationError(`Invalid webhook URL: ${url}`);
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+        throw new ValidationError(`Invalid webhook URL: ${url}`);
+    }
+    if (format && !WEBHOOK_FORMATS.includes(format)) {
+        throw new ValidationError(`Unknown webhook format "${format}". Valid formats: ${WEBHOOK_FORMATS.join(', ')}`);
+    }
+
+    return { url, format: format || detectWebhookFormat(parsed) };
+}
+
+function detectWebhookFormat(url) {
+    if (/(^|\.)discord(app)?\.com$/.test(url.hostname) && url.pathname.startsWith('/api/webhooks/')) return 'discord';
+    if (url.hostname === 'hooks.slack.com') return 'slack';
+    return 'json';
+}
+
+// Webhook for an entry: its own, else the configured default (or null)
+function getWebhookFor(entry) {
+    if (entry.webhook) return entry.webhook;
+    if (!CONFIG.watch.webhookUrl) return null;
+    return normalizeWebhook({ url: CONFIG.watch.webhookUrl, format: CONFIG.watch.webhookFormat || undefined });
+}
+
+function describeEvent(event) {
+    const { player, match } = event;
+    const result = match.win === undefined ? '' : match.win ? ' (win)' : ' (loss)';
+    const played = match.champion ? ` as ${match.champion}${result}, ${match.kills}/${match.deaths}/${match.assists}` : '';
+    return `🎮 ${player.name} just finished a ${match.gameMode} game${played} - ${match.minutesAgo}m ago`;
+}
+
+/**
+ * Build the request body for a webhook format
+ */
+function formatWebhookPayload(format, event) {
+    const text = describeEvent(event);
+
+    if (format === 'discord') {
+        return {
+            content: text,
+            embeds: [{
+                title: event.player.name,
+                color: event.match.win ? 0x2ecc71 : 0xe74c3c,
+                fields: [
+                    { name: 'Region', value: event.player.region.toUpperCase(), inline: true },
+                    { name: 'Mode', value: event.match.gameMode, inline: true },
+                    { name: 'Match', value: event.match.matchId, inline: true }
+                ],
+                timestamp: new Date(event.match.endedAt).toISOString()
+            }]
+        };
+    }
+
+    if (format === 'slack') {
+        return {
+            text,
+            blocks: [{ type: 'section', text: { type: 'mrkdwn', text: `${text}\n\`${event.match.matchId}\`` } }]
+        };
+    }
+
+    return { ...event, text };
+}
+
+async function sendWebhook(webhook, event) {
+    let response;
+    try {
+        response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(formatWebhookPayload(webhook.format, event)),
+            signal: AbortSignal.timeout(CONFIG.watch.webhookTimeoutSeconds * 1000)
+        });
+    } catch (err) {
+        const reason = err.name === 'TimeoutError' ? `no answer within ${CONFIG.watch.webhookTimeoutSeconds}s` : err.message;
+        throw new UpstreamError(`Webhook unreachable: ${reason}`);
+    }
+    if (!response.ok) {
+        throw new UpstreamError(`Webhook ${response.status} ${response.statusText}`);
+    }
+}
+
+// ============ POLLER ============
+
+/**
+ * Polls every watched player for a new match and fires their webhook
+ * The first poll after a player is added only records their newest match,
+ * so adding someone doesn't notify about a game they finished long ago.
+ */
+class WatchPoller {
+    constructor(list, { intervalSeconds = CONFIG.watch.intervalSeconds, session = defaultSession } = {}) {
+        this.watchlist = list;
+        this.intervalSeconds = intervalSeconds;
+        this.session = session;
+        this.timer = null;
+        this.polling = null;
+    }
+
+    start() {
+        if (this.timer) return;
+        // A failed pass is logged; the next one tries again
+        const poll = () => this.poll().catch(err => {
+            this.session.log(`❌ Watchlist poll stopped: ${err.message}`);
+        });
+        this.timer = setInterval(poll, this.intervalSeconds * 1000);
+        poll();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Check every watched player once
+     * Returns the events fired; overlapping calls share the pass in progress
+     * A player Riot fails on is skipped; a rejected key (AuthError) fails the
+     * whole pass, since every other player would fail the same way
+     */
+    poll() {
+        if (!this.polling) {
+            this.polling = this.checkAll().finally(() => { this.polling = null; });
+        }
+        return this.polling;
+    }
+
+    async checkAll() {
+        const events = [];
+        for (const entry of this.watchlist.list()) {
+            if (this.session.isAborted()) break;
+            try {
+                const event = await this.checkPlayer(entry);
+                if (event) events.push(event);
+            } catch (err) {
+                if (err instanceof AuthError) throw err;
+                this.session.log(`⚠️  Couldn't check ${entry.name}: ${err.message}`);
+            }
+        }
+        return events;
+    }
+
+    async checkPlayer(entry) {
+        const ctx = { session: this.session, region: entry.region };
+        const activity = await getLastActiveMinutes(entry.puuid, ctx);
+        const checkedAt = Date.now();
+
+        const matchId = activity && activity.match && activity.match.metadata ? activity.match.metadata.matchId : null;
+        if (!matchId || matchId === entry.lastMatchId) {
+            this.watchlist.update(entry.puuid, { lastCheckedAt: checkedAt });
+            return null;
+        }
+
+        const firstCheck = entry.lastMatchId === null;
+        this.watchlist.update(entry.puuid, { lastMatchId: matchId, lastCheckedAt: checkedAt });
+        if (firstCheck) return null;
+
+        const stats = extractPlayerStats(activity.match, entry.puuid) || {};
+        const event = {
+            event: 'match_finished',
+            player: { puuid: entry.puuid, name: entry.name, region: entry.region },
+            match: {
+                matchId,
+                gameMode: activity.gameMode,
+                queueId: activity.queueId,
+                champion: stats.champion,
+                win: stats.win,
+                kills: stats.kills,
+                deaths: stats.deaths,
+                assists: stats.assists,
+                endedAt: activity.match.info.gameEndTimestamp,
+                minutesAgo: activity.minutesAgo
+            }
+        };
+
+        this.session.log(describeEvent(event));
+
+        const webhook = getWebhookFor(entry);
+        if (webhook) {
+            try {
+                await sendWebhook(webhook, event);
+                this.watchlist.update(entry.puuid, { lastNotifiedAt: Date.now() });
+            } catch (err) {
+                this.session.log(`⚠️  Webhook for ${entry.name} failed: ${err.message}`);
+            }
+        }
+
+        return event;
+    }
+}
+
+const watchlist = new Watchlist(path.join(CONFIG.dataDir, 'watchlist.json'));
+
+module.exports = {
+    Watchlist,
+    WatchPoller,
+    watchlist,
+    normalizeWebhook,
+    formatWebhookPayload,
+    sendWebhook
+};